@@ -8,6 +8,15 @@ dotenv.config();
 
 // Import auth routes
 import authRoutes from './routes/auth.js';
+import adminRoutes from './routes/admin.js';
+import notificationRoutes from './routes/notifications.js';
+import { errorHandler } from './middleware/errorHandler.js';
+import { leaderboardSnapshotService } from './services/leaderboardSnapshotService.js';
+import { notificationService } from './services/notificationService.js';
+import { logService } from './services/logService.js';
+
+// Persist structured logger records (LOG_SINK)
+logService.start();
 
 // Create Express app
 const app = express();
@@ -49,7 +58,14 @@ app.get('/', (req, res) => {
       'GET /api/test-db',
       'GET /api/env',
       'GET /api/auth/check/:tg_id',
-      'POST /api/auth/register'
+      'POST /api/auth/register',
+      'POST /api/auth/login',
+      'POST /api/auth/refresh/:tg_id',
+      'POST /api/auth/logout/:tg_id',
+      'POST /api/admin/approve/:tg_id',
+      'POST /api/admin/reject/:tg_id',
+      'GET /api/notifications/pending',
+      'POST /api/notifications/:id/ack'
     ]
   });
 });
@@ -128,6 +144,16 @@ app.get('/api/env', (req, res) => {
 // Mount auth routes
 app.use('/api/auth', authRoutes);
 
+// ==================== ADMIN ROUTES ====================
+
+// Mount admin routes (used by the admin panel and the bot's approve/reject buttons)
+app.use('/api/admin', adminRoutes);
+
+// ==================== NOTIFICATION ROUTES ====================
+
+// Mount notification routes (the bot polls for badge and streak messages)
+app.use('/api/notifications', notificationRoutes);
+
 // ==================== ERROR HANDLING ====================
 
 // 404 handler
@@ -142,21 +168,21 @@ app.use((req, res) => {
       'GET /api/test-db',
       'GET /api/env',
       'GET /api/auth/check/:tg_id',
-      'POST /api/auth/register'
+      'POST /api/auth/register',
+      'POST /api/auth/login',
+      'POST /api/auth/refresh/:tg_id',
+      'POST /api/auth/logout/:tg_id',
+      'POST /api/admin/approve/:tg_id',
+      'POST /api/admin/reject/:tg_id',
+      'GET /api/notifications/pending',
+      'POST /api/notifications/:id/ack'
     ],
     timestamp: new Date().toISOString()
   });
 });
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    timestamp: new Date().toISOString()
-  });
-});
+// Error handler (maps AppError status codes, e.g. 401 from auth middleware)
+app.use(errorHandler);
 
 // ==================== SERVER STARTUP ====================
 
@@ -168,13 +194,27 @@ app.listen(PORT, () => {
   console.log('\n📡 New Auth Endpoints:');
   console.log('   GET  /api/auth/check/:tg_id   - Check user');
   console.log('   POST /api/auth/register       - Register user');
+  console.log('   POST /api/auth/login          - Get session tokens');
+  console.log('   POST /api/auth/refresh/:tg_id - Rotate session tokens');
+  console.log('   POST /api/auth/logout/:tg_id  - Revoke session');
+  console.log('   POST /api/admin/approve/:tg_id - Approve user');
+  console.log('   POST /api/admin/reject/:tg_id  - Reject user');
+  console.log('   GET  /api/notifications/pending - Bot notification queue');
   console.log('\n🛑 To stop: Ctrl + C\n');
+
+  // Daily leaderboard history for rank movements
+  leaderboardSnapshotService.startScheduler();
+
+  // Warnings for streaks about to break
+  notificationService.startScheduler();
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Server stopping...');
-  process.exit(0);
+  leaderboardSnapshotService.stopScheduler();
+  notificationService.stopScheduler();
+  logService.stop().finally(() => process.exit(0));
 });
 
 export default app;
\ No newline at end of file
@@ -31,6 +31,9 @@ export function validateEnvironment() {
   validateAdminId(process.env.ADMIN_ID);
   validateSupabaseUrl(process.env.SUPABASE_URL);
 
+  // 0 is a valid threshold, so only a missing or non-numeric value falls back to the default
+  const streakMinCompletedTasks = parseInt(process.env.STREAK_MIN_COMPLETED_TASKS);
+
   const config = {
     // Server Configuration
     PORT: parseInt(process.env.PORT) || 3000,
@@ -48,6 +51,8 @@ export function validateEnvironment() {
     // Security Configuration
     ADMIN_SECRET: process.env.ADMIN_SECRET || 'change_this_secret_key',
     JWT_SECRET: process.env.JWT_SECRET || 'jwt_secret_change_this',
+    SERVICE_API_KEY: process.env.SERVICE_API_KEY || null,
+    TELEGRAM_AUTH_MAX_AGE: parseInt(process.env.TELEGRAM_AUTH_MAX_AGE) || 24 * 60 * 60, // 24 hours (seconds)
     
     // Rate Limiting
     RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -63,23 +68,48 @@ export function validateEnvironment() {
     
     // Application Settings
     SESSION_TTL: parseInt(process.env.SESSION_TTL) || 30 * 60 * 1000, // 30 minutes
+    REFRESH_TOKEN_TTL: parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60 * 1000, // 30 days
     PAGINATION_LIMIT: parseInt(process.env.PAGINATION_LIMIT) || 50,
     DEFAULT_LEADERBOARD_LIMIT: parseInt(process.env.DEFAULT_LEADERBOARD_LIMIT) || 100,
+    REAPPLY_COOLDOWN_DAYS: parseInt(process.env.REAPPLY_COOLDOWN_DAYS) || 7,
+    DEFAULT_TIMEZONE: process.env.DEFAULT_TIMEZONE || 'Asia/Tashkent', // Challenge day boundaries
+    STREAK_MIN_COMPLETED_TASKS: Number.isNaN(streakMinCompletedTasks) ? 1 : streakMinCompletedTasks, // Tasks needed for a day to count
+    
+    // Scoring Rules
+    SCORE_DAILY_CAP: parseFloat(process.env.SCORE_DAILY_CAP) || 0, // Max points per day (0 = no cap)
+    PERFECT_DAY_MULTIPLIER: parseFloat(process.env.PERFECT_DAY_MULTIPLIER) || 1, // Applied when every task is completed
+    
+    // Leaderboard Snapshots
+    LEADERBOARD_SNAPSHOT_TIME: process.env.LEADERBOARD_SNAPSHOT_TIME || '23:55', // Daily snapshot time (HH:MM, DEFAULT_TIMEZONE)
+    LEADERBOARD_RANKING_MODE: process.env.LEADERBOARD_RANKING_MODE || 'competition', // How tied scores are ranked (see RANKING_MODES)
+    
+    // Notifications
+    STREAK_REMINDER_TIME: process.env.STREAK_REMINDER_TIME || '20:00', // Warn about a streak about to break (HH:MM, user's timezone)
     
     // Logging
     LOG_LEVEL: process.env.LOG_LEVEL || 'info',
     LOG_FORMAT: process.env.LOG_FORMAT || 'combined',
+    LOG_SINK: process.env.LOG_SINK || 'file', // Where structured records are kept (see LOG_SINKS)
+    LOG_DIR: process.env.LOG_DIR || 'logs', // File sink directory
+    LOG_FILE_MAX_SIZE: parseInt(process.env.LOG_FILE_MAX_SIZE) || 10 * 1024 * 1024, // 10MB per file before rotating
+    LOG_RETENTION_DAYS: parseInt(process.env.LOG_RETENTION_DAYS) || 30, // Applied by the cleanup_logs maintenance operation
     
     // Feature Flags
     ENABLE_PHOTO_UPLOAD: process.env.ENABLE_PHOTO_UPLOAD !== 'false',
     ENABLE_ACHIEVEMENTS: process.env.ENABLE_ACHIEVEMENTS !== 'false',
     ENABLE_ADMIN_PANEL: process.env.ENABLE_ADMIN_PANEL !== 'false',
+    ENABLE_LEADERBOARD_SNAPSHOTS: process.env.ENABLE_LEADERBOARD_SNAPSHOTS !== 'false',
+    ENABLE_NOTIFICATIONS: process.env.ENABLE_NOTIFICATIONS !== 'false',
     
     // Cache Settings
     CACHE_TTL: parseInt(process.env.CACHE_TTL) || 5 * 60 * 1000, // 5 minutes
     ENABLE_CACHING: process.env.ENABLE_CACHING !== 'false'
   };
 
+  if (config.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+    logger.warn('⚠️ JWT_SECRET is not set - session tokens use the insecure default secret');
+  }
+
   // Log configuration summary
   if (config.NODE_ENV === 'development') {
     logger.info('🔧 Configuration loaded:');
@@ -164,13 +194,51 @@ export const APP_CONSTANTS = {
     SUSPENDED: 'suspended'
   },
 
+  // Admin roles
+  ADMIN_ROLES: {
+    OWNER: 'owner',
+    MODERATOR: 'moderator',
+    ANALYST: 'analyst'
+  },
+
+  // Admin permissions (checked per admin route)
+  ADMIN_PERMISSIONS: {
+    VIEW_USERS: 'view_users',
+    MANAGE_USERS: 'manage_users',
+    APPROVE_USERS: 'approve_users',
+    BULK_OPERATIONS: 'bulk_operations',
+    VIEW_ANALYTICS: 'view_analytics',
+    EXPORT_DATA: 'export_data',
+    VIEW_LOGS: 'view_logs',
+    MAINTENANCE: 'maintenance',
+    NOTIFICATIONS: 'notifications',
+    MANAGE_ADMINS: 'manage_admins',
+    MANAGE_TASKS: 'manage_tasks'
+  },
+
+  // Rejection reasons (code -> message shown to the user)
+  REJECTION_REASONS: {
+    incomplete_name: 'To\'liq ism kiritilmagan',
+    invalid_data: 'Noto\'g\'ri ma\'lumot',
+    duplicate_account: 'Takroriy hisob',
+    not_eligible: 'Challenge shartlariga mos kelmaydi',
+    other: 'Boshqa sabab'
+  },
+
+  // Application history events
+  APPLICATION_EVENTS: {
+    APPLIED: 'applied',
+    REAPPLIED: 'reapplied',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+  },
+
   // Task related constants
   TASKS: {
-    TOTAL_DAILY_TASKS: 10,
+    // Task definitions and per-task limits live in the task_templates table
     MIN_PAGES_READ: 0,
-    MAX_PAGES_READ: 1000,
     MIN_DISTANCE: 0,
-    MAX_DISTANCE: 100
+    MAX_SUMMARY_DAYS: 366
   },
 
   // Leaderboard types
@@ -189,6 +257,101 @@ export const APP_CONSTANTS = {
     ALL: 'all'
   },
 
+  // Consistency leaderboard score weights (sum to 1, score is 0-100)
+  CONSISTENCY_WEIGHTS: {
+    submission_ratio: 0.5, // Days with a submission ÷ days in the period
+    streak: 0.3, // Current streak ÷ days in the period
+    completion: 0.2 // Average share of daily tasks completed
+  },
+
+  // How weekly/monthly leaderboard periods are aligned
+  PERIOD_MODES: {
+    ROLLING: 'rolling', // Last 7 / 30 days up to today
+    CALENDAR: 'calendar' // Current ISO week (Monday start) / current calendar month
+  },
+
+  // How participants with equal scores are ranked (list order always uses the tie-breakers)
+  RANKING_MODES: {
+    COMPETITION: 'competition', // 1, 2, 2, 4
+    DENSE: 'dense', // 1, 2, 2, 3
+    ORDINAL: 'ordinal' // 1, 2, 3, 4 - ties broken by more active days, then earlier last submission
+  },
+
+  // Leaderboard movements
+  LEADERBOARD_MOVEMENTS: {
+    DEFAULT_DAYS: 7, // Compare against the snapshot a week earlier by default
+    CONSISTENCY_AWARD_TOP: 10 // Rank to hold in every snapshot for a consistency award
+  },
+
+  // Achievement progress estimates
+  ACHIEVEMENT_PROGRESS: {
+    PACE_DAYS: 14 // Recent days used to estimate a user's pace toward locked badges
+  },
+
+  // Bot notification events (also the keys of users.notification_preferences)
+  NOTIFICATION_TYPES: {
+    ACHIEVEMENT_UNLOCKED: 'achievement_unlocked',
+    STREAK_MILESTONE: 'streak_milestone',
+    STREAK_AT_RISK: 'streak_at_risk'
+  },
+
+  // User activity timeline entries (recorded next to the matching logger.userAction)
+  ACTIVITY_TYPES: {
+    PROGRESS_SUBMITTED: 'progress_submitted',   // SUBMIT_DAILY_PROGRESS
+    PROFILE_UPDATED: 'profile_updated',         // PROFILE_UPDATE
+    PHOTO_UPLOADED: 'photo_uploaded',           // UPLOAD_PHOTO
+    APPROVED: 'approved',                       // USER_APPROVED_BY_ADMIN
+    ACHIEVEMENT_UNLOCKED: 'achievement_unlocked' // ACHIEVEMENTS_UNLOCKED
+  },
+
+  // Cohort retention report (admin analytics)
+  RETENTION: {
+    COHORT_TYPES: ['week', 'month'],
+    DEFAULT_COHORTS: { week: 12, month: 6 }, // Cohorts shown when no from/to is given
+    DEFAULT_WEEKS: 8,                        // Weeks after approval tracked per cohort
+    MAX_WEEKS: 26,
+    MAX_RANGE_DAYS: 366                      // Longest from/to span of approval dates
+  },
+
+  // Persistent log storage (config.LOG_SINK)
+  LOG_SINKS: {
+    NONE: 'none',
+    FILE: 'file',          // Daily JSON-lines files in LOG_DIR
+    DATABASE: 'database'   // system_logs table
+  },
+
+  LOG_LEVELS: ['error', 'warn', 'info', 'debug', 'trace'],
+
+  // Interface / bot message languages
+  LANGUAGES: {
+    UZ: 'uz',
+    RU: 'ru',
+    EN: 'en'
+  },
+
+  // Who can see a user's full profile (photo, join date, statistics)
+  // Private users also appear without name and photo on leaderboards and movements
+  PROFILE_VISIBILITY: {
+    PUBLIC: 'public',
+    PRIVATE: 'private' // Only the user; others see the name on the profile page
+  },
+
+  // Preferences for new users (timezone and reminder time default to config)
+  DEFAULT_PREFERENCES: {
+    language: 'uz',
+    profile_visibility: 'public'
+  },
+
+  // Streak lengths that trigger a milestone notification
+  STREAK_MILESTONES: [3, 7, 14, 21, 30, 50, 75, 100, 150, 200, 365],
+
+  // Notification delivery
+  NOTIFICATION_DELIVERY: {
+    BATCH_SIZE: 50, // Events handed to the bot per poll
+    MAX_ATTEMPTS: 3, // Give up after this many failed sends
+    STALE_SECONDS: 300 // Reclaim events a bot claimed but never acknowledged
+  },
+
   // Achievement types
   ACHIEVEMENTS: {
     CONSISTENT: 'consistent',
@@ -233,5 +396,25 @@ export const APP_CONSTANTS = {
   }
 };
 
+/**
+ * Permissions granted to each admin role
+ */
+APP_CONSTANTS.ADMIN_ROLE_PERMISSIONS = {
+  [APP_CONSTANTS.ADMIN_ROLES.OWNER]: Object.values(APP_CONSTANTS.ADMIN_PERMISSIONS),
+  [APP_CONSTANTS.ADMIN_ROLES.MODERATOR]: [
+    APP_CONSTANTS.ADMIN_PERMISSIONS.VIEW_USERS,
+    APP_CONSTANTS.ADMIN_PERMISSIONS.MANAGE_USERS,
+    APP_CONSTANTS.ADMIN_PERMISSIONS.APPROVE_USERS,
+    APP_CONSTANTS.ADMIN_PERMISSIONS.BULK_OPERATIONS,
+    APP_CONSTANTS.ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    APP_CONSTANTS.ADMIN_PERMISSIONS.NOTIFICATIONS
+  ],
+  [APP_CONSTANTS.ADMIN_ROLES.ANALYST]: [
+    APP_CONSTANTS.ADMIN_PERMISSIONS.VIEW_USERS,
+    APP_CONSTANTS.ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    APP_CONSTANTS.ADMIN_PERMISSIONS.EXPORT_DATA
+  ]
+};
+
 // Export default configuration
 export default validateEnvironment();
\ No newline at end of file
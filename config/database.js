@@ -1,6 +1,7 @@
 // config/database.js - SUPABASE DATABASE CONFIGURATION
 import { createClient } from '@supabase/supabase-js';
 import { logger } from '../utils/logger.js';
+import { getToday } from '../utils/helpers.js';
 
 // Environment variables validation
 function validateSupabaseConfig() {
@@ -210,7 +211,7 @@ export async function getDatabaseStats() {
       supabase
         .from('daily_progress')
         .select('*', { count: 'exact', head: true })
-        .eq('date', new Date().toISOString().split('T')[0]),
+        .eq('date', getToday()),
       
       // Total progress entries
       supabase
@@ -1,10 +1,20 @@
 // controllers/adminController.js - ADMIN CONTROLLER
 import { userService, dailyProgressService } from '../services/supabaseService.js';
+import { adminService } from '../services/adminService.js';
+import { applicationService } from '../services/applicationService.js';
+import { activityService } from '../services/activityService.js';
+import { analyticsService } from '../services/analyticsService.js';
+import { exportService } from '../services/exportService.js';
+import { taskTemplateService } from '../services/taskTemplateService.js';
+import { leaderboardSnapshotService } from '../services/leaderboardSnapshotService.js';
+import { achievementService } from '../services/achievementService.js';
+import { logService } from '../services/logService.js';
 import { responseService } from '../services/responseService.js';
 import { logger } from '../utils/logger.js';
 import { createError } from '../middleware/errorHandler.js';
-import { APP_CONSTANTS } from '../config/config.js';
-import config from '../config/config.js';
+import config, { APP_CONSTANTS } from '../config/config.js';
+import { isValidDateString } from '../utils/helpers.js';
+import { toCsv } from '../utils/csv.js';
 
 /**
  * Admin Controller
@@ -52,7 +62,7 @@ class AdminController {
         throw createError.badRequest('Invalid Telegram ID format');
       }
 
-      logger.userAction(telegramId, 'ADMIN_APPROVE_USER');
+      logger.userAction(telegramId, 'ADMIN_APPROVE_USER', { admin_id: req.admin.tg_id });
 
       // Check if user exists
       const user = await userService.getUserByTelegramId(telegramId);
@@ -64,21 +74,48 @@ class AdminController {
       if (user.status === APP_CONSTANTS.USER_STATUS.APPROVED) {
         return responseService.success(res, {
           message: 'User is already approved',
+          changed: false,
           user: responseService.formatUser(user)
         });
       }
 
-      // Update user status to approved
-      const updatedUser = await userService.updateUserStatus(
-        telegramId, 
+      // Conditional update: only one of several concurrent decisions can win
+      const updatedUser = await userService.transitionUserStatus(
+        telegramId,
+        [
+          APP_CONSTANTS.USER_STATUS.PENDING,
+          APP_CONSTANTS.USER_STATUS.REJECTED,
+          APP_CONSTANTS.USER_STATUS.SUSPENDED
+        ],
         APP_CONSTANTS.USER_STATUS.APPROVED
       );
 
-      logger.userAction(telegramId, 'USER_APPROVED_BY_ADMIN');
+      if (!updatedUser) {
+        const currentUser = await userService.getUserByTelegramId(telegramId);
+
+        if (currentUser?.status === APP_CONSTANTS.USER_STATUS.APPROVED) {
+          return responseService.success(res, {
+            message: 'User is already approved',
+            changed: false,
+            user: responseService.formatUser(currentUser)
+          });
+        }
+
+        throw createError.conflict('User status was changed by another admin');
+      }
+
+      logger.userAction(telegramId, 'USER_APPROVED_BY_ADMIN', { admin_id: req.admin.tg_id });
+
+      await applicationService.recordEvent(telegramId, APP_CONSTANTS.APPLICATION_EVENTS.APPROVED, {
+        admin_id: req.admin.tg_id
+      });
+
+      await activityService.record(updatedUser, APP_CONSTANTS.ACTIVITY_TYPES.APPROVED);
 
       return responseService.success(res, {
         success: true,
         message: APP_CONSTANTS.MESSAGES.SUCCESS.USER_APPROVED,
+        changed: true,
         user: responseService.formatUser(updatedUser)
       });
 
@@ -90,19 +127,22 @@ class AdminController {
 
   /**
    * Reject user
+   * Rejected users are kept with the reason so they can re-apply after the cooldown
    * POST /api/admin/reject/:tg_id
    */
   async rejectUser(req, res, next) {
     try {
       const { tg_id } = req.params;
-      const { reason = 'No reason provided' } = req.body;
+      const { reason_code, reason: reasonText } = req.body;
 
       const telegramId = parseInt(tg_id);
       if (isNaN(telegramId) || telegramId <= 0) {
         throw createError.badRequest('Invalid Telegram ID format');
       }
 
-      logger.userAction(telegramId, 'ADMIN_REJECT_USER', { reason });
+      const rejection = applicationService.resolveRejectionReason(reason_code, reasonText);
+
+      logger.userAction(telegramId, 'ADMIN_REJECT_USER', { ...rejection, admin_id: req.admin.tg_id });
 
       // Check if user exists
       const user = await userService.getUserByTelegramId(telegramId);
@@ -110,15 +150,45 @@ class AdminController {
         throw createError.notFound('User');
       }
 
-      // Delete user record (rejection = removal)
-      await userService.deleteUser(telegramId);
+      if (user.status === APP_CONSTANTS.USER_STATUS.REJECTED) {
+        return responseService.success(res, {
+          message: 'User is already rejected',
+          changed: false,
+          user: responseService.formatUser(user),
+          rejection: applicationService.formatRejection(user)
+        });
+      }
+
+      if (user.status !== APP_CONSTANTS.USER_STATUS.PENDING) {
+        throw createError.conflict(`Only pending users can be rejected (current status: ${user.status})`);
+      }
+
+      // Conditional update: only while the user is still pending
+      const rejectedUser = await userService.transitionUserStatus(
+        telegramId,
+        [APP_CONSTANTS.USER_STATUS.PENDING],
+        APP_CONSTANTS.USER_STATUS.REJECTED,
+        applicationService.buildRejectionData(rejection, req.admin.tg_id)
+      );
+
+      if (!rejectedUser) {
+        throw createError.conflict('User status was changed by another admin');
+      }
+
+      await applicationService.recordEvent(telegramId, APP_CONSTANTS.APPLICATION_EVENTS.REJECTED, {
+        ...rejection,
+        admin_id: req.admin.tg_id
+      });
 
-      logger.userAction(telegramId, 'USER_REJECTED_BY_ADMIN', { reason });
+      logger.userAction(telegramId, 'USER_REJECTED_BY_ADMIN', { ...rejection, admin_id: req.admin.tg_id });
 
       return responseService.success(res, {
         success: true,
         message: APP_CONSTANTS.MESSAGES.SUCCESS.USER_REJECTED,
-        reason
+        changed: true,
+        reason: rejection.reason,
+        user: responseService.formatUser(rejectedUser),
+        rejection: applicationService.formatRejection(rejectedUser)
       });
 
     } catch (error) {
@@ -127,6 +197,25 @@ class AdminController {
     }
   }
 
+  /**
+   * Get rejection reason presets
+   * GET /api/admin/rejection-reasons
+   */
+  async getRejectionReasons(req, res, next) {
+    try {
+      const reasons = Object.entries(APP_CONSTANTS.REJECTION_REASONS).map(([code, label]) => ({
+        code,
+        label
+      }));
+
+      return responseService.success(res, { reasons });
+
+    } catch (error) {
+      logger.error('Get rejection reasons failed:', error);
+      next(error);
+    }
+  }
+
   /**
    * Get admin dashboard statistics
    * GET /api/admin/dashboard
@@ -198,15 +287,32 @@ class AdminController {
 
       logger.info('ADMIN_GET_ALL_USERS', { status, limit, offset, search });
 
-      // TODO: Implement comprehensive user search and filtering
-      // For now, return basic structure
+      const pageLimit = Math.min(parseInt(limit) || 50, 200);
+      const pageOffset = Math.max(parseInt(offset) || 0, 0);
+
+      const validStatuses = ['all', ...Object.values(APP_CONSTANTS.USER_STATUS)];
+      if (!validStatuses.includes(status)) {
+        throw createError.badRequest(`Invalid status. Must be: ${validStatuses.join(', ')}`);
+      }
 
-      const users = [];
-      const totalUsers = 0;
+      const { users: rows, total: totalUsers } = await userService.listUsers({
+        status,
+        search,
+        limit: pageLimit,
+        offset: pageOffset
+      });
+
+      const history = await applicationService.getHistoryForUsers(rows.map(user => user.tg_id));
+
+      const users = rows.map(user => ({
+        ...responseService.formatUser(user),
+        rejection: applicationService.formatRejection(user),
+        application_history: history[user.tg_id] || []
+      }));
 
       return responseService.paginated(res, users, {
-        page: Math.floor(offset / limit) + 1,
-        limit: parseInt(limit),
+        page: Math.floor(pageOffset / pageLimit) + 1,
+        limit: pageLimit,
         total: totalUsers
       });
 
@@ -281,38 +387,22 @@ class AdminController {
    */
   async getAnalytics(req, res, next) {
     try {
-      const { period = 'week' } = req.query;
+      // Same period options as the leaderboard (rolling/calendar, named week/month, from/to)
+      const range = dailyProgressService.resolvePeriod(req.validatedQuery || req.query);
 
-      logger.info('ADMIN_GET_ANALYTICS', { period });
+      logger.info('ADMIN_GET_ANALYTICS', { period: range.label });
 
-      // TODO: Implement comprehensive analytics
-      // For now, return basic structure
+      // Totals and daily series are aggregated in the database
+      const analytics = await analyticsService.getAnalytics(range);
 
-      const analytics = {
-        period,
-        user_growth: {
-          new_registrations: 0,
-          new_approvals: 0,
-          growth_rate_percent: 0
-        },
-        engagement_metrics: {
-          daily_active_users: 0,
-          average_tasks_completed: 0,
-          total_submissions: 0
-        },
-        content_metrics: {
-          total_pages_read: 0,
-          total_distance_covered: 0,
-          average_pages_per_user: 0
+      return responseService.success(res, {
+        analytics: {
+          period: range.period,
+          date_range: responseService.formatDateRange(range),
+          ...analytics
         },
-        charts_data: {
-          daily_submissions: [],
-          user_registrations: [],
-          task_completion_rates: []
-        }
-      };
-
-      return responseService.success(res, { analytics });
+        generated_at: new Date().toISOString()
+      });
 
     } catch (error) {
       logger.error('Get analytics failed:', error);
@@ -321,46 +411,84 @@ class AdminController {
   }
 
   /**
-   * Export data (CSV format)
+   * Get cohort retention report
+   * GET /api/admin/analytics/retention
+   */
+  async getRetention(req, res, next) {
+    try {
+      const {
+        cohort = 'week',
+        weeks = APP_CONSTANTS.RETENTION.DEFAULT_WEEKS,
+        from,
+        to,
+        format = 'json'
+      } = req.validatedQuery || req.query;
+
+      logger.info('ADMIN_GET_RETENTION', { cohort, weeks, from, to, format });
+
+      // Cohorts and weekly activity are aggregated in the database
+      const report = await analyticsService.getRetention({ cohort, from, to, weeks: parseInt(weeks) });
+
+      if (format === 'csv') {
+        const { header, rows } = analyticsService.formatRetentionCsv(report);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader(
+          'Content-Disposition',
+          `attachment; filename="retention_${cohort}_${report.date_range.start_date}_${report.date_range.end_date}.csv"`
+        );
+        return res.send(toCsv(header, rows));
+      }
+
+      return responseService.success(res, {
+        retention: report,
+        generated_at: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Get retention failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Export data (CSV/JSON/XLSX format, streamed)
    * GET /api/admin/export/:type
    */
   async exportData(req, res, next) {
     try {
       const { type } = req.params;
-      const { format = 'json' } = req.query;
+      const query = req.validatedQuery || req.query;
+      const {
+        format = 'json',
+        columns = [],
+        status,
+        leaderboard_type: leaderboardType = 'overall'
+      } = query;
 
-      logger.info('ADMIN_EXPORT_DATA', { type, format });
+      // Same period options as the leaderboard (rolling/calendar, named week/month, from/to);
+      // it filters registration day for users and challenge day for progress
+      const range = dailyProgressService.resolvePeriod(query);
+
+      logger.info('ADMIN_EXPORT_DATA', { type, format, period: range.label, status, columns });
 
       if (!['users', 'progress', 'leaderboard'].includes(type)) {
         throw createError.badRequest('Invalid export type. Must be: users, progress, leaderboard');
       }
 
-      if (!['json', 'csv'].includes(format)) {
-        throw createError.badRequest('Invalid format. Must be: json, csv');
+      if (!['json', 'csv', 'xlsx'].includes(format)) {
+        throw createError.badRequest('Invalid format. Must be: json, csv, xlsx');
       }
 
-      // TODO: Implement data export functionality
-      // For now, return basic structure
-
-      const exportData = {
+      // Rows are streamed page by page straight into the response
+      await exportService.streamExport(res, {
         type,
         format,
-        data: [],
-        exported_at: new Date().toISOString(),
-        total_records: 0
-      };
-
-      if (format === 'csv') {
-        // Set CSV headers
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="${type}_export_${new Date().toISOString().split('T')[0]}.csv"`);
-        
-        // TODO: Generate CSV content
-        const csvContent = `# ${type.toUpperCase()} Export\n# Generated at: ${new Date().toISOString()}\n# Total records: 0\n`;
-        return res.send(csvContent);
-      }
-
-      return responseService.success(res, exportData);
+        columns,
+        range,
+        status,
+        leaderboardType
+      });
 
     } catch (error) {
       logger.error('Export data failed:', error);
@@ -375,25 +503,32 @@ class AdminController {
   async getSystemLogs(req, res, next) {
     try {
       const { 
-        level = 'all', 
+        level = [], 
         limit = 100, 
         offset = 0,
         start_date,
-        end_date 
-      } = req.query;
-
-      logger.info('ADMIN_GET_SYSTEM_LOGS', { level, limit, offset });
-
-      // TODO: Implement log retrieval from persistent storage
-      // For now, return basic structure
-
-      const logs = [];
-      const totalLogs = 0;
+        end_date,
+        tg_id,
+        search
+      } = req.validatedQuery || req.query;
+
+      logger.info('ADMIN_GET_SYSTEM_LOGS', { level, limit, offset, start_date, end_date, tg_id, search });
+
+      const { logs, total, total_is_lower_bound } = await logService.query({
+        levels: level,
+        from: start_date,
+        to: end_date,
+        tgId: tg_id,
+        search,
+        limit,
+        offset
+      });
 
       return responseService.paginated(res, logs, {
         page: Math.floor(offset / limit) + 1,
-        limit: parseInt(limit),
-        total: totalLogs
+        limit,
+        total,
+        totalIsLowerBound: total_is_lower_bound
       });
 
     } catch (error) {
@@ -421,6 +556,11 @@ class AdminController {
         throw createError.badRequest(`Invalid operation. Must be: ${validOperations.join(', ')}`);
       }
 
+      // Same reason is applied to every user in a bulk rejection
+      const rejection = operation === 'reject'
+        ? applicationService.resolveRejectionReason(data.reason_code, data.reason)
+        : null;
+
       const results = {
         success: [],
         failed: [],
@@ -437,15 +577,44 @@ class AdminController {
           }
 
           switch (operation) {
-            case 'approve':
-              await userService.updateUserStatus(telegramId, APP_CONSTANTS.USER_STATUS.APPROVED);
-              results.success.push({ tg_id: telegramId, action: 'approved' });
+            case 'approve': {
+              const approvedUser = await userService.transitionUserStatus(
+                telegramId,
+                [APP_CONSTANTS.USER_STATUS.PENDING],
+                APP_CONSTANTS.USER_STATUS.APPROVED
+              );
+              if (approvedUser) {
+                await applicationService.recordEvent(telegramId, APP_CONSTANTS.APPLICATION_EVENTS.APPROVED, {
+                  admin_id: req.admin.tg_id
+                });
+                await activityService.record(approvedUser, APP_CONSTANTS.ACTIVITY_TYPES.APPROVED);
+              }
+              results.success.push({
+                tg_id: telegramId,
+                action: approvedUser ? 'approved' : 'unchanged'
+              });
               break;
-
-            case 'reject':
-              await userService.deleteUser(telegramId);
-              results.success.push({ tg_id: telegramId, action: 'rejected' });
+            }
+
+            case 'reject': {
+              const rejectedUser = await userService.transitionUserStatus(
+                telegramId,
+                [APP_CONSTANTS.USER_STATUS.PENDING],
+                APP_CONSTANTS.USER_STATUS.REJECTED,
+                applicationService.buildRejectionData(rejection, req.admin.tg_id)
+              );
+              if (rejectedUser) {
+                await applicationService.recordEvent(telegramId, APP_CONSTANTS.APPLICATION_EVENTS.REJECTED, {
+                  ...rejection,
+                  admin_id: req.admin.tg_id
+                });
+              }
+              results.success.push({
+                tg_id: telegramId,
+                action: rejectedUser ? 'rejected' : 'unchanged'
+              });
               break;
+            }
 
             case 'update_status':
               if (!data.status) {
@@ -497,7 +666,7 @@ class AdminController {
 
       logger.info('ADMIN_MAINTENANCE', { operation, params });
 
-      const validOperations = ['cleanup_logs', 'reset_cache', 'backup_data', 'optimize_db'];
+      const validOperations = ['cleanup_logs', 'reset_cache', 'backup_data', 'optimize_db', 'leaderboard_snapshot', 'evaluate_achievements'];
       if (!validOperations.includes(operation)) {
         throw createError.badRequest(`Invalid operation. Must be: ${validOperations.join(', ')}`);
       }
@@ -505,10 +674,19 @@ class AdminController {
       let result = {};
 
       switch (operation) {
-        case 'cleanup_logs':
-          // TODO: Implement log cleanup
-          result = { message: 'Logs cleaned up', files_removed: 0 };
+        case 'cleanup_logs': {
+          // Retention policy: keeps the last LOG_RETENTION_DAYS days unless params.retention_days overrides it
+          const retentionDays = params.retention_days ?? config.LOG_RETENTION_DAYS;
+          if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+            throw createError.badRequest('retention_days must be a positive integer');
+          }
+
+          result = {
+            message: 'Logs cleaned up',
+            ...(await logService.cleanup(retentionDays))
+          };
           break;
+        }
 
         case 'reset_cache':
           // TODO: Implement cache reset
@@ -529,6 +707,25 @@ class AdminController {
           result = { message: 'Database optimization completed' };
           break;
 
+        case 'leaderboard_snapshot':
+          // Re-takes the snapshot for the date (today by default), replacing existing rows
+          if (params.date && !isValidDateString(params.date)) {
+            throw createError.badRequest('Date must be in YYYY-MM-DD format');
+          }
+          result = {
+            message: 'Leaderboard snapshot taken',
+            ...(await leaderboardSnapshotService.takeSnapshot(params.date))
+          };
+          break;
+
+        case 'evaluate_achievements':
+          // Records badges every approved user has earned, dated from their progress history
+          result = {
+            message: 'Achievements evaluated',
+            ...(await achievementService.evaluateAllUsers())
+          };
+          break;
+
         default:
           throw createError.badRequest('Unknown maintenance operation');
       }
@@ -623,30 +820,252 @@ class AdminController {
     }
   }
 
-  // ==================== HELPER METHODS ====================
+  // ==================== ADMIN MANAGEMENT ====================
+
+  /**
+   * Get current admin role and permissions
+   * GET /api/admin/admins/me
+   */
+  async getCurrentAdmin(req, res, next) {
+    try {
+      return responseService.success(res, { admin: req.admin });
+
+    } catch (error) {
+      logger.error('Get current admin failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * List admins
+   * GET /api/admin/admins
+   */
+  async listAdmins(req, res, next) {
+    try {
+      logger.info('ADMIN_LIST_ADMINS', { admin_id: req.admin.tg_id });
+
+      const admins = await adminService.listAdmins();
+
+      return responseService.success(res, {
+        admins,
+        total_admins: admins.length,
+        roles: APP_CONSTANTS.ADMIN_ROLE_PERMISSIONS
+      });
+
+    } catch (error) {
+      logger.error('List admins failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Add admin
+   * POST /api/admin/admins
+   */
+  async addAdmin(req, res, next) {
+    try {
+      const { tg_id, role, name = null } = req.body;
+
+      const telegramId = parseInt(tg_id);
+      if (isNaN(telegramId) || telegramId <= 0) {
+        throw createError.badRequest('Invalid Telegram ID format');
+      }
+
+      const existing = await adminService.getAdmin(telegramId);
+      if (existing) {
+        throw createError.conflict('User is already an admin');
+      }
+
+      const admin = await adminService.setAdminRole(telegramId, role, req.admin.tg_id, name);
+
+      logger.userAction(telegramId, 'ADMIN_ADDED', { role, admin_id: req.admin.tg_id });
+
+      return responseService.success(res, {
+        message: 'Admin added successfully',
+        admin
+      }, 201);
+
+    } catch (error) {
+      logger.error('Add admin failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Change admin role
+   * PATCH /api/admin/admins/:tg_id
+   */
+  async updateAdmin(req, res, next) {
+    try {
+      const { tg_id } = req.params;
+      const { role, name = null } = req.body;
+
+      const telegramId = parseInt(tg_id);
+      if (isNaN(telegramId) || telegramId <= 0) {
+        throw createError.badRequest('Invalid Telegram ID format');
+      }
+
+      if (telegramId === req.admin.tg_id) {
+        throw createError.forbidden('You cannot change your own role');
+      }
+
+      const existing = await adminService.getAdmin(telegramId);
+      if (!existing) {
+        throw createError.notFound('Admin');
+      }
+
+      const admin = await adminService.setAdminRole(telegramId, role, req.admin.tg_id, name);
+
+      logger.userAction(telegramId, 'ADMIN_ROLE_CHANGED', {
+        from: existing.role,
+        to: role,
+        admin_id: req.admin.tg_id
+      });
+
+      return responseService.success(res, {
+        message: 'Admin role updated successfully',
+        admin
+      });
+
+    } catch (error) {
+      logger.error('Update admin failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Remove admin
+   * DELETE /api/admin/admins/:tg_id
+   */
+  async removeAdmin(req, res, next) {
+    try {
+      const { tg_id } = req.params;
+
+      const telegramId = parseInt(tg_id);
+      if (isNaN(telegramId) || telegramId <= 0) {
+        throw createError.badRequest('Invalid Telegram ID format');
+      }
+
+      if (telegramId === req.admin.tg_id) {
+        throw createError.forbidden('You cannot remove yourself');
+      }
+
+      const removed = await adminService.removeAdmin(telegramId);
+      if (!removed) {
+        throw createError.notFound('Admin');
+      }
+
+      logger.userAction(telegramId, 'ADMIN_REMOVED', { admin_id: req.admin.tg_id });
+
+      return responseService.success(res, {
+        message: 'Admin removed successfully'
+      });
+
+    } catch (error) {
+      logger.error('Remove admin failed:', error);
+      next(error);
+    }
+  }
+
+  // ==================== TASK TEMPLATE MANAGEMENT ====================
 
   /**
-   * Check if user has admin privileges
-   * @param {number} telegramId - User Telegram ID
-   * @returns {boolean} Whether user is admin
+   * List task templates (active and retired)
+   * GET /api/admin/tasks
    */
-  isAdmin(telegramId) {
-    return telegramId === config.ADMIN_ID;
+  async listTaskTemplates(req, res, next) {
+    try {
+      logger.info('ADMIN_LIST_TASK_TEMPLATES', { admin_id: req.admin.tg_id });
+
+      const templates = await taskTemplateService.getAllTemplates();
+
+      return responseService.success(res, {
+        tasks: templates,
+        total_tasks: templates.length,
+        active_tasks: templates.filter(template => template.is_active).length
+      });
+
+    } catch (error) {
+      logger.error('List task templates failed:', error);
+      next(error);
+    }
   }
 
   /**
-   * Validate admin access
-   * @param {Object} req - Express request object
-   * @throws {Error} If access denied
+   * Create task template
+   * POST /api/admin/tasks
    */
-  validateAdminAccess(req) {
-    const { tg_id } = req.body || req.query || {};
-    
-    if (!tg_id || !this.isAdmin(parseInt(tg_id))) {
-      throw createError.forbidden('Admin access required');
+  async createTaskTemplate(req, res, next) {
+    try {
+      logger.info('ADMIN_CREATE_TASK_TEMPLATE', { admin_id: req.admin.tg_id, task_id: req.body.id });
+
+      const template = await taskTemplateService.createTemplate(req.validatedBody);
+
+      return responseService.success(res, {
+        message: 'Task created successfully',
+        task: template
+      }, 201);
+
+    } catch (error) {
+      logger.error('Create task template failed:', error);
+      next(error);
     }
   }
 
+  /**
+   * Update task template
+   * PATCH /api/admin/tasks/:id
+   */
+  async updateTaskTemplate(req, res, next) {
+    try {
+      const taskId = parseInt(req.params.id);
+      if (isNaN(taskId) || taskId <= 0) {
+        throw createError.badRequest('Invalid task ID');
+      }
+
+      logger.info('ADMIN_UPDATE_TASK_TEMPLATE', { admin_id: req.admin.tg_id, task_id: taskId });
+
+      const template = await taskTemplateService.updateTemplate(taskId, req.validatedBody);
+
+      return responseService.success(res, {
+        message: 'Task updated successfully',
+        task: template
+      });
+
+    } catch (error) {
+      logger.error('Update task template failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Retire task template (past submissions keep referencing it)
+   * DELETE /api/admin/tasks/:id
+   */
+  async retireTaskTemplate(req, res, next) {
+    try {
+      const taskId = parseInt(req.params.id);
+      if (isNaN(taskId) || taskId <= 0) {
+        throw createError.badRequest('Invalid task ID');
+      }
+
+      logger.info('ADMIN_RETIRE_TASK_TEMPLATE', { admin_id: req.admin.tg_id, task_id: taskId });
+
+      const template = await taskTemplateService.retireTemplate(taskId);
+
+      return responseService.success(res, {
+        message: 'Task retired successfully',
+        task: template
+      });
+
+    } catch (error) {
+      logger.error('Retire task template failed:', error);
+      next(error);
+    }
+  }
+
+  // ==================== HELPER METHODS ====================
+
   /**
    * Format user data for admin interface
    * @param {Object} user - Raw user data
@@ -1,5 +1,8 @@
 // controllers/authController.js - AUTHENTICATION CONTROLLER
 import { userService } from '../services/supabaseService.js';
+import { sessionService } from '../services/sessionService.js';
+import { adminService } from '../services/adminService.js';
+import { activityService } from '../services/activityService.js';
 import { logger } from '../utils/logger.js';
 import { createError } from '../middleware/errorHandler.js';
 import { APP_CONSTANTS } from '../config/config.js';
@@ -88,7 +91,7 @@ class AuthController {
    */
   async registerUser(req, res, next) {
     try {
-      const { tg_id, name, username, photo_url } = req.body;
+      const { tg_id, name, username, photo_url, language } = req.body;
 
       // Validate required fields
       if (!tg_id || !name) {
@@ -139,7 +142,8 @@ class AuthController {
         photo_url: photo_url || null,
         registration_date: new Date().toISOString(),
         status: APP_CONSTANTS.USER_STATUS.PENDING,
-        is_premium: false
+        is_premium: false,
+        ...userService.getDefaultPreferenceColumns({ language })
       };
 
       const newUser = await userService.upsertUser(userData);
@@ -163,28 +167,77 @@ class AuthController {
   }
 
   /**
-   * Refresh user data (for syncing with latest info)
+   * Exchange verified Telegram init data for session tokens
+   * POST /api/auth/login
+   */
+  async login(req, res, next) {
+    try {
+      if (req.auth.method !== 'telegram') {
+        throw createError.unauthorized('Login requires Telegram init data');
+      }
+
+      const telegramId = req.auth.tg_id;
+
+      logger.userAction(telegramId, 'LOGIN_ATTEMPT');
+
+      const user = await userService.getUserByTelegramId(telegramId);
+      if (!user) {
+        throw createError.notFound('User');
+      }
+
+      const tokens = await sessionService.createSession(telegramId, {
+        user_agent: req.get('User-Agent') || null,
+        ip_address: req.ip || null
+      });
+
+      logger.userAction(telegramId, 'LOGIN_SUCCESS', { session_id: tokens.session_id });
+
+      return responseService.success(res, {
+        isRegistered: true,
+        isApproved: user.status === APP_CONSTANTS.USER_STATUS.APPROVED,
+        user: responseService.formatUser(user),
+        tokens
+      });
+
+    } catch (error) {
+      logger.error('Login failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Rotate session tokens and refresh user data
    * POST /api/auth/refresh/:tg_id
    */
   async refreshUser(req, res, next) {
     try {
       const { tg_id } = req.params;
+      const { refresh_token } = req.body || {};
       const telegramId = parseInt(tg_id);
 
       if (isNaN(telegramId) || telegramId <= 0) {
         throw createError.badRequest('Invalid Telegram ID format');
       }
 
+      if (!refresh_token) {
+        throw createError.unauthorized('Refresh token required');
+      }
+
+      // Old refresh token is invalidated by the rotation
+      const tokens = await sessionService.rotateRefreshToken(refresh_token, telegramId);
+
       const user = await userService.getUserByTelegramId(telegramId);
 
       if (!user) {
+        await sessionService.revokeSession(tokens.session_id, 'user_deleted');
         throw createError.notFound('User');
       }
 
-      logger.userAction(telegramId, 'AUTH_REFRESH');
+      logger.userAction(telegramId, 'AUTH_REFRESH', { session_id: tokens.session_id });
 
       return responseService.success(res, {
         success: true,
+        tokens,
         user: {
           tg_id: user.tg_id,
           name: user.name || user.full_name,
@@ -244,10 +297,12 @@ class AuthController {
           reason = hasAccess ? null : 'Premium subscription required';
           break;
         
-        case 'admin':
-          hasAccess = false; // Implement admin check logic
-          reason = 'Admin access denied';
+        case 'admin': {
+          const admin = await adminService.getAdmin(telegramId);
+          hasAccess = !!admin;
+          reason = hasAccess ? null : 'Admin access denied';
           break;
+        }
         
         default:
           hasAccess = true;
@@ -313,6 +368,10 @@ class AuthController {
 
       logger.userAction(telegramId, 'PROFILE_UPDATE', updates);
 
+      await activityService.record(user, APP_CONSTANTS.ACTIVITY_TYPES.PROFILE_UPDATED, {
+        fields: Object.keys(updates)
+      });
+
       return responseService.success(res, {
         success: true,
         message: 'Profile updated successfully',
@@ -333,25 +392,32 @@ class AuthController {
   }
 
   /**
-   * Logout user (clear any sessions if implemented)
+   * Logout user and revoke session tokens
    * POST /api/auth/logout/:tg_id
    */
   async logout(req, res, next) {
     try {
-      const { tg_id } = req.params;
-      const telegramId = parseInt(tg_id);
-
-      if (isNaN(telegramId) || telegramId <= 0) {
-        throw createError.badRequest('Invalid Telegram ID format');
+      const { refresh_token, all_devices = false } = req.body || {};
+      const telegramId = req.auth.tg_id;
+
+      let revokedSessions = 0;
+
+      if (all_devices) {
+        revokedSessions = await sessionService.revokeAllSessions(telegramId);
+      } else if (req.auth.session_id) {
+        await sessionService.revokeSession(req.auth.session_id);
+        revokedSessions = 1;
+      } else if (refresh_token) {
+        await sessionService.revokeByRefreshToken(refresh_token, telegramId);
+        revokedSessions = 1;
       }
 
-      logger.userAction(telegramId, 'LOGOUT');
-
-      // TODO: Implement session cleanup if sessions are used
+      logger.userAction(telegramId, 'LOGOUT', { all_devices, revoked_sessions: revokedSessions });
 
       return responseService.success(res, {
         success: true,
-        message: 'Logged out successfully'
+        message: 'Logged out successfully',
+        revoked_sessions: revokedSessions
       });
 
     } catch (error) {
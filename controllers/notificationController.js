@@ -0,0 +1,69 @@
+// controllers/notificationController.js - BOT NOTIFICATION CONTROLLER
+import { notificationService } from '../services/notificationService.js';
+import { responseService } from '../services/responseService.js';
+import { logger } from '../utils/logger.js';
+import { createError } from '../middleware/errorHandler.js';
+
+/**
+ * Notification Controller
+ * Hands queued notification events to the Telegram bot and records delivery results
+ */
+class NotificationController {
+  /**
+   * Claim pending notifications for delivery
+   * GET /api/notifications/pending
+   */
+  async getPendingNotifications(req, res, next) {
+    try {
+      const { limit } = req.validatedQuery || req.query;
+
+      const events = await notificationService.claimPending(parseInt(limit) || undefined);
+
+      if (events.length > 0) {
+        logger.info('NOTIFICATIONS_CLAIMED', { count: events.length });
+      }
+
+      return responseService.success(res, {
+        events,
+        count: events.length
+      });
+
+    } catch (error) {
+      logger.error('Get pending notifications failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Record delivery result
+   * POST /api/notifications/:id/ack
+   */
+  async acknowledgeNotification(req, res, next) {
+    try {
+      const eventId = parseInt(req.params.id);
+      if (isNaN(eventId) || eventId <= 0) {
+        throw createError.badRequest('Invalid notification ID');
+      }
+
+      const { delivered, error } = req.validatedBody || req.body;
+
+      const event = await notificationService.acknowledge(eventId, { delivered, error });
+      if (!event) {
+        throw createError.notFound('Notification');
+      }
+
+      if (!delivered) {
+        logger.warn('NOTIFICATION_DELIVERY_FAILED', { id: eventId, status: event.status, error });
+      }
+
+      return responseService.success(res, { event });
+
+    } catch (error) {
+      logger.error('Acknowledge notification failed:', error);
+      next(error);
+    }
+  }
+}
+
+export const notificationController = new NotificationController();
+export default notificationController;
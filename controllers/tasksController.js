@@ -1,9 +1,15 @@
 // controllers/tasksController.js - DAILY TASKS CONTROLLER
 import { userService, dailyProgressService } from '../services/supabaseService.js';
 import { responseService } from '../services/responseService.js';
+import { taskTemplateService } from '../services/taskTemplateService.js';
+import { scoringService } from '../services/scoringService.js';
+import { achievementService } from '../services/achievementService.js';
+import { notificationService } from '../services/notificationService.js';
+import { activityService } from '../services/activityService.js';
 import { logger } from '../utils/logger.js';
 import { createError } from '../middleware/errorHandler.js';
-import { APP_CONSTANTS } from '../config/config.js';
+import config, { APP_CONSTANTS } from '../config/config.js';
+import { getUserToday } from '../utils/helpers.js';
 
 /**
  * Tasks Controller
@@ -16,13 +22,8 @@ class TasksController {
    */
   async getDailyTasks(req, res, next) {
     try {
-      const { tg_id } = req.params;
       const { date } = req.query;
-
-      const telegramId = parseInt(tg_id);
-      if (isNaN(telegramId) || telegramId <= 0) {
-        throw createError.badRequest('Invalid Telegram ID format');
-      }
+      const telegramId = req.auth.tg_id;
 
       logger.userAction(telegramId, 'GET_DAILY_TASKS', { date });
 
@@ -36,8 +37,8 @@ class TasksController {
         throw createError.forbidden('User not approved yet');
       }
 
-      // Get target date (today if not specified)
-      const targetDate = date || new Date().toISOString().split('T')[0];
+      // Get target date (user's today if not specified)
+      const targetDate = date || getUserToday(user);
 
       // Validate date format
       if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
@@ -81,7 +82,6 @@ class TasksController {
   async submitDailyProgress(req, res, next) {
     try {
       const {
-        tg_id,
         tasks = {},
         task_inputs = {},
         pages_read = 0,
@@ -89,10 +89,8 @@ class TasksController {
         date
       } = req.body;
 
-      const telegramId = parseInt(tg_id);
-      if (isNaN(telegramId) || telegramId <= 0) {
-        throw createError.badRequest('Invalid Telegram ID format');
-      }
+      // Progress is always saved for the verified user, never a body-supplied ID
+      const telegramId = req.auth.tg_id;
 
       logger.userAction(telegramId, 'SUBMIT_DAILY_PROGRESS', {
         tasks,
@@ -111,14 +109,15 @@ class TasksController {
         throw createError.forbidden('User not approved yet');
       }
 
-      // Validate submission data
-      this.validateSubmissionData(tasks, task_inputs, pages_read, distance_km);
+      // Get target date (user's today, so late-evening submissions count for the right day)
+      const targetDate = date || getUserToday(user);
 
-      // Get target date
-      const targetDate = date || new Date().toISOString().split('T')[0];
+      // Validate and score against the tasks active on that date
+      const templates = await taskTemplateService.getActiveTemplates(targetDate);
+      taskTemplateService.validateSubmission(templates, { tasks, task_inputs, pages_read, distance_km });
 
-      // Calculate completed count
-      const completedCount = Object.values(tasks).filter(Boolean).length;
+      const score = scoringService.scoreSubmission(templates, { tasks, task_inputs, pages_read, distance_km });
+      const completedCount = score.completed_count;
 
       // Prepare progress data
       const progressData = {
@@ -129,24 +128,46 @@ class TasksController {
         pages_read: parseInt(pages_read) || 0,
         distance_km: parseFloat(distance_km) || 0,
         completed_count: completedCount,
+        total_tasks: score.total_tasks,
+        score: score.score,
+        score_breakdown: score.breakdown,
         submission_time: new Date().toISOString()
       };
 
       // Save progress
       const savedProgress = await dailyProgressService.submitDailyProgress(progressData);
 
-      // Calculate total points for today
-      const totalPoints = completedCount;
+      // Total points for today (weights, bonuses, perfect-day multiplier and cap applied)
+      const totalPoints = score.score;
 
       // Format today's data summary
       const todayData = {
         completed: completedCount,
         pages_read: progressData.pages_read,
-        distance_km: progressData.distance_km
+        distance_km: progressData.distance_km,
+        score_breakdown: score.breakdown
       };
 
-      // Check for achievements (simple implementation)
-      const achievementUnlocked = await this.checkForAchievements(telegramId, savedProgress);
+      // Record badges earned by this submission; a failed check must not fail the submission
+      const unlocked = config.ENABLE_ACHIEVEMENTS
+        ? await achievementService.evaluateUser(telegramId).catch(error => {
+          logger.error('Achievement check failed:', error);
+          return [];
+        })
+        : [];
+      const achievementUnlocked = unlocked[0] || null;
+
+      await activityService.record(user, APP_CONSTANTS.ACTIVITY_TYPES.PROGRESS_SUBMITTED, {
+        date: targetDate,
+        completed: completedCount,
+        total_tasks: score.total_tasks,
+        points: totalPoints,
+        pages_read: progressData.pages_read,
+        distance_km: progressData.distance_km
+      });
+
+      // Badge and streak milestone messages for the bot to deliver
+      await notificationService.notifySubmission(user, { date: targetDate, achievements: unlocked });
 
       return responseService.taskSubmission(
         res,
@@ -169,15 +190,10 @@ class TasksController {
    */
   async getTaskSummary(req, res, next) {
     try {
-      const { tg_id } = req.params;
-      const { period = 'week' } = req.query;
+      const { period = 'week', from, to } = req.query;
+      const telegramId = req.auth.tg_id;
 
-      const telegramId = parseInt(tg_id);
-      if (isNaN(telegramId) || telegramId <= 0) {
-        throw createError.badRequest('Invalid Telegram ID format');
-      }
-
-      logger.userAction(telegramId, 'GET_TASK_SUMMARY', { period });
+      logger.userAction(telegramId, 'GET_TASK_SUMMARY', { period, from, to });
 
       const user = await userService.getUserByTelegramId(telegramId);
       if (!user) {
@@ -188,39 +204,14 @@ class TasksController {
         throw createError.forbidden('User not approved yet');
       }
 
-      // Get date range based on period
-      const dateRange = this.getDateRange(period);
-      
-      // TODO: Implement task summary query for date range
-      // For now, return basic structure
+      // Explicit from/to takes precedence over period
+      const dateRange = dailyProgressService.getDateRange(period, from, to, user.timezone);
+      const templates = await taskTemplateService.getActiveTemplates(dateRange.end_date);
+      const taskSummary = await dailyProgressService.getTaskSummary(telegramId, dateRange, templates);
 
       const summary = {
-        period,
-        date_range: dateRange,
-        total_days: 0,
-        completed_days: 0,
-        total_points: 0,
-        average_completion: 0,
-        task_breakdown: {
-          task_1: { completed: 0, total: 0 },
-          task_2: { completed: 0, total: 0 },
-          task_3: { completed: 0, total: 0 },
-          task_4: { completed: 0, total: 0 },
-          task_5: { completed: 0, total: 0 },
-          task_6: { completed: 0, total: 0 },
-          task_7: { completed: 0, total: 0 },
-          task_8: { completed: 0, total: 0 },
-          task_9: { completed: 0, total: 0 },
-          task_10: { completed: 0, total: 0 }
-        },
-        reading_stats: {
-          total_pages: 0,
-          average_pages_per_day: 0
-        },
-        distance_stats: {
-          total_distance: 0,
-          average_distance_per_day: 0
-        }
+        period: from ? 'custom' : period,
+        ...taskSummary
       };
 
       return responseService.success(res, { summary });
@@ -239,100 +230,27 @@ class TasksController {
     try {
       logger.info('GET_TASK_TEMPLATES');
 
-      // Define the 10 daily tasks
-      const taskTemplates = [
-        {
-          id: 1,
-          title: "Bomdod namozini o'qish",
-          description: "Bomdod vaqtida namoz o'qish",
-          type: "boolean",
-          category: "spiritual",
-          points: 1
-        },
-        {
-          id: 2,
-          title: "Peshin namozini o'qish",
-          description: "Peshin vaqtida namoz o'qish",
-          type: "boolean",
-          category: "spiritual",
-          points: 1
-        },
-        {
-          id: 3,
-          title: "Asr namozini o'qish",
-          description: "Asr vaqtida namoz o'qish",
-          type: "boolean",
-          category: "spiritual",
-          points: 1
-        },
-        {
-          id: 4,
-          title: "Shom namozini o'qish",
-          description: "Shom vaqtida namoz o'qish",
-          type: "boolean",
-          category: "spiritual",
-          points: 1
-        },
-        {
-          id: 5,
-          title: "Kitob o'qish",
-          description: "Kundalik kitob o'qish (sahifalar soni)",
-          type: "number",
-          category: "education",
-          points: 1,
-          input_label: "O'qilgan sahifalar soni",
-          min_value: 0,
-          max_value: 1000
-        },
-        {
-          id: 6,
-          title: "Xufton namozini o'qish",
-          description: "Xufton vaqtida namoz o'qish",
-          type: "boolean",
-          category: "spiritual",
-          points: 1
-        },
-        {
-          id: 7,
-          title: "Ota-onaga xizmat qilish",
-          description: "Ota-onaga yordam berish va xizmat qilish",
-          type: "boolean",
-          category: "family",
-          points: 1
-        },
-        {
-          id: 8,
-          title: "Axloqli munosabat",
-          description: "Odamlar bilan yaxshi munosabatda bo'lish",
-          type: "boolean",
-          category: "social",
-          points: 1
-        },
-        {
-          id: 9,
-          title: "Foydali ish qilish",
-          description: "Jamiyat uchun foydali ish qilish",
-          type: "boolean",
-          category: "social",
-          points: 1
-        },
-        {
-          id: 10,
-          title: "Sport bilan shug'ullanish",
-          description: "Jismoniy mashqlar (km da masofa)",
-          type: "number",
-          category: "health",
-          points: 1,
-          input_label: "Yugurilgan/yurilgan masofa (km)",
-          min_value: 0,
-          max_value: 100
-        }
-      ];
+      const templates = await taskTemplateService.getActiveTemplates();
+
+      const taskTemplates = templates.map(template => ({
+        id: template.id,
+        title: template.title,
+        description: template.description,
+        type: template.type,
+        category: template.category,
+        points: template.points,
+        ...(template.type === 'number' && {
+          input_label: template.input_label,
+          metric: template.metric,
+          min_value: template.min_value,
+          max_value: template.max_value
+        })
+      }));
 
       return responseService.success(res, {
         tasks: taskTemplates,
         total_tasks: taskTemplates.length,
-        categories: ['spiritual', 'education', 'family', 'social', 'health']
+        categories: [...new Set(taskTemplates.map(template => template.category))]
       });
 
     } catch (error) {
@@ -347,12 +265,7 @@ class TasksController {
    */
   async getTaskStreak(req, res, next) {
     try {
-      const { tg_id } = req.params;
-      const telegramId = parseInt(tg_id);
-
-      if (isNaN(telegramId) || telegramId <= 0) {
-        throw createError.badRequest('Invalid Telegram ID format');
-      }
+      const telegramId = req.auth.tg_id;
 
       logger.userAction(telegramId, 'GET_TASK_STREAK');
 
@@ -365,16 +278,7 @@ class TasksController {
         throw createError.forbidden('User not approved yet');
       }
 
-      // TODO: Implement streak calculation
-      // For now, return basic structure
-
-      const streak = {
-        current_streak: 0,
-        longest_streak: 0,
-        last_submission: null,
-        streak_broken_date: null,
-        total_submission_days: 0
-      };
+      const streak = await dailyProgressService.getUserStreak(telegramId, user.timezone);
 
       return responseService.success(res, { streak });
 
@@ -383,136 +287,6 @@ class TasksController {
       next(error);
     }
   }
-
-  // ==================== HELPER METHODS ====================
-
-  /**
-   * Validate submission data
-   * @param {Object} tasks - Task completion data
-   * @param {Object} taskInputs - Task input values
-   * @param {number} pagesRead - Pages read
-   * @param {number} distanceKm - Distance in km
-   */
-  validateSubmissionData(tasks, taskInputs, pagesRead, distanceKm) {
-    // Validate tasks object
-    if (typeof tasks !== 'object' || tasks === null) {
-      throw createError.badRequest('Tasks must be an object');
-    }
-
-    // Validate task values (should be boolean for tasks 1-4, 6-9)
-    const booleanTasks = [1, 2, 3, 4, 6, 7, 8, 9];
-    booleanTasks.forEach(taskId => {
-      if (tasks[taskId] !== undefined && typeof tasks[taskId] !== 'boolean') {
-        throw createError.badRequest(`Task ${taskId} must be boolean`);
-      }
-    });
-
-    // Validate task inputs
-    if (typeof taskInputs !== 'object' || taskInputs === null) {
-      throw createError.badRequest('Task inputs must be an object');
-    }
-
-    // Validate pages read (task 5)
-    if (pagesRead !== undefined) {
-      const pages = parseInt(pagesRead);
-      if (isNaN(pages) || pages < 0 || pages > APP_CONSTANTS.TASKS.MAX_PAGES_READ) {
-        throw createError.badRequest(
-          `Pages read must be between ${APP_CONSTANTS.TASKS.MIN_PAGES_READ} and ${APP_CONSTANTS.TASKS.MAX_PAGES_READ}`
-        );
-      }
-    }
-
-    // Validate distance (task 10)
-    if (distanceKm !== undefined) {
-      const distance = parseFloat(distanceKm);
-      if (isNaN(distance) || distance < 0 || distance > APP_CONSTANTS.TASKS.MAX_DISTANCE) {
-        throw createError.badRequest(
-          `Distance must be between ${APP_CONSTANTS.TASKS.MIN_DISTANCE} and ${APP_CONSTANTS.TASKS.MAX_DISTANCE} km`
-        );
-      }
-    }
-  }
-
-  /**
-   * Check for achievements based on progress
-   * @param {number} telegramId - User Telegram ID
-   * @param {Object} progress - Daily progress data
-   * @returns {Object|null} Achievement unlocked or null
-   */
-  async checkForAchievements(telegramId, progress) {
-    try {
-      // Get user's all-time stats
-      const allTimeStats = await dailyProgressService.getUserAllTimeStats(telegramId);
-
-      // Simple achievement checks
-      if (allTimeStats.total_days === 1) {
-        return {
-          id: 'first_day',
-          name: 'First Step',
-          description: 'Complete your first day',
-          type: APP_CONSTANTS.ACHIEVEMENTS.NEWCOMER
-        };
-      }
-
-      if (allTimeStats.total_days === 7) {
-        return {
-          id: 'week_warrior',
-          name: 'Week Warrior',
-          description: 'Complete 7 days',
-          type: APP_CONSTANTS.ACHIEVEMENTS.CONSISTENT
-        };
-      }
-
-      if (progress.completed_count === APP_CONSTANTS.TASKS.TOTAL_DAILY_TASKS) {
-        return {
-          id: 'perfect_day',
-          name: 'Perfect Day',
-          description: 'Complete all 10 tasks in a day',
-          type: APP_CONSTANTS.ACHIEVEMENTS.PERFECTIONIST
-        };
-      }
-
-      return null;
-
-    } catch (error) {
-      logger.error('Achievement check failed:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Get date range for summary period
-   * @param {string} period - Time period (week, month, year)
-   * @returns {Object} Date range object
-   */
-  getDateRange(period) {
-    const now = new Date();
-    const today = now.toISOString().split('T')[0];
-    
-    let startDate;
-    
-    switch (period) {
-      case 'week':
-        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        startDate = weekAgo.toISOString().split('T')[0];
-        break;
-      case 'month':
-        const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        startDate = monthAgo.toISOString().split('T')[0];
-        break;
-      case 'year':
-        const yearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-        startDate = yearAgo.toISOString().split('T')[0];
-        break;
-      default:
-        startDate = today;
-    }
-
-    return {
-      start_date: startDate,
-      end_date: today
-    };
-  }
 }
 
 export const tasksController = new TasksController();
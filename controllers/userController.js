@@ -1,10 +1,13 @@
 // controllers/userController.js - USER MANAGEMENT CONTROLLER
 import { userService, dailyProgressService, fileService } from '../services/supabaseService.js';
 import { responseService } from '../services/responseService.js';
+import { achievementService } from '../services/achievementService.js';
+import { activityService } from '../services/activityService.js';
 import { logger } from '../utils/logger.js';
 import { createError } from '../middleware/errorHandler.js';
 import { APP_CONSTANTS } from '../config/config.js';
 import config from '../config/config.js';
+import { getUserToday } from '../utils/helpers.js';
 
 /**
  * User Controller
@@ -17,12 +20,7 @@ class UserController {
    */
   async getUserStatistics(req, res, next) {
     try {
-      const { tg_id } = req.params;
-      const telegramId = parseInt(tg_id);
-
-      if (isNaN(telegramId) || telegramId <= 0) {
-        throw createError.badRequest('Invalid Telegram ID format');
-      }
+      const telegramId = req.auth.tg_id;
 
       logger.userAction(telegramId, 'GET_STATISTICS');
 
@@ -37,19 +35,20 @@ class UserController {
       }
 
       // Get today's progress
-      const today = new Date().toISOString().split('T')[0];
+      const today = getUserToday(user);
       const todayProgress = await dailyProgressService.getDailyProgress(telegramId, today);
 
       // Format today's stats
       const todayStats = {
         completed: todayProgress?.completed_count || 0,
+        points: Number(todayProgress?.score) || 0,
         pages_read: todayProgress?.pages_read || 0,
         distance_km: todayProgress?.distance_km || 0,
         date: today
       };
 
       // Get all-time statistics
-      const allTimeStats = await dailyProgressService.getUserAllTimeStats(telegramId);
+      const allTimeStats = await dailyProgressService.getUserAllTimeStats(telegramId, user.timezone);
 
       return responseService.userStatistics(res, todayStats, allTimeStats);
 
@@ -61,12 +60,11 @@ class UserController {
 
   /**
    * Get user profile by ID
-   * GET /api/user/profile/:user_id
+   * GET /api/user/profile/:tg_id
    */
   async getUserProfile(req, res, next) {
     try {
-      const { user_id } = req.params;
-      const userId = parseInt(user_id);
+      const userId = parseInt(req.params.tg_id);
 
       if (isNaN(userId) || userId <= 0) {
         throw createError.badRequest('Invalid User ID format');
@@ -79,6 +77,18 @@ class UserController {
         throw createError.notFound('User profile');
       }
 
+      // Private profiles show only the name to other users
+      const isOwner = req.auth?.tg_id === userId;
+      if (!isOwner && user.profile_visibility === APP_CONSTANTS.PROFILE_VISIBILITY.PRIVATE) {
+        return responseService.success(res, {
+          profile: {
+            tg_id: user.tg_id,
+            name: user.name,
+            is_private: true
+          }
+        });
+      }
+
       // Only return public profile data
       const publicProfile = {
         tg_id: user.tg_id,
@@ -91,7 +101,7 @@ class UserController {
 
       // Get basic statistics (if approved)
       if (user.status === APP_CONSTANTS.USER_STATUS.APPROVED) {
-        const allTimeStats = await dailyProgressService.getUserAllTimeStats(userId);
+        const allTimeStats = await dailyProgressService.getUserAllTimeStats(userId, user.timezone);
         publicProfile.statistics = {
           total_points: allTimeStats.total_points,
           total_pages: allTimeStats.total_pages,
@@ -116,22 +126,13 @@ class UserController {
    */
   async uploadPhoto(req, res, next) {
     try {
-      const { tg_id } = req.body;
       const file = req.file;
-
-      if (!tg_id) {
-        throw createError.badRequest('tg_id is required');
-      }
+      const telegramId = req.auth.tg_id;
 
       if (!file) {
         throw createError.badRequest('No file uploaded');
       }
 
-      const telegramId = parseInt(tg_id);
-      if (isNaN(telegramId) || telegramId <= 0) {
-        throw createError.badRequest('Invalid Telegram ID format');
-      }
-
       logger.userAction(telegramId, 'UPLOAD_PHOTO', { 
         fileSize: file.size,
         mimeType: file.mimetype 
@@ -176,6 +177,8 @@ class UserController {
       // Update user record
       const updatedUser = await userService.updateUserPhoto(telegramId, photoUrl);
 
+      await activityService.record(user, APP_CONSTANTS.ACTIVITY_TYPES.PHOTO_UPLOADED, { photo_url: photoUrl });
+
       // Delete old photo if exists (optional cleanup)
       if (user.photo_url && user.photo_url !== photoUrl) {
         try {
@@ -201,40 +204,51 @@ class UserController {
   }
 
   /**
-   * Update user preferences
-   * PATCH /api/user/preferences/:tg_id
+   * Get user preferences
+   * GET /api/user/preferences/:tg_id
    */
-  async updatePreferences(req, res, next) {
+  async getPreferences(req, res, next) {
     try {
-      const { tg_id } = req.params;
-      const { notifications, language, timezone } = req.body;
+      const telegramId = req.auth.tg_id;
+
+      logger.userAction(telegramId, 'GET_PREFERENCES');
 
-      const telegramId = parseInt(tg_id);
-      if (isNaN(telegramId) || telegramId <= 0) {
-        throw createError.badRequest('Invalid Telegram ID format');
+      const user = await userService.getUserByTelegramId(telegramId);
+      if (!user) {
+        throw createError.notFound('User');
       }
 
-      logger.userAction(telegramId, 'UPDATE_PREFERENCES', { 
-        notifications, 
-        language, 
-        timezone 
+      return responseService.success(res, {
+        preferences: userService.formatPreferences(user)
       });
 
+    } catch (error) {
+      logger.error('Get preferences failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update user preferences
+   * PATCH /api/user/preferences/:tg_id
+   */
+  async updatePreferences(req, res, next) {
+    try {
+      const updates = req.validatedBody || req.body;
+      const telegramId = req.auth.tg_id;
+
+      logger.userAction(telegramId, 'UPDATE_PREFERENCES', updates);
+
       const user = await userService.getUserByTelegramId(telegramId);
       if (!user) {
         throw createError.notFound('User');
       }
 
-      // TODO: Implement user preferences table and update logic
-      // For now, return success without actual update
+      const preferences = await userService.updatePreferences(user, updates);
 
       return responseService.success(res, {
         message: 'Preferences updated successfully',
-        preferences: {
-          notifications: notifications || true,
-          language: language || 'uz',
-          timezone: timezone || 'Asia/Tashkent'
-        }
+        preferences
       });
 
     } catch (error) {
@@ -249,12 +263,7 @@ class UserController {
    */
   async getUserAchievements(req, res, next) {
     try {
-      const { tg_id } = req.params;
-      const telegramId = parseInt(tg_id);
-
-      if (isNaN(telegramId) || telegramId <= 0) {
-        throw createError.badRequest('Invalid Telegram ID format');
-      }
+      const telegramId = req.auth.tg_id;
 
       logger.userAction(telegramId, 'GET_ACHIEVEMENTS');
 
@@ -267,15 +276,19 @@ class UserController {
         throw createError.forbidden('User not approved yet');
       }
 
-      // Get user statistics for achievement calculation
-      const allTimeStats = await dailyProgressService.getUserAllTimeStats(telegramId);
-
-      // Calculate achievements based on stats
-      const achievements = this.calculateAchievements(allTimeStats);
+      // Earned badges with the time each was unlocked, and progress toward the rest
+      const [{ earned, locked }, allTimeStats] = await Promise.all([
+        achievementService.getAchievementProgress(telegramId, getUserToday(user)),
+        dailyProgressService.getUserAllTimeStats(telegramId, user.timezone)
+      ]);
 
       return responseService.success(res, {
-        achievements,
-        total_achievements: achievements.length,
+        achievements: earned,
+        locked_achievements: locked,
+        next_achievement: locked[0] || null,
+        total_achievements: earned.length,
+        available_achievements: achievementService.getDefinitions().length,
+        achievement_score: achievementService.calculateScore(earned),
         user_stats: allTimeStats
       });
 
@@ -291,15 +304,10 @@ class UserController {
    */
   async getUserActivity(req, res, next) {
     try {
-      const { tg_id } = req.params;
-      const { limit = 30, offset = 0 } = req.query;
+      const { type = [], from, to, limit = 30, offset = 0 } = req.validatedQuery || req.query;
+      const telegramId = req.auth.tg_id;
 
-      const telegramId = parseInt(tg_id);
-      if (isNaN(telegramId) || telegramId <= 0) {
-        throw createError.badRequest('Invalid Telegram ID format');
-      }
-
-      logger.userAction(telegramId, 'GET_ACTIVITY');
+      logger.userAction(telegramId, 'GET_ACTIVITY', { type, from, to, limit, offset });
 
       const user = await userService.getUserByTelegramId(telegramId);
       if (!user) {
@@ -310,15 +318,23 @@ class UserController {
         throw createError.forbidden('User not approved yet');
       }
 
-      // TODO: Implement activity history query
-      // For now, return mock data structure
+      if (from && to && from > to) {
+        throw createError.badRequest('From date must be before to date');
+      }
+
+      // Newest first; from/to are days in the user's timezone
+      const { activity, total } = await activityService.getUserActivity(telegramId, {
+        types: type,
+        from,
+        to,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
 
-      const activity = [];
-      
       return responseService.paginated(res, activity, {
         page: Math.floor(offset / limit) + 1,
         limit: parseInt(limit),
-        total: 0
+        total
       });
 
     } catch (error) {
@@ -333,17 +349,13 @@ class UserController {
    */
   async deleteAccount(req, res, next) {
     try {
-      const { tg_id } = req.params;
       const { confirm } = req.body;
 
       if (!confirm || confirm !== 'DELETE_MY_ACCOUNT') {
         throw createError.badRequest('Account deletion not confirmed');
       }
 
-      const telegramId = parseInt(tg_id);
-      if (isNaN(telegramId) || telegramId <= 0) {
-        throw createError.badRequest('Invalid Telegram ID format');
-      }
+      const telegramId = req.auth.tg_id;
 
       logger.userAction(telegramId, 'DELETE_ACCOUNT_REQUEST');
 
@@ -376,93 +388,6 @@ class UserController {
       next(error);
     }
   }
-
-  // ==================== HELPER METHODS ====================
-
-  /**
-   * Calculate user achievements based on statistics
-   * @param {Object} stats - User statistics
-   * @returns {Array} List of achievements
-   */
-  calculateAchievements(stats) {
-    const achievements = [];
-
-    // Consistency achievements
-    if (stats.total_days >= 7) {
-      achievements.push({
-        id: 'week_warrior',
-        name: 'Week Warrior',
-        description: 'Complete 7 days',
-        type: APP_CONSTANTS.ACHIEVEMENTS.CONSISTENT,
-        unlocked_at: new Date().toISOString()
-      });
-    }
-
-    if (stats.total_days >= 30) {
-      achievements.push({
-        id: 'month_master',
-        name: 'Month Master',
-        description: 'Complete 30 days',
-        type: APP_CONSTANTS.ACHIEVEMENTS.CONSISTENT,
-        unlocked_at: new Date().toISOString()
-      });
-    }
-
-    // Reading achievements
-    if (stats.total_pages >= 100) {
-      achievements.push({
-        id: 'bookworm',
-        name: 'Bookworm',
-        description: 'Read 100+ pages',
-        type: APP_CONSTANTS.ACHIEVEMENTS.READER,
-        unlocked_at: new Date().toISOString()
-      });
-    }
-
-    if (stats.total_pages >= 1000) {
-      achievements.push({
-        id: 'library_master',
-        name: 'Library Master',
-        description: 'Read 1000+ pages',
-        type: APP_CONSTANTS.ACHIEVEMENTS.READER,
-        unlocked_at: new Date().toISOString()
-      });
-    }
-
-    // Distance achievements
-    if (stats.total_distance >= 50) {
-      achievements.push({
-        id: 'runner',
-        name: 'Runner',
-        description: 'Cover 50+ km total',
-        type: APP_CONSTANTS.ACHIEVEMENTS.ATHLETE,
-        unlocked_at: new Date().toISOString()
-      });
-    }
-
-    if (stats.total_distance >= 200) {
-      achievements.push({
-        id: 'marathon_hero',
-        name: 'Marathon Hero',
-        description: 'Cover 200+ km total',
-        type: APP_CONSTANTS.ACHIEVEMENTS.ATHLETE,
-        unlocked_at: new Date().toISOString()
-      });
-    }
-
-    // Points achievements
-    if (stats.total_points >= 100) {
-      achievements.push({
-        id: 'point_collector',
-        name: 'Point Collector',
-        description: 'Earn 100+ total points',
-        type: APP_CONSTANTS.ACHIEVEMENTS.PERFECTIONIST,
-        unlocked_at: new Date().toISOString()
-      });
-    }
-
-    return achievements;
-  }
 }
 
 export const userController = new UserController();
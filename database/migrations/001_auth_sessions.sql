@@ -0,0 +1,20 @@
+-- 001_auth_sessions.sql - JWT SESSIONS & REVOCATION
+-- One row per login. The current refresh token jti is rotated on every
+-- refresh; a non-null revoked_at puts the session on the revocation list
+-- and invalidates both its access and refresh tokens.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id            UUID PRIMARY KEY,
+  tg_id         BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+  refresh_jti   UUID NOT NULL,
+  user_agent    TEXT,
+  ip_address    TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at    TIMESTAMPTZ NOT NULL,
+  revoked_at    TIMESTAMPTZ,
+  revoke_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_tg_id ON auth_sessions (tg_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_active ON auth_sessions (tg_id) WHERE revoked_at IS NULL;
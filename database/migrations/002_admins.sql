@@ -0,0 +1,15 @@
+-- 002_admins.sql - ADMIN ROLES
+-- The Telegram user configured as ADMIN_ID is always treated as owner,
+-- even without a row here, so the first owner can bootstrap the table.
+
+CREATE TABLE IF NOT EXISTS admins (
+  tg_id      BIGINT PRIMARY KEY,
+  role       TEXT NOT NULL CHECK (role IN ('owner', 'moderator', 'analyst')),
+  name       TEXT,
+  added_by   BIGINT,
+  is_active  BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admins_role ON admins (role) WHERE is_active;
@@ -0,0 +1,22 @@
+-- 003_rejections_and_applications.sql - REJECTION REASONS & APPLICATION HISTORY
+-- Rejected users are kept with status 'rejected' instead of being deleted,
+-- so the reason and re-application cooldown can be enforced.
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS rejection_code   TEXT,
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+  ADD COLUMN IF NOT EXISTS rejected_at      TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS rejected_by      BIGINT;
+
+CREATE TABLE IF NOT EXISTS user_applications (
+  id          BIGSERIAL PRIMARY KEY,
+  tg_id       BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+  event       TEXT NOT NULL CHECK (event IN ('applied', 'reapplied', 'approved', 'rejected')),
+  name        TEXT,
+  reason_code TEXT,
+  reason      TEXT,
+  admin_id    BIGINT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_applications_tg_id ON user_applications (tg_id, created_at);
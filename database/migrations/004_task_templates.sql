@@ -0,0 +1,40 @@
+-- 004_task_templates.sql - DAILY TASK DEFINITIONS
+-- The template id is the key used in daily_progress.tasks / task_inputs.
+-- Templates are retired (is_active = false) instead of deleted so history stays readable.
+-- metric maps a number task to a dedicated daily_progress column;
+-- number tasks without a metric store their value in task_inputs.
+
+CREATE TABLE IF NOT EXISTS task_templates (
+  id          INTEGER PRIMARY KEY CHECK (id > 0),
+  title       TEXT NOT NULL,
+  description TEXT,
+  type        TEXT NOT NULL CHECK (type IN ('boolean', 'number')),
+  category    TEXT NOT NULL,
+  points      NUMERIC(6, 2) NOT NULL DEFAULT 1 CHECK (points >= 0),
+  input_label TEXT,
+  metric      TEXT CHECK (metric IN ('pages_read', 'distance_km')),
+  min_value   NUMERIC,
+  max_value   NUMERIC,
+  sort_order  INTEGER NOT NULL DEFAULT 0,
+  active_from DATE NOT NULL DEFAULT CURRENT_DATE,
+  is_active   BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (min_value IS NULL OR max_value IS NULL OR min_value <= max_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_templates_active ON task_templates (active_from) WHERE is_active;
+
+-- Seed the original 10 daily tasks
+INSERT INTO task_templates (id, title, description, type, category, points, input_label, metric, min_value, max_value, sort_order, active_from) VALUES
+  (1,  'Bomdod namozini o''qish',   'Bomdod vaqtida namoz o''qish',              'boolean', 'spiritual', 1, NULL, NULL, NULL, NULL, 1,  '2024-01-01'),
+  (2,  'Peshin namozini o''qish',   'Peshin vaqtida namoz o''qish',              'boolean', 'spiritual', 1, NULL, NULL, NULL, NULL, 2,  '2024-01-01'),
+  (3,  'Asr namozini o''qish',      'Asr vaqtida namoz o''qish',                 'boolean', 'spiritual', 1, NULL, NULL, NULL, NULL, 3,  '2024-01-01'),
+  (4,  'Shom namozini o''qish',     'Shom vaqtida namoz o''qish',                'boolean', 'spiritual', 1, NULL, NULL, NULL, NULL, 4,  '2024-01-01'),
+  (5,  'Kitob o''qish',             'Kundalik kitob o''qish (sahifalar soni)',   'number',  'education', 1, 'O''qilgan sahifalar soni', 'pages_read', 0, 1000, 5, '2024-01-01'),
+  (6,  'Xufton namozini o''qish',   'Xufton vaqtida namoz o''qish',              'boolean', 'spiritual', 1, NULL, NULL, NULL, NULL, 6,  '2024-01-01'),
+  (7,  'Ota-onaga xizmat qilish',   'Ota-onaga yordam berish va xizmat qilish',  'boolean', 'family',    1, NULL, NULL, NULL, NULL, 7,  '2024-01-01'),
+  (8,  'Axloqli munosabat',         'Odamlar bilan yaxshi munosabatda bo''lish', 'boolean', 'social',    1, NULL, NULL, NULL, NULL, 8,  '2024-01-01'),
+  (9,  'Foydali ish qilish',        'Jamiyat uchun foydali ish qilish',          'boolean', 'social',    1, NULL, NULL, NULL, NULL, 9,  '2024-01-01'),
+  (10, 'Sport bilan shug''ullanish', 'Jismoniy mashqlar (km da masofa)',         'number',  'health',    1, 'Yugurilgan/yurilgan masofa (km)', 'distance_km', 0, 100, 10, '2024-01-01')
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,24 @@
+-- 005_weighted_scoring.sql - WEIGHTED DAILY SCORE
+-- A completed task earns its template points plus bonus_points for every
+-- bonus_step units of its value (e.g. 1 point per 10 pages), up to bonus_cap.
+-- The day's score is computed on submission and stored on the progress row,
+-- so leaderboards and statistics keep past days as they were scored even
+-- after weights or rules change.
+
+ALTER TABLE task_templates
+  ADD COLUMN IF NOT EXISTS bonus_points NUMERIC(6, 2) NOT NULL DEFAULT 0 CHECK (bonus_points >= 0),
+  ADD COLUMN IF NOT EXISTS bonus_step   NUMERIC CHECK (bonus_step > 0),
+  ADD COLUMN IF NOT EXISTS bonus_cap    NUMERIC(6, 2) CHECK (bonus_cap >= 0);
+
+ALTER TABLE daily_progress
+  ADD COLUMN IF NOT EXISTS score           NUMERIC(8, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS score_breakdown JSONB;
+
+-- Existing days were scored as one point per completed task
+UPDATE daily_progress SET score = completed_count WHERE score = 0 AND completed_count > 0;
+
+-- Reading: +1 point per 10 pages (max +5); sport: +1 point per km (max +5)
+UPDATE task_templates SET bonus_points = 1, bonus_step = 10, bonus_cap = 5 WHERE id = 5;
+UPDATE task_templates SET bonus_points = 1, bonus_step = 1,  bonus_cap = 5 WHERE id = 10;
+
+CREATE INDEX IF NOT EXISTS idx_daily_progress_date_score ON daily_progress (date, score DESC);
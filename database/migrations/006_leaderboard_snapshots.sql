@@ -0,0 +1,17 @@
+-- 006_leaderboard_snapshots.sql - DAILY LEADERBOARD HISTORY
+-- One row per participant for every leaderboard type and period, taken once a day.
+-- Rank movements, new entries and consistency awards are computed by comparing snapshots.
+
+CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+  snapshot_date DATE NOT NULL,
+  type          TEXT NOT NULL CHECK (type IN ('overall', 'reading', 'distance', 'consistency')),
+  period        TEXT NOT NULL CHECK (period IN ('daily', 'weekly', 'monthly', 'all')),
+  tg_id         BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+  rank          INTEGER NOT NULL CHECK (rank > 0),
+  score         NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (snapshot_date, type, period, tg_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_snapshots_board ON leaderboard_snapshots (type, period, snapshot_date DESC, rank);
+CREATE INDEX IF NOT EXISTS idx_leaderboard_snapshots_user ON leaderboard_snapshots (tg_id, snapshot_date DESC);
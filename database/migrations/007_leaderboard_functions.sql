@@ -0,0 +1,160 @@
+-- 007_leaderboard_functions.sql - SERVER-SIDE LEADERBOARD AGGREGATION
+-- Leaderboards are aggregated, ranked, paginated and counted in the database and
+-- called through supabase.rpc(), so the API never downloads raw daily_progress rows.
+-- p_start_date NULL means all time. Ranks are ordinal: score DESC, then tg_id ASC.
+
+CREATE INDEX IF NOT EXISTS idx_daily_progress_date_tg_id ON daily_progress (date, tg_id);
+
+-- Ranked participants of one leaderboard (approved users with at least one submission)
+CREATE OR REPLACE FUNCTION leaderboard_ranked(p_type TEXT, p_start_date DATE DEFAULT NULL)
+RETURNS TABLE (
+  tg_id          BIGINT,
+  name           TEXT,
+  photo_url      TEXT,
+  is_premium     BOOLEAN,
+  total_points   NUMERIC,
+  total_pages    BIGINT,
+  total_distance NUMERIC,
+  days_count     BIGINT,
+  score          NUMERIC,
+  rank           BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  WITH totals AS (
+    SELECT
+      dp.tg_id::BIGINT                            AS tg_id,
+      COALESCE(SUM(dp.score), 0)::NUMERIC         AS total_points,
+      COALESCE(SUM(dp.pages_read), 0)::BIGINT     AS total_pages,
+      COALESCE(SUM(dp.distance_km), 0)::NUMERIC   AS total_distance,
+      COUNT(*)::BIGINT                            AS days_count
+    FROM daily_progress dp
+    WHERE p_start_date IS NULL OR dp.date >= p_start_date
+    GROUP BY dp.tg_id
+  ),
+  scored AS (
+    SELECT
+      t.*,
+      u.name::TEXT                       AS name,
+      u.photo_url::TEXT                  AS photo_url,
+      COALESCE(u.is_premium, FALSE)      AS is_premium,
+      CASE p_type
+        WHEN 'reading'  THEN t.total_pages::NUMERIC
+        WHEN 'distance' THEN t.total_distance
+        ELSE t.total_points
+      END                                AS score
+    FROM totals t
+    JOIN users u ON u.tg_id = t.tg_id
+    WHERE u.status = 'approved'
+  )
+  SELECT
+    s.tg_id, s.name, s.photo_url, s.is_premium,
+    s.total_points, s.total_pages, s.total_distance, s.days_count, s.score,
+    ROW_NUMBER() OVER (ORDER BY s.score DESC, s.tg_id ASC) AS rank
+  FROM scored s;
+$$;
+
+-- One page of a leaderboard; total_count is the number of ranked participants
+CREATE OR REPLACE FUNCTION leaderboard_entries(
+  p_type       TEXT,
+  p_start_date DATE DEFAULT NULL,
+  p_limit      INTEGER DEFAULT NULL,
+  p_offset     INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  tg_id          BIGINT,
+  name           TEXT,
+  photo_url      TEXT,
+  is_premium     BOOLEAN,
+  total_points   NUMERIC,
+  total_pages    BIGINT,
+  total_distance NUMERIC,
+  days_count     BIGINT,
+  score          NUMERIC,
+  rank           BIGINT,
+  total_count    BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT r.*, COUNT(*) OVER () AS total_count
+  FROM leaderboard_ranked(p_type, p_start_date) r
+  ORDER BY r.rank
+  LIMIT p_limit
+  OFFSET COALESCE(p_offset, 0);
+$$;
+
+-- Number of ranked participants (same for every leaderboard type)
+CREATE OR REPLACE FUNCTION leaderboard_participant_count(p_start_date DATE DEFAULT NULL)
+RETURNS BIGINT
+LANGUAGE sql STABLE AS $$
+  SELECT COUNT(DISTINCT dp.tg_id)
+  FROM daily_progress dp
+  JOIN users u ON u.tg_id = dp.tg_id
+  WHERE u.status = 'approved'
+    AND (p_start_date IS NULL OR dp.date >= p_start_date);
+$$;
+
+-- A participant's entry with p_surrounding neighbours above and below (empty if unranked)
+CREATE OR REPLACE FUNCTION leaderboard_position(
+  p_tg_id       BIGINT,
+  p_type        TEXT,
+  p_start_date  DATE DEFAULT NULL,
+  p_surrounding INTEGER DEFAULT 3
+)
+RETURNS TABLE (
+  tg_id          BIGINT,
+  name           TEXT,
+  photo_url      TEXT,
+  is_premium     BOOLEAN,
+  total_points   NUMERIC,
+  total_pages    BIGINT,
+  total_distance NUMERIC,
+  days_count     BIGINT,
+  score          NUMERIC,
+  rank           BIGINT,
+  total_count    BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  WITH ranked AS (
+    SELECT r.*, COUNT(*) OVER () AS total_count
+    FROM leaderboard_ranked(p_type, p_start_date) r
+  ),
+  me AS (
+    SELECT ranked.rank FROM ranked WHERE ranked.tg_id = p_tg_id
+  )
+  SELECT ranked.*
+  FROM ranked, me
+  WHERE ranked.rank BETWEEN me.rank - p_surrounding AND me.rank + p_surrounding
+  ORDER BY ranked.rank;
+$$;
+
+-- Distribution of overall scores; median and top 10% follow the rank order
+CREATE OR REPLACE FUNCTION leaderboard_stats(p_start_date DATE DEFAULT NULL)
+RETURNS TABLE (
+  total_participants       BIGINT,
+  average_points           NUMERIC,
+  median_points            NUMERIC,
+  top_10_percent_threshold NUMERIC,
+  most_active_score        NUMERIC,
+  range_0_10               BIGINT,
+  range_11_50              BIGINT,
+  range_51_100             BIGINT,
+  range_101_200            BIGINT,
+  range_200_plus           BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  WITH ranked AS (
+    SELECT r.score, r.rank, COUNT(*) OVER () AS n
+    FROM leaderboard_ranked('overall', p_start_date) r
+  )
+  SELECT
+    COUNT(*)::BIGINT,
+    ROUND(AVG(score), 2),
+    MAX(score) FILTER (WHERE rank = FLOOR(n / 2.0) + 1),
+    MAX(score) FILTER (WHERE rank = FLOOR(n * 0.1) + 1),
+    MAX(score),
+    COUNT(*) FILTER (WHERE score <= 10),
+    COUNT(*) FILTER (WHERE score > 10 AND score <= 50),
+    COUNT(*) FILTER (WHERE score > 50 AND score <= 100),
+    COUNT(*) FILTER (WHERE score > 100 AND score <= 200),
+    COUNT(*) FILTER (WHERE score > 200)
+  FROM ranked;
+$$;
@@ -0,0 +1,256 @@
+-- 009_calendar_periods.sql - LEADERBOARD DATE RANGES
+-- Leaderboards accept an inclusive p_start_date..p_end_date range (NULL = open) so calendar
+-- weeks, calendar months, named past periods and custom ranges rank the same way.
+-- p_today is the last day that counts for streaks and "days in the period": today for
+-- ranges that are still running, the end date for past ranges.
+
+DROP FUNCTION IF EXISTS leaderboard_position(BIGINT, TEXT, DATE, INTEGER, DATE, INTEGER, JSONB);
+DROP FUNCTION IF EXISTS leaderboard_entries(TEXT, DATE, INTEGER, INTEGER, DATE, INTEGER, JSONB);
+DROP FUNCTION IF EXISTS leaderboard_ranked(TEXT, DATE, DATE, INTEGER, JSONB);
+DROP FUNCTION IF EXISTS leaderboard_participant_count(DATE);
+DROP FUNCTION IF EXISTS leaderboard_stats(DATE);
+
+CREATE OR REPLACE FUNCTION leaderboard_ranked(
+  p_type          TEXT,
+  p_start_date    DATE DEFAULT NULL,
+  p_end_date      DATE DEFAULT NULL,
+  p_today         DATE DEFAULT CURRENT_DATE,
+  p_min_completed INTEGER DEFAULT 1,
+  p_weights       JSONB DEFAULT '{"submission_ratio": 0.5, "streak": 0.3, "completion": 0.2}'
+)
+RETURNS TABLE (
+  tg_id              BIGINT,
+  name               TEXT,
+  photo_url          TEXT,
+  is_premium         BOOLEAN,
+  total_points       NUMERIC,
+  total_pages        BIGINT,
+  total_distance     NUMERIC,
+  days_count         BIGINT,
+  score              NUMERIC,
+  rank               BIGINT,
+  period_days        INTEGER,
+  submission_ratio   NUMERIC,
+  current_streak     INTEGER,
+  longest_streak     INTEGER,
+  streak_ratio       NUMERIC,
+  average_completion NUMERIC
+)
+LANGUAGE sql STABLE AS $$
+  WITH totals AS (
+    SELECT
+      dp.tg_id::BIGINT                            AS tg_id,
+      COALESCE(SUM(dp.score), 0)::NUMERIC         AS total_points,
+      COALESCE(SUM(dp.pages_read), 0)::BIGINT     AS total_pages,
+      COALESCE(SUM(dp.distance_km), 0)::NUMERIC   AS total_distance,
+      COUNT(*)::BIGINT                            AS days_count,
+      MIN(dp.date)                                AS first_date,
+      AVG(LEAST(dp.completed_count::NUMERIC / NULLIF(dp.total_tasks, 0), 1)) AS average_completion
+    FROM daily_progress dp
+    WHERE (p_start_date IS NULL OR dp.date >= p_start_date)
+      AND (p_end_date IS NULL OR dp.date <= p_end_date)
+    GROUP BY dp.tg_id
+  ),
+  -- Streaks are only needed for the consistency type
+  counted AS (
+    SELECT
+      dp.tg_id::BIGINT AS tg_id,
+      dp.date,
+      dp.date - (ROW_NUMBER() OVER (PARTITION BY dp.tg_id ORDER BY dp.date))::INTEGER AS run_id
+    FROM daily_progress dp
+    WHERE p_type = 'consistency' AND dp.completed_count >= p_min_completed AND dp.date <= p_today
+  ),
+  runs AS (
+    SELECT
+      counted.tg_id,
+      MAX(counted.date) AS last_day,
+      COUNT(*)::INTEGER AS run_length,
+      ROW_NUMBER() OVER (PARTITION BY counted.tg_id ORDER BY MAX(counted.date) DESC) AS recency
+    FROM counted
+    GROUP BY counted.tg_id, counted.run_id
+  ),
+  streaks AS (
+    SELECT
+      runs.tg_id,
+      MAX(runs.run_length) AS longest_streak,
+      COALESCE(MAX(runs.run_length) FILTER (WHERE runs.recency = 1 AND p_today - runs.last_day <= 1), 0) AS current_streak
+    FROM runs
+    GROUP BY runs.tg_id
+  ),
+  base AS (
+    SELECT
+      t.*,
+      u.name::TEXT                  AS name,
+      u.photo_url::TEXT             AS photo_url,
+      COALESCE(u.is_premium, FALSE) AS is_premium,
+      GREATEST(p_today - COALESCE(p_start_date, t.first_date) + 1, 1) AS period_days
+    FROM totals t
+    JOIN users u ON u.tg_id = t.tg_id
+    WHERE u.status = 'approved'
+  ),
+  components AS (
+    SELECT
+      b.*,
+      COALESCE(s.current_streak, 0) AS current_streak,
+      COALESCE(s.longest_streak, 0) AS longest_streak,
+      LEAST(b.days_count::NUMERIC / b.period_days, 1) AS submission_ratio,
+      LEAST(COALESCE(s.current_streak, 0)::NUMERIC / b.period_days, 1) AS streak_ratio
+    FROM base b
+    LEFT JOIN streaks s ON s.tg_id = b.tg_id
+  ),
+  scored AS (
+    SELECT
+      c.*,
+      CASE p_type
+        WHEN 'reading'     THEN c.total_pages::NUMERIC
+        WHEN 'distance'    THEN c.total_distance
+        WHEN 'consistency' THEN ROUND(100 * (
+            (p_weights ->> 'submission_ratio')::NUMERIC * c.submission_ratio +
+            (p_weights ->> 'streak')::NUMERIC           * c.streak_ratio +
+            (p_weights ->> 'completion')::NUMERIC       * COALESCE(c.average_completion, 0)
+          ), 2)
+        ELSE c.total_points
+      END AS score
+    FROM components c
+  )
+  SELECT
+    s.tg_id, s.name, s.photo_url, s.is_premium,
+    s.total_points, s.total_pages, s.total_distance, s.days_count, s.score,
+    ROW_NUMBER() OVER (ORDER BY s.score DESC, s.tg_id ASC) AS rank,
+    s.period_days::INTEGER,
+    ROUND(s.submission_ratio, 4),
+    s.current_streak::INTEGER,
+    s.longest_streak::INTEGER,
+    ROUND(s.streak_ratio, 4),
+    ROUND(COALESCE(s.average_completion, 0), 4)
+  FROM scored s;
+$$;
+
+CREATE OR REPLACE FUNCTION leaderboard_entries(
+  p_type          TEXT,
+  p_start_date    DATE DEFAULT NULL,
+  p_end_date      DATE DEFAULT NULL,
+  p_limit         INTEGER DEFAULT NULL,
+  p_offset        INTEGER DEFAULT 0,
+  p_today         DATE DEFAULT CURRENT_DATE,
+  p_min_completed INTEGER DEFAULT 1,
+  p_weights       JSONB DEFAULT '{"submission_ratio": 0.5, "streak": 0.3, "completion": 0.2}'
+)
+RETURNS TABLE (
+  tg_id              BIGINT,
+  name               TEXT,
+  photo_url          TEXT,
+  is_premium         BOOLEAN,
+  total_points       NUMERIC,
+  total_pages        BIGINT,
+  total_distance     NUMERIC,
+  days_count         BIGINT,
+  score              NUMERIC,
+  rank               BIGINT,
+  period_days        INTEGER,
+  submission_ratio   NUMERIC,
+  current_streak     INTEGER,
+  longest_streak     INTEGER,
+  streak_ratio       NUMERIC,
+  average_completion NUMERIC,
+  total_count        BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT r.*, COUNT(*) OVER () AS total_count
+  FROM leaderboard_ranked(p_type, p_start_date, p_end_date, p_today, p_min_completed, p_weights) r
+  ORDER BY r.rank
+  LIMIT p_limit
+  OFFSET COALESCE(p_offset, 0);
+$$;
+
+CREATE OR REPLACE FUNCTION leaderboard_position(
+  p_tg_id         BIGINT,
+  p_type          TEXT,
+  p_start_date    DATE DEFAULT NULL,
+  p_end_date      DATE DEFAULT NULL,
+  p_surrounding   INTEGER DEFAULT 3,
+  p_today         DATE DEFAULT CURRENT_DATE,
+  p_min_completed INTEGER DEFAULT 1,
+  p_weights       JSONB DEFAULT '{"submission_ratio": 0.5, "streak": 0.3, "completion": 0.2}'
+)
+RETURNS TABLE (
+  tg_id              BIGINT,
+  name               TEXT,
+  photo_url          TEXT,
+  is_premium         BOOLEAN,
+  total_points       NUMERIC,
+  total_pages        BIGINT,
+  total_distance     NUMERIC,
+  days_count         BIGINT,
+  score              NUMERIC,
+  rank               BIGINT,
+  period_days        INTEGER,
+  submission_ratio   NUMERIC,
+  current_streak     INTEGER,
+  longest_streak     INTEGER,
+  streak_ratio       NUMERIC,
+  average_completion NUMERIC,
+  total_count        BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  WITH ranked AS (
+    SELECT r.*, COUNT(*) OVER () AS total_count
+    FROM leaderboard_ranked(p_type, p_start_date, p_end_date, p_today, p_min_completed, p_weights) r
+  ),
+  me AS (
+    SELECT ranked.rank FROM ranked WHERE ranked.tg_id = p_tg_id
+  )
+  SELECT ranked.*
+  FROM ranked, me
+  WHERE ranked.rank BETWEEN me.rank - p_surrounding AND me.rank + p_surrounding
+  ORDER BY ranked.rank;
+$$;
+
+CREATE OR REPLACE FUNCTION leaderboard_participant_count(
+  p_start_date DATE DEFAULT NULL,
+  p_end_date   DATE DEFAULT NULL
+)
+RETURNS BIGINT
+LANGUAGE sql STABLE AS $$
+  SELECT COUNT(DISTINCT dp.tg_id)
+  FROM daily_progress dp
+  JOIN users u ON u.tg_id = dp.tg_id
+  WHERE u.status = 'approved'
+    AND (p_start_date IS NULL OR dp.date >= p_start_date)
+    AND (p_end_date IS NULL OR dp.date <= p_end_date);
+$$;
+
+CREATE OR REPLACE FUNCTION leaderboard_stats(
+  p_start_date DATE DEFAULT NULL,
+  p_end_date   DATE DEFAULT NULL
+)
+RETURNS TABLE (
+  total_participants       BIGINT,
+  average_points           NUMERIC,
+  median_points            NUMERIC,
+  top_10_percent_threshold NUMERIC,
+  most_active_score        NUMERIC,
+  range_0_10               BIGINT,
+  range_11_50              BIGINT,
+  range_51_100             BIGINT,
+  range_101_200            BIGINT,
+  range_200_plus           BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  WITH ranked AS (
+    SELECT r.score, r.rank, COUNT(*) OVER () AS n
+    FROM leaderboard_ranked('overall', p_start_date, p_end_date) r
+  )
+  SELECT
+    COUNT(*)::BIGINT,
+    ROUND(AVG(score), 2),
+    MAX(score) FILTER (WHERE rank = FLOOR(n / 2.0) + 1),
+    MAX(score) FILTER (WHERE rank = FLOOR(n * 0.1) + 1),
+    MAX(score),
+    COUNT(*) FILTER (WHERE score <= 10),
+    COUNT(*) FILTER (WHERE score > 10 AND score <= 50),
+    COUNT(*) FILTER (WHERE score > 50 AND score <= 100),
+    COUNT(*) FILTER (WHERE score > 100 AND score <= 200),
+    COUNT(*) FILTER (WHERE score > 200)
+  FROM ranked;
+$$;
@@ -0,0 +1,17 @@
+-- 011_user_achievements.sql - EARNED ACHIEVEMENTS
+-- One row per badge a user has earned. Definitions live in services/achievementService.js;
+-- rows are only ever inserted, so unlocked_at is the moment the badge was actually earned
+-- (the submission_time of the day that crossed the threshold).
+
+CREATE TABLE IF NOT EXISTS user_achievements (
+  tg_id          BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+  achievement_id TEXT NOT NULL,
+  unlocked_at    TIMESTAMPTZ NOT NULL,
+  progress_date  DATE,                   -- Challenge day whose submission earned the badge
+  value          NUMERIC(12, 2),         -- Metric value at the moment of unlocking
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tg_id, achievement_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_achievements_unlocked ON user_achievements (tg_id, unlocked_at DESC);
+CREATE INDEX IF NOT EXISTS idx_user_achievements_achievement ON user_achievements (achievement_id);
@@ -0,0 +1,56 @@
+-- 012_notification_events.sql - BOT NOTIFICATION OUTBOX
+-- The backend queues events (badge unlocked, streak milestone, streak at risk); the bot
+-- claims pending events over the API, sends them and reports back.
+-- dedupe_key makes queueing idempotent: the same event is never stored twice.
+
+CREATE TABLE IF NOT EXISTS notification_events (
+  id          BIGSERIAL PRIMARY KEY,
+  tg_id       BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+  type        TEXT NOT NULL CHECK (type IN ('achievement_unlocked', 'streak_milestone', 'streak_at_risk')),
+  payload     JSONB NOT NULL DEFAULT '{}',
+  dedupe_key  TEXT NOT NULL UNIQUE,
+  status      TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'sent', 'failed')),
+  attempts    INTEGER NOT NULL DEFAULT 0,
+  last_error  TEXT,
+  claimed_at  TIMESTAMPTZ,
+  sent_at     TIMESTAMPTZ,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_events_pending ON notification_events (status, created_at)
+  WHERE status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS idx_notification_events_user ON notification_events (tg_id, created_at DESC);
+
+-- Per-user toggles keyed by event type; a missing key means enabled.
+-- timezone decides when a user's day ends for streak warnings (NULL = DEFAULT_TIMEZONE).
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS notification_preferences JSONB NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+-- Claim a batch for delivery. Events stuck in processing (bot crashed mid-send) are
+-- reclaimed after p_stale_seconds; SKIP LOCKED lets several bot instances poll safely.
+CREATE OR REPLACE FUNCTION claim_notification_events(
+  p_limit         INTEGER DEFAULT 50,
+  p_max_attempts  INTEGER DEFAULT 3,
+  p_stale_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF notification_events
+LANGUAGE sql VOLATILE AS $$
+  UPDATE notification_events e
+  SET status = 'processing',
+      claimed_at = NOW(),
+      attempts = e.attempts + 1
+  WHERE e.id IN (
+    SELECT n.id
+    FROM notification_events n
+    WHERE n.attempts < p_max_attempts
+      AND (
+        n.status = 'pending'
+        OR (n.status = 'processing' AND n.claimed_at < NOW() - make_interval(secs => p_stale_seconds))
+      )
+    ORDER BY n.created_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING e.*;
+$$;
@@ -0,0 +1,26 @@
+-- 013_user_preferences.sql - USER PREFERENCES
+-- Preferences live on users: notification toggles (notification_preferences, added in 012),
+-- language, timezone (also added in 012), streak reminder time and profile visibility.
+-- NULL timezone / reminder_time fall back to DEFAULT_TIMEZONE / STREAK_REMINDER_TIME.
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'uz',
+  ADD COLUMN IF NOT EXISTS timezone TEXT,
+  ADD COLUMN IF NOT EXISTS reminder_time TEXT,
+  ADD COLUMN IF NOT EXISTS profile_visibility TEXT NOT NULL DEFAULT 'public';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_language_check;
+ALTER TABLE users ADD CONSTRAINT users_language_check CHECK (language IN ('uz', 'ru', 'en'));
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_reminder_time_check;
+ALTER TABLE users ADD CONSTRAINT users_reminder_time_check
+  CHECK (reminder_time IS NULL OR reminder_time ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$');
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_profile_visibility_check;
+ALTER TABLE users ADD CONSTRAINT users_profile_visibility_check
+  CHECK (profile_visibility IN ('public', 'private'));
+
+-- Existing users get explicit notification toggles (missing keys already meant "on")
+UPDATE users
+SET notification_preferences =
+  '{"achievement_unlocked": true, "streak_milestone": true, "streak_at_risk": true}'::JSONB || notification_preferences;
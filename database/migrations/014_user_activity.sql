@@ -0,0 +1,22 @@
+-- 014_user_activity.sql - USER ACTIVITY TIMELINE
+-- One row per user-visible action (progress submitted, profile or photo changed, account
+-- approved, badge unlocked). Rows are written next to the matching logger.userAction call
+-- and read back newest first for the Mini App timeline.
+-- occurred_at is when the action happened; for badges recorded by a backfill this is the
+-- historical unlock time, so the timeline stays in real order. activity_date is the user's
+-- calendar day at that moment (their timezone), which the date range filter uses.
+
+CREATE TABLE IF NOT EXISTS user_activity (
+  id            BIGSERIAL PRIMARY KEY,
+  tg_id         BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+  type          TEXT NOT NULL CHECK (type IN (
+                  'progress_submitted', 'profile_updated', 'photo_uploaded', 'approved', 'achievement_unlocked'
+                )),
+  details       JSONB NOT NULL DEFAULT '{}',
+  occurred_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  activity_date DATE NOT NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_activity_timeline ON user_activity (tg_id, occurred_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_user_activity_date ON user_activity (tg_id, activity_date);
@@ -0,0 +1,142 @@
+-- 015_admin_analytics.sql - ADMIN ANALYTICS AGGREGATION
+-- Totals and daily chart series for the admin panel, aggregated in the database.
+-- p_start_date NULL means all time (the series then starts at the first registration or
+-- submission). daily_progress.date is already the user's challenge day; registration and
+-- approval timestamps are bucketed into days in p_timezone.
+
+CREATE INDEX IF NOT EXISTS idx_users_registration_date ON users (registration_date);
+CREATE INDEX IF NOT EXISTS idx_users_approval_date ON users (approval_date);
+
+-- Period totals (one row)
+CREATE OR REPLACE FUNCTION admin_analytics_summary(
+  p_start_date DATE DEFAULT NULL,
+  p_end_date   DATE DEFAULT NULL,
+  p_timezone   TEXT DEFAULT 'Asia/Tashkent'
+)
+RETURNS TABLE (
+  new_registrations BIGINT,
+  new_approvals     BIGINT,
+  approved_before   BIGINT,
+  submissions       BIGINT,
+  active_users      BIGINT,
+  tasks_completed   BIGINT,
+  total_pages       BIGINT,
+  total_distance    NUMERIC,
+  first_date        DATE
+)
+LANGUAGE sql STABLE AS $$
+  WITH progress AS (
+    SELECT
+      COUNT(*)::BIGINT                             AS submissions,
+      COUNT(DISTINCT dp.tg_id)::BIGINT             AS active_users,
+      COALESCE(SUM(dp.completed_count), 0)::BIGINT AS tasks_completed,
+      COALESCE(SUM(dp.pages_read), 0)::BIGINT      AS total_pages,
+      COALESCE(SUM(dp.distance_km), 0)::NUMERIC    AS total_distance
+    FROM daily_progress dp
+    WHERE (p_start_date IS NULL OR dp.date >= p_start_date)
+      AND (p_end_date IS NULL OR dp.date <= p_end_date)
+  ),
+  members AS (
+    SELECT
+      COUNT(*) FILTER (
+        WHERE (p_start_date IS NULL OR (u.registration_date AT TIME ZONE p_timezone)::DATE >= p_start_date)
+          AND (p_end_date IS NULL OR (u.registration_date AT TIME ZONE p_timezone)::DATE <= p_end_date)
+      )::BIGINT AS new_registrations,
+      COUNT(*) FILTER (
+        WHERE u.status = 'approved'
+          AND u.approval_date IS NOT NULL
+          AND (p_start_date IS NULL OR (u.approval_date AT TIME ZONE p_timezone)::DATE >= p_start_date)
+          AND (p_end_date IS NULL OR (u.approval_date AT TIME ZONE p_timezone)::DATE <= p_end_date)
+      )::BIGINT AS new_approvals,
+      -- Members approved before the period (users approved before approval_date was stored count by registration)
+      COUNT(*) FILTER (
+        WHERE u.status = 'approved'
+          AND p_start_date IS NOT NULL
+          AND (COALESCE(u.approval_date, u.registration_date) AT TIME ZONE p_timezone)::DATE < p_start_date
+      )::BIGINT AS approved_before
+    FROM users u
+  )
+  SELECT
+    m.new_registrations, m.new_approvals, m.approved_before,
+    p.submissions, p.active_users, p.tasks_completed, p.total_pages, p.total_distance,
+    COALESCE(p_start_date, LEAST(
+      (SELECT MIN(dp.date) FROM daily_progress dp),
+      (SELECT MIN((u.registration_date AT TIME ZONE p_timezone)::DATE) FROM users u)
+    )) AS first_date
+  FROM members m, progress p;
+$$;
+
+-- One row per day of the range, including days without activity.
+-- task_completions maps task template id -> submissions that completed it that day.
+CREATE OR REPLACE FUNCTION admin_analytics_daily(
+  p_start_date DATE,
+  p_end_date   DATE,
+  p_timezone   TEXT DEFAULT 'Asia/Tashkent'
+)
+RETURNS TABLE (
+  date             DATE,
+  registrations    BIGINT,
+  approvals        BIGINT,
+  submissions      BIGINT,
+  tasks_completed  BIGINT,
+  pages_read       BIGINT,
+  distance_km      NUMERIC,
+  task_completions JSONB
+)
+LANGUAGE sql STABLE AS $$
+  WITH days AS (
+    SELECT d::DATE AS date
+    FROM generate_series(p_start_date, p_end_date, INTERVAL '1 day') d
+  ),
+  progress AS (
+    SELECT
+      dp.date,
+      COUNT(*)::BIGINT                             AS submissions,
+      COALESCE(SUM(dp.completed_count), 0)::BIGINT AS tasks_completed,
+      COALESCE(SUM(dp.pages_read), 0)::BIGINT      AS pages_read,
+      COALESCE(SUM(dp.distance_km), 0)::NUMERIC    AS distance_km
+    FROM daily_progress dp
+    WHERE dp.date BETWEEN p_start_date AND p_end_date
+    GROUP BY dp.date
+  ),
+  completions AS (
+    SELECT c.date, jsonb_object_agg(c.task_id, c.completed) AS task_completions
+    FROM (
+      SELECT dp.date, t.key AS task_id, COUNT(*)::BIGINT AS completed
+      FROM daily_progress dp
+      CROSS JOIN LATERAL jsonb_each(COALESCE(dp.tasks, '{}'::JSONB)) t
+      WHERE dp.date BETWEEN p_start_date AND p_end_date
+        AND t.value = 'true'::JSONB
+      GROUP BY dp.date, t.key
+    ) c
+    GROUP BY c.date
+  ),
+  registrations AS (
+    SELECT (u.registration_date AT TIME ZONE p_timezone)::DATE AS date, COUNT(*)::BIGINT AS registrations
+    FROM users u
+    WHERE (u.registration_date AT TIME ZONE p_timezone)::DATE BETWEEN p_start_date AND p_end_date
+    GROUP BY 1
+  ),
+  approvals AS (
+    SELECT (u.approval_date AT TIME ZONE p_timezone)::DATE AS date, COUNT(*)::BIGINT AS approvals
+    FROM users u
+    WHERE u.status = 'approved'
+      AND (u.approval_date AT TIME ZONE p_timezone)::DATE BETWEEN p_start_date AND p_end_date
+    GROUP BY 1
+  )
+  SELECT
+    d.date,
+    COALESCE(r.registrations, 0),
+    COALESCE(a.approvals, 0),
+    COALESCE(p.submissions, 0),
+    COALESCE(p.tasks_completed, 0),
+    COALESCE(p.pages_read, 0),
+    COALESCE(p.distance_km, 0),
+    COALESCE(c.task_completions, '{}'::JSONB)
+  FROM days d
+  LEFT JOIN progress p ON p.date = d.date
+  LEFT JOIN completions c ON c.date = d.date
+  LEFT JOIN registrations r ON r.date = d.date
+  LEFT JOIN approvals a ON a.date = d.date
+  ORDER BY d.date;
+$$;
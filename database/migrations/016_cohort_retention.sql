@@ -0,0 +1,65 @@
+-- 016_cohort_retention.sql - COHORT RETENTION REPORT
+-- Approved users are grouped into cohorts by the week (ISO, Monday start) or month of their
+-- approval day in p_timezone. Week N of a member is days 7N..7N+6 after their own approval
+-- day; they count as retained in week N if they submitted progress on any of those days.
+-- A member is only eligible for week N once that week has fully passed (ends before p_today),
+-- so young cohorts are not dragged down by weeks that are still running.
+
+CREATE OR REPLACE FUNCTION cohort_retention(
+  p_cohort     TEXT,
+  p_start_date DATE,
+  p_end_date   DATE,
+  p_weeks      INTEGER DEFAULT 8,
+  p_timezone   TEXT DEFAULT 'Asia/Tashkent',
+  p_today      DATE DEFAULT CURRENT_DATE
+)
+RETURNS TABLE (
+  cohort_start DATE,
+  week_offset  INTEGER,
+  cohort_size  BIGINT,
+  eligible     BIGINT,
+  retained     BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  WITH members AS (
+    -- Users approved before approval_date was stored fall back to their registration day
+    SELECT
+      u.tg_id,
+      (COALESCE(u.approval_date, u.registration_date) AT TIME ZONE p_timezone)::DATE AS approved_on
+    FROM users u
+    WHERE u.status = 'approved'
+  ),
+  cohorts AS (
+    SELECT
+      m.tg_id,
+      m.approved_on,
+      CASE p_cohort
+        WHEN 'month' THEN date_trunc('month', m.approved_on)::DATE
+        ELSE date_trunc('week', m.approved_on)::DATE
+      END AS cohort_start
+    FROM members m
+    WHERE m.approved_on BETWEEN p_start_date AND p_end_date
+  ),
+  offsets AS (
+    SELECT generate_series(0, p_weeks) AS week_offset
+  ),
+  activity AS (
+    SELECT DISTINCT c.tg_id, ((dp.date - c.approved_on) / 7)::INTEGER AS week_offset
+    FROM cohorts c
+    JOIN daily_progress dp
+      ON dp.tg_id = c.tg_id
+     AND dp.date >= c.approved_on
+     AND dp.date < c.approved_on + (p_weeks + 1) * 7
+  )
+  SELECT
+    c.cohort_start,
+    o.week_offset,
+    COUNT(*)::BIGINT AS cohort_size,
+    COUNT(*) FILTER (WHERE c.approved_on + o.week_offset * 7 + 6 < p_today)::BIGINT AS eligible,
+    COUNT(a.tg_id) FILTER (WHERE c.approved_on + o.week_offset * 7 + 6 < p_today)::BIGINT AS retained
+  FROM cohorts c
+  CROSS JOIN offsets o
+  LEFT JOIN activity a ON a.tg_id = c.tg_id AND a.week_offset = o.week_offset
+  GROUP BY c.cohort_start, o.week_offset
+  ORDER BY c.cohort_start, o.week_offset;
+$$;
@@ -0,0 +1,23 @@
+-- 017_system_logs.sql - PERSISTENT APPLICATION LOGS
+-- Structured logger records when LOG_SINK=database. The backend inserts them in batches;
+-- GET /api/admin/logs reads them and the cleanup_logs maintenance operation deletes rows
+-- older than LOG_RETENTION_DAYS.
+-- tg_id has no foreign key: records may mention users that are unregistered or deleted.
+
+CREATE TABLE IF NOT EXISTS system_logs (
+  id          BIGSERIAL PRIMARY KEY,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  level       TEXT NOT NULL CHECK (level IN ('error', 'warn', 'info', 'debug', 'trace')),
+  category    TEXT NOT NULL DEFAULT 'general',
+  message     TEXT NOT NULL DEFAULT '',
+  tg_id       BIGINT,
+  context     JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_system_logs_created ON system_logs (created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_system_logs_level ON system_logs (level, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_system_logs_user ON system_logs (tg_id, created_at DESC) WHERE tg_id IS NOT NULL;
+
+-- Text search uses ILIKE '%term%'
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_system_logs_message_trgm ON system_logs USING gin (message gin_trgm_ops);
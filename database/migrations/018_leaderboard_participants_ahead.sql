@@ -0,0 +1,55 @@
+-- 018_leaderboard_participants_ahead.sql - PERCENTILE INPUT
+-- leaderboard_position also returns participants_ahead: how many participants have a strictly
+-- higher score. It equals the competition rank minus 1 in every ranking mode, so tied
+-- participants share a percentile and compressed dense ranks cannot inflate it.
+
+DROP FUNCTION IF EXISTS leaderboard_position(BIGINT, TEXT, DATE, DATE, INTEGER, DATE, INTEGER, JSONB, TEXT);
+
+CREATE OR REPLACE FUNCTION leaderboard_position(
+  p_tg_id         BIGINT,
+  p_type          TEXT,
+  p_start_date    DATE DEFAULT NULL,
+  p_end_date      DATE DEFAULT NULL,
+  p_surrounding   INTEGER DEFAULT 3,
+  p_today         DATE DEFAULT CURRENT_DATE,
+  p_min_completed INTEGER DEFAULT 1,
+  p_weights       JSONB DEFAULT '{"submission_ratio": 0.5, "streak": 0.3, "completion": 0.2}',
+  p_rank_mode     TEXT DEFAULT 'competition'
+)
+RETURNS TABLE (
+  tg_id              BIGINT,
+  name               TEXT,
+  photo_url          TEXT,
+  is_premium         BOOLEAN,
+  total_points       NUMERIC,
+  total_pages        BIGINT,
+  total_distance     NUMERIC,
+  days_count         BIGINT,
+  score              NUMERIC,
+  rank               BIGINT,
+  list_position      BIGINT,
+  period_days        INTEGER,
+  submission_ratio   NUMERIC,
+  current_streak     INTEGER,
+  longest_streak     INTEGER,
+  streak_ratio       NUMERIC,
+  average_completion NUMERIC,
+  total_count        BIGINT,
+  participants_ahead BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  WITH ranked AS (
+    SELECT
+      r.*,
+      COUNT(*) OVER () AS total_count,
+      RANK() OVER (ORDER BY r.score DESC) - 1 AS participants_ahead
+    FROM leaderboard_ranked(p_type, p_start_date, p_end_date, p_today, p_min_completed, p_weights, p_rank_mode) r
+  ),
+  me AS (
+    SELECT ranked.list_position FROM ranked WHERE ranked.tg_id = p_tg_id
+  )
+  SELECT ranked.*
+  FROM ranked, me
+  WHERE ranked.list_position BETWEEN me.list_position - p_surrounding AND me.list_position + p_surrounding
+  ORDER BY ranked.list_position;
+$$;
@@ -0,0 +1,55 @@
+-- 019_notification_claim_cleanup.sql - SETTLE EVENTS THAT CAN NO LONGER BE DELIVERED
+-- claim_notification_events settles two kinds of event in the same UPDATE that claims the batch:
+--   * stale processing events that already used p_max_attempts become 'failed'
+--     (before, they were skipped by the attempts filter and stayed in processing forever)
+--   * events whose type the user has since turned off become 'skipped'
+--     (preferences were only checked when the event was queued)
+-- Only the events moved to processing are returned to the bot.
+
+ALTER TABLE notification_events DROP CONSTRAINT IF EXISTS notification_events_status_check;
+ALTER TABLE notification_events ADD CONSTRAINT notification_events_status_check
+  CHECK (status IN ('pending', 'processing', 'sent', 'failed', 'skipped'));
+
+CREATE OR REPLACE FUNCTION claim_notification_events(
+  p_limit         INTEGER DEFAULT 50,
+  p_max_attempts  INTEGER DEFAULT 3,
+  p_stale_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF notification_events
+LANGUAGE sql VOLATILE AS $$
+  WITH candidates AS (
+    SELECT
+      n.id,
+      CASE
+        -- A missing key means enabled, same as isEnabledForUser
+        WHEN u.notification_preferences ->> n.type = 'false' THEN 'skipped'
+        WHEN n.attempts >= p_max_attempts THEN 'failed'
+        ELSE 'processing'
+      END AS next_status
+    FROM notification_events n
+    JOIN users u ON u.tg_id = n.tg_id
+    WHERE n.status = 'pending'
+       OR (n.status = 'processing' AND n.claimed_at < NOW() - make_interval(secs => p_stale_seconds))
+    ORDER BY n.created_at
+    LIMIT p_limit
+    FOR UPDATE OF n SKIP LOCKED
+  ),
+  settled AS (
+    UPDATE notification_events e
+    SET status = c.next_status,
+        claimed_at = CASE WHEN c.next_status = 'processing' THEN NOW() ELSE e.claimed_at END,
+        attempts = CASE WHEN c.next_status = 'processing' THEN e.attempts + 1 ELSE e.attempts END,
+        last_error = CASE c.next_status
+          WHEN 'failed' THEN COALESCE(e.last_error, 'Not acknowledged after ' || e.attempts || ' attempts')
+          WHEN 'skipped' THEN 'Disabled in notification preferences'
+          ELSE e.last_error
+        END
+    FROM candidates c
+    WHERE e.id = c.id
+    RETURNING e.*
+  )
+  SELECT *
+  FROM settled
+  WHERE status = 'processing'
+  ORDER BY created_at;
+$$;
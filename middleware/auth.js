@@ -0,0 +1,307 @@
+// middleware/auth.js - AUTHENTICATION MIDDLEWARE (TELEGRAM WEBAPP & JWT)
+import crypto from 'crypto';
+import { createError } from './errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { sessionService } from '../services/sessionService.js';
+import { adminService } from '../services/adminService.js';
+import config from '../config/config.js';
+
+/**
+ * Authorization schemes:
+ * - "Authorization: tma <initData>" - raw Telegram Mini App init data
+ * - "Authorization: Bearer <access_token>" - session token from POST /api/auth/login
+ */
+const TELEGRAM_AUTH_SCHEME = 'tma';
+const BEARER_AUTH_SCHEME = 'Bearer';
+
+/**
+ * How far ahead of the server clock auth_date may be (seconds)
+ */
+const INIT_DATA_MAX_CLOCK_SKEW = 60;
+
+// ==================== INIT DATA VERIFICATION ====================
+
+/**
+ * Verify Telegram Mini App initData signature and freshness
+ * @see https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ * @param {string} initData - Raw initData query string from Telegram.WebApp.initData
+ * @param {string} botToken - Bot token used as HMAC key source
+ * @param {number} maxAgeSeconds - Maximum allowed age of auth_date
+ * @returns {Object} Verified payload ({ user, auth_date, query_id, ... })
+ * @throws {AuthError} If data is missing, tampered with or stale
+ */
+export function verifyTelegramInitData(initData, botToken = config.BOT_TOKEN, maxAgeSeconds = config.TELEGRAM_AUTH_MAX_AGE) {
+  if (!initData || typeof initData !== 'string') {
+    throw createError.unauthorized('Telegram init data required');
+  }
+
+  const params = new URLSearchParams(initData);
+  const receivedHash = params.get('hash');
+
+  if (!receivedHash || !/^[a-f0-9]{64}$/i.test(receivedHash)) {
+    throw createError.unauthorized('Invalid Telegram init data');
+  }
+
+  params.delete('hash');
+
+  // Data-check-string: all fields except hash, sorted by key in code unit order, joined with \n
+  const dataCheckString = [...params.keys()]
+    .sort()
+    .map(key => `${key}=${params.get(key)}`)
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest();
+
+  if (!crypto.timingSafeEqual(expectedHash, Buffer.from(receivedHash, 'hex'))) {
+    throw createError.unauthorized('Invalid Telegram init data signature');
+  }
+
+  // Reject stale init data
+  const authDate = parseInt(params.get('auth_date'));
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  if (isNaN(authDate) || nowSeconds - authDate > maxAgeSeconds) {
+    throw createError.unauthorized('Telegram init data expired');
+  }
+
+  if (authDate - nowSeconds > INIT_DATA_MAX_CLOCK_SKEW) {
+    throw createError.unauthorized('Telegram init data issued in the future');
+  }
+
+  let user = null;
+  try {
+    user = JSON.parse(params.get('user') || 'null');
+  } catch (error) {
+    throw createError.unauthorized('Invalid Telegram user data');
+  }
+
+  if (!user || !Number.isInteger(user.id) || user.id <= 0) {
+    throw createError.unauthorized('Telegram user missing from init data');
+  }
+
+  return {
+    user,
+    auth_date: authDate,
+    query_id: params.get('query_id') || null,
+    start_param: params.get('start_param') || null
+  };
+}
+
+/**
+ * Check service API key (used by the Telegram bot)
+ * @param {string} apiKey - Provided API key
+ * @returns {boolean} Whether key matches configured service key
+ */
+function isValidServiceKey(apiKey) {
+  if (!apiKey || !config.SERVICE_API_KEY) {
+    return false;
+  }
+
+  const provided = Buffer.from(String(apiKey));
+  const expected = Buffer.from(config.SERVICE_API_KEY);
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// ==================== AUTHENTICATION MIDDLEWARE ====================
+
+/**
+ * Authenticate request via Telegram initData, session token or service API key
+ * Attaches req.auth = { tg_id, telegram_user, auth_date, session_id, method }
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const apiKey = req.get('X-API-Key');
+
+    // Trusted backend services (bot) act on behalf of the user in the request
+    if (apiKey) {
+      if (!isValidServiceKey(apiKey)) {
+        logger.security('Invalid service API key', {
+          ip: req.ip,
+          path: req.path
+        });
+        throw createError.unauthorized('Invalid API key');
+      }
+
+      req.auth = {
+        tg_id: null,
+        telegram_user: null,
+        auth_date: null,
+        session_id: null,
+        method: 'service'
+      };
+
+      return next();
+    }
+
+    const authHeader = req.get('Authorization') || '';
+    const [scheme, ...rest] = authHeader.split(' ');
+    const credentials = rest.join(' ');
+
+    if (scheme === BEARER_AUTH_SCHEME && credentials) {
+      const session = await sessionService.verifyAccessToken(credentials);
+
+      req.auth = {
+        tg_id: session.tg_id,
+        telegram_user: null,
+        auth_date: null,
+        session_id: session.session_id,
+        method: 'jwt'
+      };
+
+      return next();
+    }
+
+    if (scheme !== TELEGRAM_AUTH_SCHEME || !credentials) {
+      throw createError.unauthorized('Telegram authentication required');
+    }
+
+    const verified = verifyTelegramInitData(credentials);
+
+    req.auth = {
+      tg_id: verified.user.id,
+      telegram_user: verified.user,
+      auth_date: verified.auth_date,
+      session_id: null,
+      method: 'telegram'
+    };
+
+    next();
+  } catch (error) {
+    if (error.statusCode === 401) {
+      logger.security('Authentication rejected', {
+        reason: error.message,
+        ip: req.ip,
+        path: req.path
+      });
+    }
+    next(error);
+  }
+}
+
+/**
+ * Ensure the authenticated user matches the user addressed by the request
+ * For service requests the addressed user becomes req.auth.tg_id
+ * @param {string} source - Where the claimed tg_id lives (params, body)
+ * @returns {Function} Express middleware
+ */
+export function authorizeUser(source = 'params') {
+  return (req, res, next) => {
+    if (!req.auth) {
+      throw createError.unauthorized('Authentication required');
+    }
+
+    const claimed = req[source]?.tg_id;
+    const claimedId = claimed !== undefined && claimed !== null && claimed !== ''
+      ? parseInt(claimed)
+      : null;
+
+    if (req.auth.method === 'service') {
+      if (!claimedId || isNaN(claimedId) || claimedId <= 0) {
+        throw createError.badRequest('Telegram ID required for service requests');
+      }
+
+      req.auth.tg_id = claimedId;
+      return next();
+    }
+
+    if (claimedId !== null && claimedId !== req.auth.tg_id) {
+      logger.security('User ID mismatch', {
+        authenticated_id: req.auth.tg_id,
+        claimed_id: claimed,
+        ip: req.ip,
+        path: req.path
+      });
+      throw createError.forbidden('Access to another user\'s data is not allowed');
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require authenticated admin with given permission
+ * Attaches req.admin = { tg_id, role, permissions, ... }
+ * @param {string} permission - Required permission (APP_CONSTANTS.ADMIN_PERMISSIONS)
+ * @param {Object} options - { allowServiceDelegation } - accept the bot's service key with the
+ *   acting admin named in X-Admin-Id; only for the bot's approval routes
+ * @returns {Function} Express middleware
+ */
+export function requireAdminPermission(permission, { allowServiceDelegation = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      if (req.auth?.method === 'service' && !allowServiceDelegation) {
+        logger.security('Service key used on admin route', {
+          permission,
+          ip: req.ip,
+          path: req.path
+        });
+        throw createError.forbidden('Admin routes require an admin\'s own authentication');
+      }
+
+      // The bot authenticates with the service key and names the admin who
+      // pressed the button (taken from Telegram's callback query)
+      const adminId = req.auth?.method === 'service'
+        ? parseInt(req.get('X-Admin-Id'))
+        : req.auth?.tg_id;
+
+      if (!adminId || isNaN(adminId)) {
+        throw createError.unauthorized('Admin authentication required');
+      }
+
+      const admin = await adminService.getAdmin(adminId);
+
+      if (!admin || !adminService.hasPermission(admin.role, permission)) {
+        logger.security('Admin access denied', {
+          tg_id: adminId,
+          via: req.auth.method,
+          role: admin?.role || null,
+          permission,
+          ip: req.ip,
+          path: req.path
+        });
+        throw createError.forbidden('Admin access denied');
+      }
+
+      req.admin = admin;
+
+      logger.info('Admin access granted:', {
+        admin_id: admin.tg_id,
+        role: admin.role,
+        via: req.auth.method,
+        path: req.path,
+        method: req.method
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Require the service API key (bot-only endpoints)
+ * Must run after authenticate.
+ */
+export function requireService(req, res, next) {
+  if (req.auth?.method !== 'service') {
+    logger.security('Service access denied', {
+      via: req.auth?.method || null,
+      ip: req.ip,
+      path: req.path
+    });
+    throw createError.forbidden('Service access only');
+  }
+
+  next();
+}
+
+export default {
+  verifyTelegramInitData,
+  authenticate,
+  authorizeUser,
+  requireAdminPermission,
+  requireService
+};
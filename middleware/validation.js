@@ -3,6 +3,7 @@ import Joi from 'joi';
 import { createError } from './errorHandler.js';
 import { logger } from '../utils/logger.js';
 import { APP_CONSTANTS } from '../config/config.js';
+import { getToday, isValidTimezone } from '../utils/helpers.js';
 
 // ==================== VALIDATION SCHEMAS ====================
 
@@ -71,22 +72,23 @@ const dailyProgressSchema = Joi.object({
   tg_id: Joi.alternatives().try(
     Joi.number().integer().positive(),
     Joi.string().pattern(/^\d+$/).custom((value) => parseInt(value))
-  ).required(),
+  ),
   
   date: Joi.string()
     .pattern(/^\d{4}-\d{2}-\d{2}$/)
-    .default(() => new Date().toISOString().split('T')[0])
+    .default(() => getToday())
     .messages({
       'string.pattern.base': 'Date must be in YYYY-MM-DD format'
     }),
   
+  // Task ids and limits come from the active task templates (checked in the controller)
   tasks: Joi.object().pattern(
-    /^[1-9]|10$/,
+    /^\d+$/,
     Joi.boolean()
   ).default({}),
   
   task_inputs: Joi.object().pattern(
-    /^[1-9]|10$/,
+    /^\d+$/,
     Joi.alternatives().try(
       Joi.number().min(0),
       Joi.string().trim()
@@ -96,34 +98,69 @@ const dailyProgressSchema = Joi.object({
   pages_read: Joi.number()
     .integer()
     .min(APP_CONSTANTS.TASKS.MIN_PAGES_READ)
-    .max(APP_CONSTANTS.TASKS.MAX_PAGES_READ)
     .default(0)
     .messages({
-      'number.min': `Pages read must be at least ${APP_CONSTANTS.TASKS.MIN_PAGES_READ}`,
-      'number.max': `Pages read cannot exceed ${APP_CONSTANTS.TASKS.MAX_PAGES_READ}`
+      'number.min': `Pages read must be at least ${APP_CONSTANTS.TASKS.MIN_PAGES_READ}`
     }),
   
   distance_km: Joi.number()
     .min(APP_CONSTANTS.TASKS.MIN_DISTANCE)
-    .max(APP_CONSTANTS.TASKS.MAX_DISTANCE)
     .precision(2)
     .default(0)
     .messages({
-      'number.min': `Distance must be at least ${APP_CONSTANTS.TASKS.MIN_DISTANCE} km`,
-      'number.max': `Distance cannot exceed ${APP_CONSTANTS.TASKS.MAX_DISTANCE} km`
+      'number.min': `Distance must be at least ${APP_CONSTANTS.TASKS.MIN_DISTANCE} km`
     })
 });
 
 /**
- * Leaderboard query validation schema
+ * Leaderboard period fields
+ * week, month and from/to select a fixed range and take precedence over period/mode.
  */
-const leaderboardQuerySchema = Joi.object({
+const periodRangeFields = {
   period: Joi.string()
     .valid(...Object.values(APP_CONSTANTS.TIME_PERIODS))
     .default('all')
     .messages({
       'any.only': `Period must be one of: ${Object.values(APP_CONSTANTS.TIME_PERIODS).join(', ')}`
     }),
+
+  mode: Joi.string()
+    .valid(...Object.values(APP_CONSTANTS.PERIOD_MODES))
+    .default(APP_CONSTANTS.PERIOD_MODES.ROLLING)
+    .messages({
+      'any.only': `Mode must be one of: ${Object.values(APP_CONSTANTS.PERIOD_MODES).join(', ')}`
+    }),
+
+  week: Joi.string()
+    .pattern(/^\d{4}-W\d{2}$/)
+    .messages({
+      'string.pattern.base': 'Week must be in YYYY-Www format (e.g. 2024-W09)'
+    }),
+
+  month: Joi.string()
+    .pattern(/^\d{4}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'Month must be in YYYY-MM format'
+    }),
+
+  from: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'From date must be in YYYY-MM-DD format'
+    }),
+
+  to: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'To date must be in YYYY-MM-DD format'
+    })
+};
+
+/**
+ * Leaderboard query validation schema
+ */
+const leaderboardQuerySchema = Joi.object({
+  ...periodRangeFields,
   
   type: Joi.string()
     .valid(...Object.values(APP_CONSTANTS.LEADERBOARD_TYPES))
@@ -142,6 +179,250 @@ const leaderboardQuerySchema = Joi.object({
       'number.max': 'Limit cannot exceed 1000'
     }),
   
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.min': 'Offset must be >= 0'
+    }),
+
+  ranking: Joi.string()
+    .valid(...Object.values(APP_CONSTANTS.RANKING_MODES))
+    .messages({
+      'any.only': `Ranking must be one of: ${Object.values(APP_CONSTANTS.RANKING_MODES).join(', ')}`
+    })
+})
+  .oxor('week', 'month', 'from')
+  .with('to', 'from');
+
+/**
+ * Admin export query validation schema
+ */
+const exportQuerySchema = Joi.object({
+  ...periodRangeFields,
+
+  format: Joi.string()
+    .valid('json', 'csv', 'xlsx')
+    .default('json')
+    .messages({
+      'any.only': 'Format must be one of: json, csv, xlsx'
+    }),
+
+  // Comma-separated column names; which names exist depends on the export type
+  columns: Joi.string()
+    .pattern(/^[a-z_]+(,[a-z_]+)*$/)
+    .custom(value => [...new Set(value.split(','))])
+    .messages({
+      'string.pattern.base': 'Columns must be a comma-separated list of column names'
+    }),
+
+  status: Joi.string()
+    .valid('all', ...Object.values(APP_CONSTANTS.USER_STATUS))
+    .messages({
+      'any.only': `Status must be one of: all, ${Object.values(APP_CONSTANTS.USER_STATUS).join(', ')}`
+    }),
+
+  leaderboard_type: leaderboardQuerySchema.extract('type')
+})
+  .oxor('week', 'month', 'from')
+  .with('to', 'from');
+
+/**
+ * Admin analytics query validation schema
+ */
+const analyticsQuerySchema = Joi.object({
+  ...periodRangeFields,
+
+  period: periodRangeFields.period.default(APP_CONSTANTS.TIME_PERIODS.WEEKLY)
+})
+  .oxor('week', 'month', 'from')
+  .with('to', 'from');
+
+/**
+ * Cohort retention query validation schema
+ */
+const retentionQuerySchema = Joi.object({
+  cohort: Joi.string()
+    .valid(...APP_CONSTANTS.RETENTION.COHORT_TYPES)
+    .default('week')
+    .messages({
+      'any.only': `Cohort must be one of: ${APP_CONSTANTS.RETENTION.COHORT_TYPES.join(', ')}`
+    }),
+
+  weeks: Joi.number()
+    .integer()
+    .min(1)
+    .max(APP_CONSTANTS.RETENTION.MAX_WEEKS)
+    .default(APP_CONSTANTS.RETENTION.DEFAULT_WEEKS)
+    .messages({
+      'number.min': 'Weeks must be at least 1',
+      'number.max': `Weeks cannot exceed ${APP_CONSTANTS.RETENTION.MAX_WEEKS}`
+    }),
+
+  from: periodRangeFields.from,
+  to: periodRangeFields.to,
+
+  format: Joi.string()
+    .valid('json', 'csv')
+    .default('json')
+    .messages({
+      'any.only': 'Format must be one of: json, csv'
+    })
+}).with('to', 'from');
+
+/**
+ * Leaderboard movements query validation schema
+ */
+const leaderboardMovementsQuerySchema = Joi.object({
+  type: leaderboardQuerySchema.extract('type'),
+  period: leaderboardQuerySchema.extract('period'),
+
+  from: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'From date must be in YYYY-MM-DD format'
+    }),
+
+  to: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'To date must be in YYYY-MM-DD format'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+/**
+ * Task summary query validation schema
+ */
+const taskSummaryQuerySchema = Joi.object({
+  period: Joi.string()
+    .valid('week', 'month', 'year')
+    .default('week')
+    .messages({
+      'any.only': 'Period must be one of: week, month, year'
+    }),
+
+  from: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'From date must be in YYYY-MM-DD format'
+    }),
+
+  to: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'To date must be in YYYY-MM-DD format'
+    })
+}).with('to', 'from');
+
+/**
+ * User activity timeline query validation schema
+ * type accepts one type or a comma-separated list
+ */
+const activityQuerySchema = Joi.object({
+  type: Joi.string()
+    .custom((value, helpers) => {
+      const types = [...new Set(value.split(',').map(type => type.trim()).filter(Boolean))];
+      const known = Object.values(APP_CONSTANTS.ACTIVITY_TYPES);
+      return types.every(type => known.includes(type)) ? types : helpers.error('any.only');
+    })
+    .messages({
+      'any.only': `Type must be one or more of: ${Object.values(APP_CONSTANTS.ACTIVITY_TYPES).join(', ')}`
+    }),
+
+  from: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'From date must be in YYYY-MM-DD format'
+    }),
+
+  to: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'To date must be in YYYY-MM-DD format'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(30)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.min': 'Offset must be >= 0'
+    })
+});
+
+/**
+ * System logs query validation schema
+ * level accepts one level, a comma-separated list or "all"
+ */
+const logsQuerySchema = Joi.object({
+  level: Joi.string()
+    .custom((value, helpers) => {
+      if (value === 'all') return [];
+      const levels = [...new Set(value.split(',').map(level => level.trim()).filter(Boolean))];
+      return levels.every(level => APP_CONSTANTS.LOG_LEVELS.includes(level)) ? levels : helpers.error('any.only');
+    })
+    .default([])
+    .messages({
+      'any.only': `Level must be "all" or one or more of: ${APP_CONSTANTS.LOG_LEVELS.join(', ')}`
+    }),
+
+  start_date: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'Start date must be in YYYY-MM-DD format'
+    }),
+
+  end_date: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'End date must be in YYYY-MM-DD format'
+    }),
+
+  tg_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.positive': 'Telegram ID must be positive'
+    }),
+
+  search: Joi.string()
+    .trim()
+    .max(200)
+    .messages({
+      'string.max': 'Search cannot exceed 200 characters'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(500)
+    .default(100)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 500'
+    }),
+
   offset: Joi.number()
     .integer()
     .min(0)
@@ -158,7 +439,181 @@ const photoUploadSchema = Joi.object({
   tg_id: Joi.alternatives().try(
     Joi.number().integer().positive(),
     Joi.string().pattern(/^\d+$/).custom((value) => parseInt(value))
-  ).required()
+  )
+});
+
+/**
+ * Admin role assignment validation schema
+ */
+const adminRoleSchema = Joi.object({
+  tg_id: Joi.alternatives().try(
+    Joi.number().integer().positive(),
+    Joi.string().pattern(/^\d+$/).custom((value) => parseInt(value))
+  ),
+
+  role: Joi.string()
+    .valid(...Object.values(APP_CONSTANTS.ADMIN_ROLES))
+    .required()
+    .messages({
+      'any.only': `Role must be one of: ${Object.values(APP_CONSTANTS.ADMIN_ROLES).join(', ')}`,
+      'any.required': 'Role is required'
+    }),
+
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .allow(null, '')
+});
+
+/**
+ * User rejection validation schema
+ */
+const rejectionSchema = Joi.object({
+  reason_code: Joi.string()
+    .valid(...Object.keys(APP_CONSTANTS.REJECTION_REASONS))
+    .default('other')
+    .messages({
+      'any.only': `Reason code must be one of: ${Object.keys(APP_CONSTANTS.REJECTION_REASONS).join(', ')}`
+    }),
+
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .allow(null, '')
+    .messages({
+      'string.max': 'Reason must not exceed 500 characters'
+    })
+});
+
+/**
+ * Task template fields shared by create and update
+ */
+const taskTemplateFields = {
+  title: Joi.string().trim().min(2).max(200),
+  description: Joi.string().trim().max(500).allow(null, ''),
+  type: Joi.string().valid('boolean', 'number'),
+  category: Joi.string().trim().min(2).max(50),
+  points: Joi.number().min(0).max(1000).precision(2),
+  input_label: Joi.string().trim().max(100).allow(null, ''),
+  metric: Joi.string().valid('pages_read', 'distance_km').allow(null),
+  min_value: Joi.number().allow(null),
+  max_value: Joi.number().allow(null),
+  bonus_points: Joi.number().min(0).max(1000).precision(2),
+  bonus_step: Joi.number().positive().allow(null),
+  bonus_cap: Joi.number().min(0).precision(2).allow(null),
+  sort_order: Joi.number().integer(),
+  active_from: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({
+      'string.pattern.base': 'active_from must be in YYYY-MM-DD format'
+    }),
+  is_active: Joi.boolean()
+};
+
+/**
+ * Task template creation validation schema
+ */
+const taskTemplateSchema = Joi.object({
+  ...taskTemplateFields,
+  id: Joi.number().integer().positive().required(),
+  title: taskTemplateFields.title.required(),
+  type: taskTemplateFields.type.required(),
+  category: taskTemplateFields.category.required(),
+  points: taskTemplateFields.points.default(1)
+});
+
+/**
+ * Task template update validation schema
+ */
+const taskTemplateUpdateSchema = Joi.object(taskTemplateFields)
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+/**
+ * User preferences update validation schema
+ */
+const notificationTypes = Object.values(APP_CONSTANTS.NOTIFICATION_TYPES);
+
+const preferencesSchema = Joi.object({
+  // true/false switches every category; an object switches individual ones
+  notifications: Joi.alternatives().try(
+    Joi.boolean(),
+    Joi.object(Object.fromEntries(notificationTypes.map(type => [type, Joi.boolean()])))
+      .min(1)
+      .messages({
+        'object.min': `Notifications must include at least one of: ${notificationTypes.join(', ')}`,
+        'object.unknown': `Notification categories are: ${notificationTypes.join(', ')}`
+      })
+  ).messages({
+    'alternatives.types': 'Notifications must be true/false or an object of toggles'
+  }),
+
+  language: Joi.string()
+    .valid(...Object.values(APP_CONSTANTS.LANGUAGES))
+    .messages({
+      'any.only': `Language must be one of: ${Object.values(APP_CONSTANTS.LANGUAGES).join(', ')}`
+    }),
+
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error('any.invalid')))
+    .allow(null)
+    .messages({
+      'any.invalid': 'Timezone must be a valid IANA name (e.g. Asia/Tashkent)'
+    }),
+
+  reminder_time: Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Reminder time must be in HH:MM format (24h)'
+    }),
+
+  privacy: Joi.object({
+    profile_visibility: Joi.string()
+      .valid(...Object.values(APP_CONSTANTS.PROFILE_VISIBILITY))
+      .messages({
+        'any.only': `Profile visibility must be one of: ${Object.values(APP_CONSTANTS.PROFILE_VISIBILITY).join(', ')}`
+      })
+  }).min(1).messages({
+    'object.min': 'Privacy must include profile_visibility'
+  })
+})
+  .min(1)
+  .messages({
+    'object.min': 'At least one preference must be provided'
+  });
+
+/**
+ * Notification poll query validation schema (bot)
+ */
+const notificationPollQuerySchema = Joi.object({
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(APP_CONSTANTS.NOTIFICATION_DELIVERY.BATCH_SIZE)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+/**
+ * Notification delivery acknowledgement validation schema (bot)
+ */
+const notificationAckSchema = Joi.object({
+  delivered: Joi.boolean()
+    .required()
+    .messages({
+      'any.required': 'delivered is required'
+    }),
+
+  error: Joi.string()
+    .trim()
+    .max(500)
+    .allow(null, '')
 });
 
 // ==================== VALIDATION MIDDLEWARE FACTORY ====================
@@ -232,11 +687,81 @@ export const validateDailyProgress = createValidationMiddleware(dailyProgressSch
  */
 export const validateLeaderboardQuery = createValidationMiddleware(leaderboardQuerySchema, 'query');
 
+/**
+ * Validate task summary query parameters
+ */
+export const validateTaskSummaryQuery = createValidationMiddleware(taskSummaryQuerySchema, 'query');
+
+/**
+ * Admin export query validation middleware
+ */
+export const validateExportQuery = createValidationMiddleware(exportQuerySchema, 'query');
+
+/**
+ * Admin analytics query validation middleware
+ */
+export const validateAnalyticsQuery = createValidationMiddleware(analyticsQuerySchema, 'query');
+
+/**
+ * Cohort retention query validation middleware
+ */
+export const validateRetentionQuery = createValidationMiddleware(retentionQuerySchema, 'query');
+
+/**
+ * System logs query validation middleware
+ */
+export const validateLogsQuery = createValidationMiddleware(logsQuerySchema, 'query');
+
+/**
+ * Leaderboard movements query validation middleware
+ */
+export const validateLeaderboardMovementsQuery = createValidationMiddleware(leaderboardMovementsQuerySchema, 'query');
+
+/**
+ * Validate user activity timeline query
+ */
+export const validateActivityQuery = createValidationMiddleware(activityQuerySchema, 'query');
+
 /**
  * Validate photo upload data
  */
 export const validatePhotoUpload = createValidationMiddleware(photoUploadSchema, 'body');
 
+/**
+ * Validate admin role assignment
+ */
+export const validateAdminRole = createValidationMiddleware(adminRoleSchema, 'body');
+
+/**
+ * Validate user rejection reason
+ */
+export const validateRejection = createValidationMiddleware(rejectionSchema, 'body');
+
+/**
+ * Validate task template creation
+ */
+export const validateTaskTemplate = createValidationMiddleware(taskTemplateSchema, 'body');
+
+/**
+ * Validate task template update
+ */
+export const validateTaskTemplateUpdate = createValidationMiddleware(taskTemplateUpdateSchema, 'body');
+
+/**
+ * Validate user preferences update
+ */
+export const validatePreferences = createValidationMiddleware(preferencesSchema, 'body');
+
+/**
+ * Validate notification poll query
+ */
+export const validateNotificationPollQuery = createValidationMiddleware(notificationPollQuerySchema, 'query');
+
+/**
+ * Validate notification delivery acknowledgement
+ */
+export const validateNotificationAck = createValidationMiddleware(notificationAckSchema, 'body');
+
 // ==================== SPECIFIC VALIDATION HELPERS ====================
 
 /**
@@ -277,41 +802,6 @@ export function validateFileUpload(allowedTypes = [], maxSize = 5 * 1024 * 1024)
   };
 }
 
-/**
- * Validate admin access
- * @param {number} adminId - Admin Telegram ID
- * @returns {Function} Express middleware
- */
-export function validateAdminAccess(adminId) {
-  return (req, res, next) => {
-    const { admin_tg_id } = req.body || req.query || req.headers;
-    
-    if (!admin_tg_id) {
-      throw createError.unauthorized('Admin authentication required');
-    }
-
-    const providedAdminId = parseInt(admin_tg_id);
-    if (isNaN(providedAdminId) || providedAdminId !== adminId) {
-      logger.security('Invalid admin access attempt:', {
-        provided_id: admin_tg_id,
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
-        path: req.path
-      });
-      
-      throw createError.forbidden('Admin access denied');
-    }
-
-    logger.info('Admin access granted:', { 
-      admin_id: providedAdminId,
-      path: req.path,
-      method: req.method 
-    });
-
-    next();
-  };
-}
-
 /**
  * Validate user approval status
  * @returns {Function} Express middleware
@@ -543,9 +1033,22 @@ export default {
   validateUserRegistration,
   validateDailyProgress,
   validateLeaderboardQuery,
+  validateTaskSummaryQuery,
+  validateLeaderboardMovementsQuery,
+  validateActivityQuery,
+  validateExportQuery,
+  validateAnalyticsQuery,
+  validateRetentionQuery,
+  validateLogsQuery,
   validatePhotoUpload,
   validateFileUpload,
-  validateAdminAccess,
+  validateAdminRole,
+  validateRejection,
+  validateTaskTemplate,
+  validateTaskTemplateUpdate,
+  validatePreferences,
+  validateNotificationPollQuery,
+  validateNotificationAck,
   validateUserApproval,
   validateRateLimit,
   validateBodySize,
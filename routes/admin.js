@@ -4,14 +4,27 @@ import { adminController } from '../controllers/adminController.js';
 import { responseService } from '../services/responseService.js';
 import { 
   validateTelegramId,
-  validateAdminAccess 
+  validateAdminRole,
+  validateRejection,
+  validateTaskTemplate,
+  validateTaskTemplateUpdate,
+  validateExportQuery,
+  validateAnalyticsQuery,
+  validateRetentionQuery,
+  validateLogsQuery
 } from '../middleware/validation.js';
-import config from '../config/config.js';
+import { authenticate, requireAdminPermission } from '../middleware/auth.js';
+import { APP_CONSTANTS } from '../config/config.js';
 
 const router = express.Router();
+const PERMISSIONS = APP_CONSTANTS.ADMIN_PERMISSIONS;
 
-// Admin authentication middleware
-const requireAdmin = validateAdminAccess(config.ADMIN_ID);
+// The bot's approve / reject buttons act for the admin who pressed them (X-Admin-Id);
+// every other admin route rejects the service key
+const BOT_DELEGATION = { allowServiceDelegation: true };
+
+// Every admin route requires an authenticated identity; roles are checked per route
+router.use(authenticate);
 
 // ==================== ADMIN ROUTES ====================
 
@@ -20,7 +33,7 @@ const requireAdmin = validateAdminAccess(config.ADMIN_ID);
  * GET /api/admin/pending-users
  */
 router.get('/pending-users',
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.VIEW_USERS),
   responseService.asyncResponse(adminController.getPendingUsers)
 );
 
@@ -30,7 +43,7 @@ router.get('/pending-users',
  */
 router.post('/approve/:tg_id',
   validateTelegramId,
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.APPROVE_USERS, BOT_DELEGATION),
   responseService.asyncResponse(adminController.approveUser)
 );
 
@@ -40,16 +53,26 @@ router.post('/approve/:tg_id',
  */
 router.post('/reject/:tg_id',
   validateTelegramId,
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.APPROVE_USERS, BOT_DELEGATION),
+  validateRejection,
   responseService.asyncResponse(adminController.rejectUser)
 );
 
+/**
+ * Get rejection reason presets
+ * GET /api/admin/rejection-reasons
+ */
+router.get('/rejection-reasons',
+  requireAdminPermission(PERMISSIONS.APPROVE_USERS, BOT_DELEGATION),
+  responseService.asyncResponse(adminController.getRejectionReasons)
+);
+
 /**
  * Get admin dashboard statistics
  * GET /api/admin/dashboard
  */
 router.get('/dashboard',
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.VIEW_ANALYTICS),
   responseService.asyncResponse(adminController.getDashboard)
 );
 
@@ -58,7 +81,7 @@ router.get('/dashboard',
  * GET /api/admin/users
  */
 router.get('/users',
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.VIEW_USERS),
   responseService.asyncResponse(adminController.getAllUsers)
 );
 
@@ -68,25 +91,40 @@ router.get('/users',
  */
 router.patch('/users/:tg_id',
   validateTelegramId,
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.MANAGE_USERS),
   responseService.asyncResponse(adminController.updateUser)
 );
 
 /**
  * Get system analytics
  * GET /api/admin/analytics
+ * Query: period, mode, week, month, from, to (same as the leaderboard; defaults to the last 7 days)
  */
 router.get('/analytics',
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.VIEW_ANALYTICS),
+  validateAnalyticsQuery,
   responseService.asyncResponse(adminController.getAnalytics)
 );
 
 /**
- * Export data (CSV/JSON format)
+ * Get cohort retention report (JSON/CSV format)
+ * GET /api/admin/analytics/retention
+ * Query: cohort (week, month), weeks, from, to (approval dates), format
+ */
+router.get('/analytics/retention',
+  requireAdminPermission(PERMISSIONS.VIEW_ANALYTICS),
+  validateRetentionQuery,
+  responseService.asyncResponse(adminController.getRetention)
+);
+
+/**
+ * Export data (CSV/JSON/XLSX format, streamed)
  * GET /api/admin/export/:type
+ * Query: period filters, format, columns (comma-separated), status, leaderboard_type
  */
 router.get('/export/:type',
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.EXPORT_DATA),
+  validateExportQuery,
   responseService.asyncResponse(adminController.exportData)
 );
 
@@ -95,7 +133,8 @@ router.get('/export/:type',
  * GET /api/admin/logs
  */
 router.get('/logs',
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.VIEW_LOGS),
+  validateLogsQuery,
   responseService.asyncResponse(adminController.getSystemLogs)
 );
 
@@ -104,7 +143,7 @@ router.get('/logs',
  * POST /api/admin/bulk-operations
  */
 router.post('/bulk-operations',
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.BULK_OPERATIONS),
   responseService.asyncResponse(adminController.bulkOperations)
 );
 
@@ -113,7 +152,7 @@ router.post('/bulk-operations',
  * POST /api/admin/maintenance
  */
 router.post('/maintenance',
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.MAINTENANCE),
   responseService.asyncResponse(adminController.maintenance)
 );
 
@@ -122,7 +161,7 @@ router.post('/maintenance',
  * GET /api/admin/activity
  */
 router.get('/activity',
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.VIEW_LOGS),
   responseService.asyncResponse(adminController.getAdminActivity)
 );
 
@@ -131,8 +170,99 @@ router.get('/activity',
  * POST /api/admin/notifications
  */
 router.post('/notifications',
-  requireAdmin,
+  requireAdminPermission(PERMISSIONS.NOTIFICATIONS),
   responseService.asyncResponse(adminController.sendNotification)
 );
 
+// ==================== ADMIN MANAGEMENT ROUTES ====================
+
+/**
+ * Get current admin role and permissions
+ * GET /api/admin/admins/me
+ */
+router.get('/admins/me',
+  requireAdminPermission(PERMISSIONS.VIEW_USERS),
+  responseService.asyncResponse(adminController.getCurrentAdmin)
+);
+
+/**
+ * List admins
+ * GET /api/admin/admins
+ */
+router.get('/admins',
+  requireAdminPermission(PERMISSIONS.MANAGE_ADMINS),
+  responseService.asyncResponse(adminController.listAdmins)
+);
+
+/**
+ * Add admin
+ * POST /api/admin/admins
+ */
+router.post('/admins',
+  requireAdminPermission(PERMISSIONS.MANAGE_ADMINS),
+  validateAdminRole,
+  responseService.asyncResponse(adminController.addAdmin)
+);
+
+/**
+ * Change admin role
+ * PATCH /api/admin/admins/:tg_id
+ */
+router.patch('/admins/:tg_id',
+  validateTelegramId,
+  requireAdminPermission(PERMISSIONS.MANAGE_ADMINS),
+  validateAdminRole,
+  responseService.asyncResponse(adminController.updateAdmin)
+);
+
+/**
+ * Remove admin
+ * DELETE /api/admin/admins/:tg_id
+ */
+router.delete('/admins/:tg_id',
+  validateTelegramId,
+  requireAdminPermission(PERMISSIONS.MANAGE_ADMINS),
+  responseService.asyncResponse(adminController.removeAdmin)
+);
+
+// ==================== TASK TEMPLATE ROUTES ====================
+
+/**
+ * List task templates
+ * GET /api/admin/tasks
+ */
+router.get('/tasks',
+  requireAdminPermission(PERMISSIONS.MANAGE_TASKS),
+  responseService.asyncResponse(adminController.listTaskTemplates)
+);
+
+/**
+ * Create task template
+ * POST /api/admin/tasks
+ */
+router.post('/tasks',
+  requireAdminPermission(PERMISSIONS.MANAGE_TASKS),
+  validateTaskTemplate,
+  responseService.asyncResponse(adminController.createTaskTemplate)
+);
+
+/**
+ * Update task template
+ * PATCH /api/admin/tasks/:id
+ */
+router.patch('/tasks/:id',
+  requireAdminPermission(PERMISSIONS.MANAGE_TASKS),
+  validateTaskTemplateUpdate,
+  responseService.asyncResponse(adminController.updateTaskTemplate)
+);
+
+/**
+ * Retire task template
+ * DELETE /api/admin/tasks/:id
+ */
+router.delete('/tasks/:id',
+  requireAdminPermission(PERMISSIONS.MANAGE_TASKS),
+  responseService.asyncResponse(adminController.retireTaskTemplate)
+);
+
 export default router;
\ No newline at end of file
@@ -2,6 +2,12 @@
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { authenticate, authorizeUser } from '../middleware/auth.js';
+import { validateTelegramId } from '../middleware/validation.js';
+import { authController } from '../controllers/authController.js';
+import { responseService } from '../services/responseService.js';
+import { applicationService } from '../services/applicationService.js';
+import { userService } from '../services/supabaseService.js';
 
 // Load environment variables
 dotenv.config();
@@ -33,22 +39,12 @@ try {
  * Check user authentication status
  * GET /api/auth/check/:tg_id
  */
-router.get('/check/:tg_id', async (req, res) => {
+router.get('/check/:tg_id', authenticate, authorizeUser('params'), async (req, res) => {
   try {
-    const { tg_id } = req.params;
-    const telegramId = parseInt(tg_id);
+    const telegramId = req.auth.tg_id;
 
     console.log(`🔍 Checking auth for user: ${telegramId}`);
 
-    if (isNaN(telegramId) || telegramId <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Telegram ID format',
-        error_code: 'INVALID_TELEGRAM_ID',
-        timestamp: new Date().toISOString()
-      });
-    }
-
     // Check if Supabase is available
     if (!supabase) {
       console.error('❌ Supabase client not initialized');
@@ -100,7 +96,8 @@ router.get('/check/:tg_id', async (req, res) => {
         approval_date: user.approval_date,
         status: user.status,
         is_premium: user.is_premium || false
-      }
+      },
+      rejection: applicationService.formatRejection(user)
     });
 
   } catch (error) {
@@ -118,36 +115,27 @@ router.get('/check/:tg_id', async (req, res) => {
  * Register new user
  * POST /api/auth/register
  */
-router.post('/register', async (req, res) => {
+router.post('/register', authenticate, authorizeUser('body'), async (req, res) => {
   try {
-    const { tg_id, name, username, photo_url } = req.body;
+    const { name, username, photo_url, language } = req.body;
+    const telegramId = req.auth.tg_id;
 
-    console.log(`📝 Registration attempt:`, { tg_id, name, username });
+    console.log(`📝 Registration attempt:`, { tg_id: telegramId, name, username });
 
     // Validation
-    if (!tg_id || !name) {
+    if (!name) {
       return res.status(400).json({
         success: false,
-        error: 'tg_id and name are required',
+        error: 'name is required',
         error_code: 'VALIDATION_ERROR',
         timestamp: new Date().toISOString()
       });
     }
 
-    const telegramId = parseInt(tg_id);
-    if (isNaN(telegramId) || telegramId <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Telegram ID format',
-        error_code: 'INVALID_TELEGRAM_ID',
-        timestamp: new Date().toISOString()
-      });
-    }
-
     // Check if user already exists
     const { data: existingUser, error: checkError } = await supabase
       .from('users')
-      .select('tg_id, status')
+      .select('tg_id, status, rejection_code, rejection_reason, rejected_at')
       .eq('tg_id', telegramId)
       .single();
 
@@ -156,6 +144,58 @@ router.post('/register', async (req, res) => {
       throw checkError;
     }
 
+    // Rejected users may apply again once the cooldown has passed
+    if (existingUser?.status === 'rejected') {
+      const rejection = applicationService.formatRejection(existingUser);
+
+      if (!rejection.can_reapply) {
+        console.log(`⏳ User ${telegramId} re-applied during cooldown (until ${rejection.can_reapply_at})`);
+        return res.status(409).json({
+          success: false,
+          error: 'Re-application is not available yet',
+          error_code: 'REAPPLY_COOLDOWN',
+          rejection,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Conditional update so a concurrent admin decision is not overwritten
+      const { data: reappliedUsers, error: reapplyError } = await supabase
+        .from('users')
+        .update({
+          name: name.trim(),
+          username: username || null,
+          ...(photo_url && { photo_url }),
+          status: 'pending',
+          rejection_code: null,
+          rejection_reason: null,
+          rejected_at: null,
+          rejected_by: null
+        })
+        .eq('tg_id', telegramId)
+        .eq('status', 'rejected')
+        .select();
+
+      if (reapplyError) {
+        console.error('❌ Database re-application error:', reapplyError);
+        throw reapplyError;
+      }
+
+      if (reappliedUsers?.length) {
+        await applicationService.recordEvent(telegramId, 'reapplied', { name: name.trim() });
+
+        console.log(`🔄 User ${telegramId} re-applied after rejection`);
+
+        return res.json({
+          success: true,
+          message: 'Application submitted again',
+          user_id: telegramId,
+          status: 'pending',
+          reapplied: true
+        });
+      }
+    }
+
     if (existingUser) {
       console.log(`⚠️ User ${telegramId} already exists with status: ${existingUser.status}`);
       return res.json({
@@ -173,7 +213,9 @@ router.post('/register', async (req, res) => {
       username: username || null,
       photo_url: photo_url || null,
       registration_date: new Date().toISOString(),
-      status: 'pending'
+      status: 'pending',
+      // Notification toggles, language and privacy start from the defaults
+      ...userService.getDefaultPreferenceColumns({ language })
     };
 
     const { data: newUser, error: insertError } = await supabase
@@ -187,6 +229,8 @@ router.post('/register', async (req, res) => {
       throw insertError;
     }
 
+    await applicationService.recordEvent(telegramId, 'applied', { name: userData.name });
+
     console.log(`✅ User ${telegramId} registered successfully in database`);
 
     return res.status(201).json({
@@ -208,6 +252,37 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// ==================== SESSION ROUTES ====================
+
+/**
+ * Exchange Telegram init data for access + refresh tokens
+ * POST /api/auth/login
+ */
+router.post('/login',
+  authenticate,
+  responseService.asyncResponse(authController.login)
+);
+
+/**
+ * Rotate refresh token
+ * POST /api/auth/refresh/:tg_id
+ */
+router.post('/refresh/:tg_id',
+  validateTelegramId,
+  responseService.asyncResponse(authController.refreshUser)
+);
+
+/**
+ * Logout and revoke session
+ * POST /api/auth/logout/:tg_id
+ */
+router.post('/logout/:tg_id',
+  validateTelegramId,
+  authenticate,
+  authorizeUser('params'),
+  responseService.asyncResponse(authController.logout)
+);
+
 /**
  * Test database connection
  * GET /api/auth/test-db
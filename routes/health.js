@@ -183,7 +183,7 @@ router.get('/endpoints', (req, res) => {
     },
     admin: {
       base_path: '/api/admin',
-      endpoints_count: 13,
+      endpoints_count: 23,
       status: 'active'
     },
     health: {
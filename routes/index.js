@@ -8,6 +8,7 @@ import userRoutes from './user.js';
 import tasksRoutes from './tasks.js';
 import leaderboardRoutes from './leaderboard.js';
 import adminRoutes from './admin.js';
+import notificationRoutes from './notifications.js';
 import healthRoutes from './health.js';
 
 const router = express.Router();
@@ -45,6 +46,9 @@ router.use('/leaderboard', leaderboardRoutes);
 // Admin routes (auth protected)
 router.use('/admin', adminRoutes);
 
+// Bot notification delivery (service key only)
+router.use('/notifications', notificationRoutes);
+
 // ==================== API DOCUMENTATION ENDPOINT ====================
 
 router.get('/', (req, res) => {
@@ -66,7 +70,8 @@ router.get('/', (req, res) => {
         endpoints: [
           'GET /api/auth/check/:tg_id - Check user authentication',
           'POST /api/auth/register - Register new user',
-          'POST /api/auth/refresh/:tg_id - Refresh user data',
+          'POST /api/auth/login - Exchange Telegram init data for session tokens',
+          'POST /api/auth/refresh/:tg_id - Rotate session tokens',
           'GET /api/auth/access/:tg_id - Check feature access',
           'PATCH /api/auth/profile/:tg_id - Update profile',
           'POST /api/auth/logout/:tg_id - Logout user'
@@ -76,11 +81,12 @@ router.get('/', (req, res) => {
         base: '/api/user',
         endpoints: [
           'GET /api/user/statistics/:tg_id - Get user statistics',
-          'GET /api/user/profile/:user_id - Get user profile',
+          'GET /api/user/profile/:tg_id - Get user profile',
           'POST /api/user/upload-photo - Upload profile photo',
+          'GET /api/user/preferences/:tg_id - Get preferences',
           'PATCH /api/user/preferences/:tg_id - Update preferences',
           'GET /api/user/achievements/:tg_id - Get achievements',
-          'GET /api/user/activity/:tg_id - Get activity history',
+          'GET /api/user/activity/:tg_id - Get activity timeline (filter by type, from, to)',
           'DELETE /api/user/account/:tg_id - Delete account'
         ]
       },
@@ -110,23 +116,41 @@ router.get('/', (req, res) => {
         endpoints: [
           'GET /api/admin/pending-users - Get pending users',
           'POST /api/admin/approve/:tg_id - Approve user',
-          'POST /api/admin/reject/:tg_id - Reject user',
+          'POST /api/admin/reject/:tg_id - Reject user with reason',
+          'GET /api/admin/rejection-reasons - Rejection reason presets',
           'GET /api/admin/dashboard - Get admin dashboard',
           'GET /api/admin/users - Get all users',
           'PATCH /api/admin/users/:tg_id - Update user',
-          'GET /api/admin/analytics - Get analytics',
+          'GET /api/admin/analytics - Get analytics with daily chart series',
+          'GET /api/admin/analytics/retention - Get cohort retention (JSON/CSV)',
           'GET /api/admin/export/:type - Export data',
           'GET /api/admin/logs - Get system logs',
           'POST /api/admin/bulk-operations - Bulk operations',
           'POST /api/admin/maintenance - System maintenance',
           'GET /api/admin/activity - Get admin activity',
-          'POST /api/admin/notifications - Send notifications'
+          'POST /api/admin/notifications - Send notifications',
+          'GET /api/admin/admins/me - Current admin role',
+          'GET /api/admin/admins - List admins',
+          'POST /api/admin/admins - Add admin',
+          'PATCH /api/admin/admins/:tg_id - Change admin role',
+          'DELETE /api/admin/admins/:tg_id - Remove admin',
+          'GET /api/admin/tasks - List task templates',
+          'POST /api/admin/tasks - Create task template',
+          'PATCH /api/admin/tasks/:id - Update task template',
+          'DELETE /api/admin/tasks/:id - Retire task template'
+        ]
+      },
+      notifications: {
+        base: '/api/notifications',
+        endpoints: [
+          'GET /api/notifications/pending - Claim notifications for the bot to send',
+          'POST /api/notifications/:id/ack - Report delivery result'
         ]
       }
     },
     authentication: {
-      type: 'Telegram ID based',
-      description: 'Most endpoints require valid Telegram user ID'
+      type: 'Telegram WebApp initData',
+      description: 'User endpoints require "Authorization: tma <initData>" or "Authorization: Bearer <access_token>"; the bot uses the X-API-Key service header'
     },
     rate_limiting: {
       window: '15 minutes',
@@ -4,7 +4,8 @@ import { leaderboardController } from '../controllers/leaderboardController.js';
 import { responseService } from '../services/responseService.js';
 import { 
   validateTelegramId, 
-  validateLeaderboardQuery 
+  validateLeaderboardQuery,
+  validateLeaderboardMovementsQuery
 } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -35,6 +36,7 @@ router.get('/position/:tg_id',
  * GET /api/leaderboard/stats
  */
 router.get('/stats',
+  validateLeaderboardQuery,
   responseService.asyncResponse(leaderboardController.getLeaderboardStats)
 );
 
@@ -51,6 +53,7 @@ router.get('/top-performers',
  * GET /api/leaderboard/movements
  */
 router.get('/movements',
+  validateLeaderboardMovementsQuery,
   responseService.asyncResponse(leaderboardController.getLeaderboardMovements)
 );
 
@@ -0,0 +1,36 @@
+// routes/notifications.js - BOT NOTIFICATION ROUTES
+import express from 'express';
+import { notificationController } from '../controllers/notificationController.js';
+import { responseService } from '../services/responseService.js';
+import {
+  validateNotificationPollQuery,
+  validateNotificationAck
+} from '../middleware/validation.js';
+import { authenticate, requireService } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Only the bot (service API key) delivers notifications
+router.use(authenticate, requireService);
+
+// ==================== NOTIFICATION ROUTES ====================
+
+/**
+ * Claim pending notifications for delivery
+ * GET /api/notifications/pending
+ */
+router.get('/pending',
+  validateNotificationPollQuery,
+  responseService.asyncResponse(notificationController.getPendingNotifications)
+);
+
+/**
+ * Record delivery result
+ * POST /api/notifications/:id/ack
+ */
+router.post('/:id/ack',
+  validateNotificationAck,
+  responseService.asyncResponse(notificationController.acknowledgeNotification)
+);
+
+export default router;
@@ -4,8 +4,10 @@ import { tasksController } from '../controllers/tasksController.js';
 import { responseService } from '../services/responseService.js';
 import { 
   validateTelegramId, 
-  validateDailyProgress 
+  validateDailyProgress,
+  validateTaskSummaryQuery
 } from '../middleware/validation.js';
+import { authenticate, authorizeUser } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -17,6 +19,8 @@ const router = express.Router();
  */
 router.get('/daily/:tg_id',
   validateTelegramId,
+  authenticate,
+  authorizeUser('params'),
   responseService.asyncResponse(tasksController.getDailyTasks)
 );
 
@@ -25,6 +29,8 @@ router.get('/daily/:tg_id',
  * POST /api/tasks/submit
  */
 router.post('/submit',
+  authenticate,
+  authorizeUser('body'),
   validateDailyProgress,
   responseService.asyncResponse(tasksController.submitDailyProgress)
 );
@@ -35,6 +41,9 @@ router.post('/submit',
  */
 router.get('/summary/:tg_id',
   validateTelegramId,
+  authenticate,
+  authorizeUser('params'),
+  validateTaskSummaryQuery,
   responseService.asyncResponse(tasksController.getTaskSummary)
 );
 
@@ -52,6 +61,8 @@ router.get('/templates',
  */
 router.get('/streak/:tg_id',
   validateTelegramId,
+  authenticate,
+  authorizeUser('params'),
   responseService.asyncResponse(tasksController.getTaskStreak)
 );
 
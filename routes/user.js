@@ -6,8 +6,11 @@ import { responseService } from '../services/responseService.js';
 import { 
   validateTelegramId, 
   validatePhotoUpload,
-  validateFileUpload 
+  validateFileUpload,
+  validatePreferences,
+  validateActivityQuery
 } from '../middleware/validation.js';
+import { authenticate, authorizeUser } from '../middleware/auth.js';
 import config from '../config/config.js';
 
 const router = express.Router();
@@ -29,15 +32,18 @@ const upload = multer({
  */
 router.get('/statistics/:tg_id',
   validateTelegramId,
+  authenticate,
+  authorizeUser('params'),
   responseService.asyncResponse(userController.getUserStatistics)
 );
 
 /**
  * Get user profile by ID
- * GET /api/user/profile/:user_id
+ * GET /api/user/profile/:tg_id
  */
 router.get('/profile/:tg_id',
   validateTelegramId,
+  authenticate,
   responseService.asyncResponse(userController.getUserProfile)
 );
 
@@ -46,18 +52,34 @@ router.get('/profile/:tg_id',
  * POST /api/user/upload-photo
  */
 router.post('/upload-photo',
+  authenticate,
   upload.single('photo'),
+  authorizeUser('body'),
   validatePhotoUpload,
   validateFileUpload(config.ALLOWED_FILE_TYPES, config.MAX_FILE_SIZE),
   responseService.asyncResponse(userController.uploadPhoto)
 );
 
+/**
+ * Get user preferences
+ * GET /api/user/preferences/:tg_id
+ */
+router.get('/preferences/:tg_id',
+  validateTelegramId,
+  authenticate,
+  authorizeUser('params'),
+  responseService.asyncResponse(userController.getPreferences)
+);
+
 /**
  * Update user preferences
  * PATCH /api/user/preferences/:tg_id
  */
 router.patch('/preferences/:tg_id',
   validateTelegramId,
+  authenticate,
+  authorizeUser('params'),
+  validatePreferences,
   responseService.asyncResponse(userController.updatePreferences)
 );
 
@@ -67,15 +89,21 @@ router.patch('/preferences/:tg_id',
  */
 router.get('/achievements/:tg_id',
   validateTelegramId,
+  authenticate,
+  authorizeUser('params'),
   responseService.asyncResponse(userController.getUserAchievements)
 );
 
 /**
  * Get user activity history
  * GET /api/user/activity/:tg_id
+ * Query: type (comma-separated), from, to (YYYY-MM-DD), limit, offset
  */
 router.get('/activity/:tg_id',
   validateTelegramId,
+  authenticate,
+  authorizeUser('params'),
+  validateActivityQuery,
   responseService.asyncResponse(userController.getUserActivity)
 );
 
@@ -85,6 +113,8 @@ router.get('/activity/:tg_id',
  */
 router.delete('/account/:tg_id',
   validateTelegramId,
+  authenticate,
+  authorizeUser('params'),
   responseService.asyncResponse(userController.deleteAccount)
 );
 
@@ -0,0 +1,541 @@
+// services/achievementService.js - ACHIEVEMENT SERVICE
+import { BaseService, userService } from './supabaseService.js';
+import { activityService } from './activityService.js';
+import { logger } from '../utils/logger.js';
+import config, { APP_CONSTANTS } from '../config/config.js';
+import { getToday, addDays, daysBetween } from '../utils/helpers.js';
+
+/**
+ * Achievement score per rarity (achievement leaderboard)
+ */
+const RARITY_SCORES = {
+  common: 10,
+  rare: 25,
+  epic: 50,
+  legendary: 100
+};
+
+/**
+ * Achievement registry - the only place badges are defined
+ * A badge unlocks on the first day its metric reaches the threshold.
+ * Metrics are replayed from daily progress in date order (see replayHistory).
+ */
+const ACHIEVEMENT_DEFINITIONS = [
+  // Consistency
+  { id: 'first_day', name: 'First Step', description: 'Submit your first day', type: APP_CONSTANTS.ACHIEVEMENTS.NEWCOMER, category: 'consistency', rarity: 'common', metric: 'total_days', threshold: 1 },
+  { id: 'week_warrior', name: 'Week Warrior', description: 'Submit 7 days', type: APP_CONSTANTS.ACHIEVEMENTS.CONSISTENT, category: 'consistency', rarity: 'rare', metric: 'total_days', threshold: 7 },
+  { id: 'month_master', name: 'Month Master', description: 'Submit 30 days', type: APP_CONSTANTS.ACHIEVEMENTS.CONSISTENT, category: 'consistency', rarity: 'epic', metric: 'total_days', threshold: 30 },
+  { id: 'centurion', name: 'Centurion', description: 'Submit 100 days', type: APP_CONSTANTS.ACHIEVEMENTS.CONSISTENT, category: 'consistency', rarity: 'legendary', metric: 'total_days', threshold: 100 },
+  { id: 'streak_30', name: 'Unstoppable', description: 'Keep a 30-day streak', type: APP_CONSTANTS.ACHIEVEMENTS.CONSISTENT, category: 'consistency', rarity: 'epic', metric: 'longest_streak', threshold: 30 },
+
+  // Perfect days and points
+  { id: 'perfect_day', name: 'Perfect Day', description: 'Complete all tasks in a day', type: APP_CONSTANTS.ACHIEVEMENTS.PERFECTIONIST, category: 'points', rarity: 'common', metric: 'perfect_days', threshold: 1 },
+  { id: 'point_collector', name: 'Point Collector', description: 'Earn 100 total points', type: APP_CONSTANTS.ACHIEVEMENTS.PERFECTIONIST, category: 'points', rarity: 'rare', metric: 'total_points', threshold: 100 },
+  { id: 'point_master', name: 'Point Master', description: 'Earn 500 total points', type: APP_CONSTANTS.ACHIEVEMENTS.PERFECTIONIST, category: 'points', rarity: 'epic', metric: 'total_points', threshold: 500 },
+
+  // Reading
+  { id: 'bookworm', name: 'Bookworm', description: 'Read 100 pages', type: APP_CONSTANTS.ACHIEVEMENTS.READER, category: 'reading', rarity: 'rare', metric: 'total_pages', threshold: 100 },
+  { id: 'book_lover', name: 'Book Lover', description: 'Read 500 pages', type: APP_CONSTANTS.ACHIEVEMENTS.READER, category: 'reading', rarity: 'epic', metric: 'total_pages', threshold: 500 },
+  { id: 'library_master', name: 'Library Master', description: 'Read 1000 pages', type: APP_CONSTANTS.ACHIEVEMENTS.READER, category: 'reading', rarity: 'legendary', metric: 'total_pages', threshold: 1000 },
+
+  // Distance
+  { id: 'runner', name: 'Runner', description: 'Cover 50 km', type: APP_CONSTANTS.ACHIEVEMENTS.ATHLETE, category: 'fitness', rarity: 'rare', metric: 'total_distance', threshold: 50 },
+  { id: 'marathon_hero', name: 'Marathon Hero', description: 'Cover 200 km', type: APP_CONSTANTS.ACHIEVEMENTS.ATHLETE, category: 'fitness', rarity: 'epic', metric: 'total_distance', threshold: 200 },
+  { id: 'ultra_runner', name: 'Ultra Runner', description: 'Cover 500 km', type: APP_CONSTANTS.ACHIEVEMENTS.ATHLETE, category: 'fitness', rarity: 'legendary', metric: 'total_distance', threshold: 500 }
+];
+
+/**
+ * Achievement service
+ * Evaluates the registry against a user's progress history and records each badge
+ * once, with the time it was actually earned.
+ */
+class AchievementService extends BaseService {
+  constructor() {
+    super('user_achievements');
+    this.definitions = new Map(ACHIEVEMENT_DEFINITIONS.map(definition => [definition.id, definition]));
+  }
+
+  // ==================== REGISTRY ====================
+
+  /**
+   * Get all achievement definitions
+   * @returns {Array} Definitions in registry order
+   */
+  getDefinitions() {
+    return ACHIEVEMENT_DEFINITIONS;
+  }
+
+  /**
+   * Get achievement definition
+   * @param {string} achievementId - Achievement ID
+   * @returns {Object|null} Definition or null for unknown (retired) IDs
+   */
+  getDefinition(achievementId) {
+    return this.definitions.get(achievementId) || null;
+  }
+
+  /**
+   * Achievement score for a set of achievements
+   * @param {Array} achievements - Formatted achievements
+   * @returns {number} Sum of rarity scores
+   */
+  calculateScore(achievements) {
+    return achievements.reduce((total, achievement) => total + (RARITY_SCORES[achievement.rarity] || RARITY_SCORES.common), 0);
+  }
+
+  // ==================== EVALUATION ====================
+
+  /**
+   * Evaluate achievements for user and record newly earned ones
+   * Called after every progress submission; safe to re-run (earned badges are never re-stamped).
+   * @param {number} tgId - Telegram user ID
+   * @returns {Promise<Array>} Newly unlocked achievements, rarest first
+   */
+  async evaluateUser(tgId) {
+    const [history, earned] = await Promise.all([
+      this.getProgressHistory(tgId),
+      this.getEarnedIds(tgId)
+    ]);
+
+    const { unlocks } = this.replayHistory(history);
+
+    const rows = [...unlocks.entries()]
+      .filter(([achievementId]) => !earned.has(achievementId))
+      .map(([achievementId, unlock]) => ({
+        tg_id: tgId,
+        achievement_id: achievementId,
+        unlocked_at: unlock.unlocked_at,
+        progress_date: unlock.progress_date,
+        value: unlock.value
+      }));
+
+    if (rows.length === 0) {
+      return [];
+    }
+
+    // Concurrent evaluations may race; the primary key keeps the first stamp
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .upsert(rows, { onConflict: 'tg_id,achievement_id', ignoreDuplicates: true })
+        .select(),
+      'INSERT_USER_ACHIEVEMENTS'
+    );
+
+    const unlocked = (result.data || [])
+      .map(row => this.formatAchievement(row))
+      .filter(Boolean)
+      .sort((a, b) => RARITY_SCORES[b.rarity] - RARITY_SCORES[a.rarity]);
+
+    if (unlocked.length > 0) {
+      logger.userAction(tgId, 'ACHIEVEMENTS_UNLOCKED', { achievements: unlocked.map(a => a.id) });
+
+      // Timeline entries keep the real unlock moment, also for badges found by a backfill
+      await activityService.recordMany(unlocked.map(achievement => ({
+        tg_id: tgId,
+        type: APP_CONSTANTS.ACTIVITY_TYPES.ACHIEVEMENT_UNLOCKED,
+        details: {
+          achievement_id: achievement.id,
+          name: achievement.name,
+          rarity: achievement.rarity
+        },
+        occurred_at: achievement.unlocked_at,
+        activity_date: achievement.progress_date || achievement.unlocked_at.split('T')[0]
+      })));
+    }
+
+    return unlocked;
+  }
+
+  /**
+   * Evaluate achievements for every approved user
+   * Records badges earned before achievements were persisted, with their historical dates.
+   * @returns {Promise<Object>} { users, unlocked }
+   */
+  async evaluateAllUsers() {
+    let userCount = 0;
+    let unlockedCount = 0;
+
+    const pages = this.iteratePages(async page => {
+      const { users } = await userService.listUsers({ status: APP_CONSTANTS.USER_STATUS.APPROVED, ...page });
+      return users;
+    });
+
+    for await (const users of pages) {
+      for (const user of users) {
+        const unlocked = await this.evaluateUser(user.tg_id);
+        unlockedCount += unlocked.length;
+      }
+
+      userCount += users.length;
+    }
+
+    logger.info('ACHIEVEMENTS_EVALUATED', { users: userCount, unlocked: unlockedCount });
+
+    return { users: userCount, unlocked: unlockedCount };
+  }
+
+  /**
+   * Replay progress history in date order
+   * Records the first day each badge's threshold was reached.
+   * @param {Array} history - Daily progress rows sorted by date
+   * @returns {Object} { metrics, unlocks: Map of achievement_id -> { unlocked_at, progress_date, value }, last_counted_date }
+   */
+  replayHistory(history) {
+    const minCompleted = config.STREAK_MIN_COMPLETED_TASKS;
+    const metrics = {
+      total_days: 0,
+      total_points: 0,
+      total_pages: 0,
+      total_distance: 0,
+      perfect_days: 0,
+      current_streak: 0,
+      longest_streak: 0
+    };
+    const unlocks = new Map();
+    let lastCountedDate = null;
+
+    for (const day of history) {
+      metrics.total_days += 1;
+      metrics.total_points += Number(day.score) || 0;
+      metrics.total_pages += Number(day.pages_read) || 0;
+      metrics.total_distance += Number(day.distance_km) || 0;
+
+      if (day.total_tasks > 0 && day.completed_count >= day.total_tasks) {
+        metrics.perfect_days += 1;
+      }
+
+      if (day.completed_count >= minCompleted) {
+        metrics.current_streak = lastCountedDate && addDays(lastCountedDate, 1) === day.date
+          ? metrics.current_streak + 1
+          : 1;
+        metrics.longest_streak = Math.max(metrics.longest_streak, metrics.current_streak);
+        lastCountedDate = day.date;
+      }
+
+      for (const definition of ACHIEVEMENT_DEFINITIONS) {
+        if (!unlocks.has(definition.id) && metrics[definition.metric] >= definition.threshold) {
+          unlocks.set(definition.id, {
+            unlocked_at: day.submission_time || `${day.date}T00:00:00.000Z`,
+            progress_date: day.date,
+            value: Math.round(metrics[definition.metric] * 100) / 100
+          });
+        }
+      }
+    }
+
+    return { metrics, unlocks, last_counted_date: lastCountedDate };
+  }
+
+  // ==================== PROGRESS ====================
+
+  /**
+   * Get earned achievements and progress toward locked ones
+   * @param {number} tgId - Telegram user ID
+   * @param {string} today - User's today (YYYY-MM-DD)
+   * @returns {Promise<Object>} { earned, locked } - locked sorted closest to unlocking first
+   */
+  async getAchievementProgress(tgId, today = getToday()) {
+    const [history, earned] = await Promise.all([
+      this.getProgressHistory(tgId),
+      this.getUserAchievements(tgId)
+    ]);
+
+    const { metrics, last_counted_date } = this.replayHistory(history);
+    const pace = this.calculatePace(history, today);
+    const earnedIds = new Set(earned.map(achievement => achievement.id));
+
+    // A streak only counts toward a badge while it is still alive
+    const streakAlive = last_counted_date !== null && last_counted_date >= addDays(today, -1);
+    const current = {
+      ...metrics,
+      longest_streak: streakAlive ? metrics.current_streak : 0
+    };
+
+    const locked = ACHIEVEMENT_DEFINITIONS
+      .filter(definition => !earnedIds.has(definition.id))
+      .map(definition => this.formatProgress(definition, current, pace, today))
+      .sort((a, b) => b.percent - a.percent);
+
+    return { earned, locked };
+  }
+
+  /**
+   * Average daily gain of each metric over recent days
+   * The window is shortened for users who started within it.
+   * @param {Array} history - Daily progress rows sorted by date
+   * @param {string} today - User's today (YYYY-MM-DD)
+   * @returns {Object} Metric -> gain per day
+   */
+  calculatePace(history, today) {
+    const minCompleted = config.STREAK_MIN_COMPLETED_TASKS;
+    const paceDays = APP_CONSTANTS.ACHIEVEMENT_PROGRESS.PACE_DAYS;
+    const pace = {
+      total_days: 0,
+      total_points: 0,
+      total_pages: 0,
+      total_distance: 0,
+      perfect_days: 0,
+      longest_streak: 0
+    };
+
+    if (history.length === 0) {
+      return pace;
+    }
+
+    const windowDays = Math.max(Math.min(paceDays, daysBetween(history[0].date, today) + 1), 1);
+    const windowStart = addDays(today, -(windowDays - 1));
+    const recent = history.filter(day => day.date >= windowStart && day.date <= today);
+
+    for (const day of recent) {
+      pace.total_days += 1;
+      pace.total_points += Number(day.score) || 0;
+      pace.total_pages += Number(day.pages_read) || 0;
+      pace.total_distance += Number(day.distance_km) || 0;
+
+      if (day.total_tasks > 0 && day.completed_count >= day.total_tasks) {
+        pace.perfect_days += 1;
+      }
+    }
+
+    for (const metric of Object.keys(pace)) {
+      pace[metric] /= windowDays;
+    }
+
+    // A streak grows by one a day for as long as the user keeps submitting
+    const last = history[history.length - 1];
+    pace.longest_streak = last.completed_count >= minCompleted && last.date >= addDays(today, -1) ? 1 : 0;
+
+    return pace;
+  }
+
+  /**
+   * Format progress toward a locked achievement
+   * @param {Object} definition - Achievement definition
+   * @param {Object} current - Current metric values
+   * @param {Object} pace - Metric gain per day
+   * @param {string} today - User's today (YYYY-MM-DD)
+   * @returns {Object} Achievement with current, target, percent and estimate
+   */
+  formatProgress(definition, current, pace, today) {
+    const value = Math.round((current[definition.metric] || 0) * 100) / 100;
+    const remaining = Math.max(definition.threshold - value, 0);
+    const dailyPace = pace[definition.metric] || 0;
+
+    return {
+      ...this.formatDefinition(definition),
+      current: value,
+      remaining: Math.round(remaining * 100) / 100,
+      // Floored so a badge never shows 100% before its threshold is met
+      percent: remaining > 0 ? Math.min(Math.floor((value / definition.threshold) * 100), 99) : 100,
+      pace_per_day: Math.round(dailyPace * 100) / 100,
+      estimated_completion_date: remaining === 0
+        ? today
+        : dailyPace > 0 ? addDays(today, Math.ceil(remaining / dailyPace)) : null
+    };
+  }
+
+  // ==================== QUERIES ====================
+
+  /**
+   * Get user's progress history, oldest first
+   * @param {number} tgId - Telegram user ID
+   * @returns {Promise<Array>} Daily progress rows
+   */
+  async getProgressHistory(tgId) {
+    return this.fetchAllPages(
+      (from, to) => this.supabase
+        .from('daily_progress')
+        .select('date, completed_count, total_tasks, score, pages_read, distance_km, submission_time')
+        .eq('tg_id', tgId)
+        .order('date', { ascending: true })
+        .range(from, to),
+      'SELECT_ACHIEVEMENT_HISTORY'
+    );
+  }
+
+  /**
+   * Get IDs of achievements user has earned
+   * @param {number} tgId - Telegram user ID
+   * @returns {Promise<Set>} Achievement IDs
+   */
+  async getEarnedIds(tgId) {
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('achievement_id')
+        .eq('tg_id', tgId),
+      'SELECT_EARNED_ACHIEVEMENTS'
+    );
+
+    return new Set((result.data || []).map(row => row.achievement_id));
+  }
+
+  /**
+   * Attach earned achievement IDs to leaderboard participants
+   * One query per page of participants instead of one per user.
+   * @param {Array} participants - Leaderboard entries (tg_id)
+   * @returns {Promise<Array>} Entries with achievements (earned IDs, first unlocked first)
+   */
+  async attachEarnedAchievements(participants) {
+    if (participants.length === 0) {
+      return participants;
+    }
+
+    const tgIds = participants.map(participant => participant.tg_id);
+    const earned = new Map();
+
+    const rows = await this.fetchAllPages(
+      (from, to) => this.supabase
+        .from(this.tableName)
+        .select('tg_id, achievement_id')
+        .in('tg_id', tgIds)
+        .order('tg_id', { ascending: true })
+        .order('unlocked_at', { ascending: true })
+        .order('achievement_id', { ascending: true })
+        .range(from, to),
+      'SELECT_LEADERBOARD_ACHIEVEMENTS'
+    );
+
+    for (const row of rows) {
+      if (!this.getDefinition(row.achievement_id)) continue;
+
+      const tgId = Number(row.tg_id);
+      if (!earned.has(tgId)) {
+        earned.set(tgId, []);
+      }
+      earned.get(tgId).push(row.achievement_id);
+    }
+
+    return participants.map(participant => ({
+      ...participant,
+      achievements: earned.get(participant.tg_id) || []
+    }));
+  }
+
+  /**
+   * Get user's earned achievements
+   * @param {number} tgId - Telegram user ID
+   * @returns {Promise<Array>} Achievements, most recent first
+   */
+  async getUserAchievements(tgId) {
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('achievement_id, unlocked_at, progress_date, value')
+        .eq('tg_id', tgId)
+        .order('unlocked_at', { ascending: false }),
+      'SELECT_USER_ACHIEVEMENTS'
+    );
+
+    return (result.data || [])
+      .map(row => this.formatAchievement(row))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get achievement leaderboard
+   * Ranked by achievement score, then badge count, then who completed their set first.
+   * @param {number} limit - Number of users to return
+   * @returns {Promise<Object>} { leaderboard, total }
+   */
+  async getAchievementLeaderboard(limit = 50) {
+    const byUser = new Map();
+
+    const rows = await this.fetchAllPages(
+      (from, to) => this.supabase
+        .from(this.tableName)
+        .select('tg_id, achievement_id, unlocked_at, progress_date, value, users!inner(name, photo_url, is_premium, status)')
+        .eq('users.status', APP_CONSTANTS.USER_STATUS.APPROVED)
+        .order('tg_id', { ascending: true })
+        .order('achievement_id', { ascending: true })
+        .range(from, to),
+      'SELECT_ACHIEVEMENT_LEADERBOARD'
+    );
+
+    for (const row of rows) {
+      const achievement = this.formatAchievement(row);
+      if (!achievement) continue;
+
+      const tgId = Number(row.tg_id);
+      if (!byUser.has(tgId)) {
+        byUser.set(tgId, { tg_id: tgId, user: row.users || {}, achievements: [] });
+      }
+      byUser.get(tgId).achievements.push(achievement);
+    }
+
+    const ranked = [...byUser.values()]
+      .map(entry => ({
+        ...entry,
+        achievement_score: this.calculateScore(entry.achievements),
+        last_unlocked_at: entry.achievements.reduce((latest, a) => (a.unlocked_at > latest ? a.unlocked_at : latest), '')
+      }))
+      .sort((a, b) =>
+        b.achievement_score - a.achievement_score ||
+        b.achievements.length - a.achievements.length ||
+        a.last_unlocked_at.localeCompare(b.last_unlocked_at) ||
+        a.tg_id - b.tg_id
+      );
+
+    const leaderboard = ranked.slice(0, limit).map((entry, index) => ({
+      rank: index + 1,
+      tg_id: entry.tg_id,
+      name: entry.user.name || null,
+      photo_url: entry.user.photo_url || null,
+      achievement_count: entry.achievements.length,
+      achievement_score: entry.achievement_score,
+      // Rarest first, then most recent
+      top_achievements: [...entry.achievements]
+        .sort((a, b) =>
+          RARITY_SCORES[b.rarity] - RARITY_SCORES[a.rarity] ||
+          b.unlocked_at.localeCompare(a.unlocked_at)
+        )
+        .slice(0, 3),
+      is_premium: entry.user.is_premium || false
+    }));
+
+    return { leaderboard, total: ranked.length };
+  }
+
+  // ==================== FORMATTING ====================
+
+  /**
+   * Format earned achievement row with its definition
+   * @param {Object} row - user_achievements row
+   * @returns {Object|null} Achievement, or null if no longer defined
+   */
+  formatAchievement(row) {
+    const definition = this.getDefinition(row.achievement_id);
+    if (!definition) {
+      return null;
+    }
+
+    return {
+      ...this.formatDefinition(definition),
+      unlocked_at: row.unlocked_at,
+      progress_date: row.progress_date || null,
+      value: row.value !== null && row.value !== undefined ? Number(row.value) : null
+    };
+  }
+
+  /**
+   * Format achievement definition for responses
+   * @param {Object} definition - Achievement definition
+   * @returns {Object} Public definition fields
+   */
+  formatDefinition(definition) {
+    return {
+      id: definition.id,
+      name: definition.name,
+      description: definition.description,
+      type: definition.type,
+      category: definition.category,
+      rarity: definition.rarity,
+      metric: definition.metric,
+      target: definition.threshold
+    };
+  }
+}
+
+export const achievementService = new AchievementService();
+export default achievementService;
@@ -0,0 +1,127 @@
+// services/activityService.js - USER ACTIVITY TIMELINE SERVICE
+import { BaseService } from './supabaseService.js';
+import { logger } from '../utils/logger.js';
+import { getUserToday } from '../utils/helpers.js';
+
+/**
+ * Activity service
+ * Keeps the per-user timeline shown in the Mini App. Entries are recorded explicitly
+ * next to the logger.userAction call for the same action.
+ */
+class ActivityService extends BaseService {
+  constructor() {
+    super('user_activity');
+  }
+
+  /**
+   * Record activity entry
+   * Never throws - a timeline problem must not fail the action itself.
+   * @param {Object} user - User row (tg_id, timezone)
+   * @param {string} type - Activity type (APP_CONSTANTS.ACTIVITY_TYPES)
+   * @param {Object} details - Type-specific data shown in the timeline
+   * @returns {Promise<Object|null>} Recorded entry or null on failure
+   */
+  async record(user, type, details = {}) {
+    const [entry] = await this.recordMany([{
+      tg_id: user.tg_id,
+      type,
+      details,
+      activity_date: getUserToday(user)
+    }]);
+    return entry || null;
+  }
+
+  /**
+   * Record several activity entries in one insert
+   * @param {Array<Object>} entries - { tg_id, type, details, activity_date, occurred_at } - occurred_at defaults to now
+   * @returns {Promise<Array>} Recorded entries (empty on failure)
+   */
+  async recordMany(entries) {
+    if (!entries || entries.length === 0) {
+      return [];
+    }
+
+    try {
+      const result = await this.executeQuery(
+        () => this.supabase
+          .from(this.tableName)
+          .insert(entries.map(entry => ({
+            tg_id: entry.tg_id,
+            type: entry.type,
+            details: entry.details || {},
+            activity_date: entry.activity_date,
+            ...(entry.occurred_at && { occurred_at: entry.occurred_at })
+          })))
+          .select(),
+        'INSERT_USER_ACTIVITY'
+      );
+
+      return (result.data || []).map(row => this.formatActivity(row));
+    } catch (error) {
+      logger.warn('Failed to record user activity:', {
+        tg_id: entries[0].tg_id,
+        types: [...new Set(entries.map(entry => entry.type))],
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Get user's activity timeline (newest first)
+   * @param {number} tgId - Telegram user ID
+   * @param {Object} options - { types, from, to, limit, offset } - from/to are inclusive YYYY-MM-DD days
+   * @returns {Promise<Object>} { activity, total }
+   */
+  async getUserActivity(tgId, { types = [], from, to, limit = 30, offset = 0 } = {}) {
+    const result = await this.executeQuery(
+      () => {
+        let query = this.supabase
+          .from(this.tableName)
+          .select('*', { count: 'exact' })
+          .eq('tg_id', tgId);
+
+        if (types.length > 0) {
+          query = query.in('type', types);
+        }
+
+        if (from) {
+          query = query.gte('activity_date', from);
+        }
+
+        if (to) {
+          query = query.lte('activity_date', to);
+        }
+
+        return query
+          .order('occurred_at', { ascending: false })
+          .order('id', { ascending: false })
+          .range(offset, offset + limit - 1);
+      },
+      'SELECT_USER_ACTIVITY'
+    );
+
+    return {
+      activity: (result.data || []).map(row => this.formatActivity(row)),
+      total: result.count || 0
+    };
+  }
+
+  /**
+   * Format activity row for responses
+   * @param {Object} row - user_activity row
+   * @returns {Object} Activity entry
+   */
+  formatActivity(row) {
+    return {
+      id: Number(row.id),
+      type: row.type,
+      details: row.details || {},
+      date: row.activity_date,
+      occurred_at: row.occurred_at
+    };
+  }
+}
+
+export const activityService = new ActivityService();
+export default activityService;
@@ -0,0 +1,183 @@
+// services/adminService.js - ADMIN ROLES & PERMISSIONS SERVICE
+import { BaseService } from './supabaseService.js';
+import { createError } from '../middleware/errorHandler.js';
+import { APP_CONSTANTS } from '../config/config.js';
+import config from '../config/config.js';
+
+/**
+ * Admin service for role-based admin access
+ * config.ADMIN_ID is a built-in owner that cannot be changed through the API,
+ * so there is always at least one owner.
+ */
+class AdminService extends BaseService {
+  constructor() {
+    super('admins');
+  }
+
+  /**
+   * Get active admin by Telegram ID
+   * @param {number} tgId - Telegram user ID
+   * @returns {Promise<Object|null>} Admin with role and permissions, or null
+   */
+  async getAdmin(tgId) {
+    if (this.isBootstrapOwner(tgId)) {
+      return this.formatAdmin({
+        tg_id: tgId,
+        role: APP_CONSTANTS.ADMIN_ROLES.OWNER,
+        name: null,
+        is_active: true,
+        is_bootstrap: true
+      });
+    }
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('tg_id', tgId)
+        .eq('is_active', true)
+        .maybeSingle(),
+      'SELECT_ADMIN'
+    );
+
+    return result.data ? this.formatAdmin(result.data) : null;
+  }
+
+  /**
+   * List all active admins
+   * @returns {Promise<Array>} Admins list
+   */
+  async listAdmins() {
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('is_active', true)
+        .order('created_at', { ascending: true }),
+      'SELECT_ADMINS'
+    );
+
+    const admins = (result.data || [])
+      .filter(admin => !this.isBootstrapOwner(admin.tg_id))
+      .map(admin => this.formatAdmin(admin));
+
+    return [
+      await this.getAdmin(config.ADMIN_ID),
+      ...admins
+    ];
+  }
+
+  /**
+   * Add admin or change role of existing admin
+   * @param {number} tgId - Telegram user ID
+   * @param {string} role - Admin role
+   * @param {number} actorId - Admin performing the change
+   * @param {string} name - Optional display name
+   * @returns {Promise<Object>} Saved admin
+   */
+  async setAdminRole(tgId, role, actorId, name = null) {
+    this.assertValidRole(role);
+
+    if (this.isBootstrapOwner(tgId)) {
+      throw createError.forbidden('The primary owner role cannot be changed');
+    }
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .upsert({
+          tg_id: tgId,
+          role,
+          ...(name && { name }),
+          added_by: actorId,
+          is_active: true,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'tg_id' })
+        .select()
+        .single(),
+      'UPSERT_ADMIN'
+    );
+
+    return this.formatAdmin(result.data);
+  }
+
+  /**
+   * Remove admin access
+   * @param {number} tgId - Telegram user ID
+   * @returns {Promise<boolean>} Whether an admin was removed
+   */
+  async removeAdmin(tgId) {
+    if (this.isBootstrapOwner(tgId)) {
+      throw createError.forbidden('The primary owner cannot be removed');
+    }
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .update({
+          is_active: false,
+          updated_at: new Date().toISOString()
+        })
+        .eq('tg_id', tgId)
+        .eq('is_active', true)
+        .select('tg_id'),
+      'DEACTIVATE_ADMIN'
+    );
+
+    return (result.data || []).length > 0;
+  }
+
+  /**
+   * Check if role grants permission
+   * @param {string} role - Admin role
+   * @param {string} permission - Permission name
+   * @returns {boolean} Whether permission is granted
+   */
+  hasPermission(role, permission) {
+    const permissions = APP_CONSTANTS.ADMIN_ROLE_PERMISSIONS[role] || [];
+    return permissions.includes(permission);
+  }
+
+  // ==================== HELPER METHODS ====================
+
+  /**
+   * Whether Telegram ID is the configured primary owner
+   * @param {number} tgId - Telegram user ID
+   * @returns {boolean}
+   */
+  isBootstrapOwner(tgId) {
+    return tgId === config.ADMIN_ID;
+  }
+
+  /**
+   * Validate role name
+   * @param {string} role - Admin role
+   */
+  assertValidRole(role) {
+    const validRoles = Object.values(APP_CONSTANTS.ADMIN_ROLES);
+    if (!validRoles.includes(role)) {
+      throw createError.badRequest(`Invalid role. Must be: ${validRoles.join(', ')}`);
+    }
+  }
+
+  /**
+   * Format admin row for API responses
+   * @param {Object} admin - Raw admin row
+   * @returns {Object} Admin with permissions
+   */
+  formatAdmin(admin) {
+    return {
+      tg_id: admin.tg_id,
+      role: admin.role,
+      name: admin.name || null,
+      added_by: admin.added_by || null,
+      is_bootstrap: admin.is_bootstrap || false,
+      permissions: APP_CONSTANTS.ADMIN_ROLE_PERMISSIONS[admin.role] || [],
+      created_at: admin.created_at || null,
+      updated_at: admin.updated_at || null
+    };
+  }
+}
+
+export const adminService = new AdminService();
+export default adminService;
@@ -0,0 +1,323 @@
+// services/analyticsService.js - ADMIN ANALYTICS SERVICE
+import { BaseService, dailyProgressService } from './supabaseService.js';
+import { taskTemplateService } from './taskTemplateService.js';
+import { createError } from '../middleware/errorHandler.js';
+import config, { APP_CONSTANTS } from '../config/config.js';
+import { getToday, addDays, daysBetween, getIsoWeekStart, toIsoWeekString, isValidDateString } from '../utils/helpers.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+
+/**
+ * Analytics service
+ * Period totals and daily chart series for the admin panel. Aggregation runs in the
+ * database (migration 015); this service shapes the numbers for the response.
+ */
+class AnalyticsService extends BaseService {
+  constructor() {
+    super('daily_progress');
+  }
+
+  // ==================== PERIOD ANALYTICS ====================
+
+  /**
+   * Get analytics for a period
+   * @param {string|Object} period - Time period, or a range from resolvePeriod()
+   * @returns {Promise<Object>} { user_growth, engagement_metrics, content_metrics, charts_data }
+   */
+  async getAnalytics(period) {
+    const range = dailyProgressService.resolvePeriod(period);
+    const today = getToday();
+
+    // Calendar periods end in the future; nothing has happened there yet
+    const endDate = range.end_date && range.end_date < today ? range.end_date : today;
+
+    const summary = await this.getSummary(range.start_date, endDate);
+    const startDate = range.start_date || summary.first_date;
+
+    const [daily, templates] = startDate && startDate <= endDate
+      ? await Promise.all([this.getDailySeries(startDate, endDate), taskTemplateService.getAllTemplates()])
+      : [[], []];
+
+    const dayCount = daily.length;
+    const dailyActive = daily.map(day => day.submissions);
+    const approvedMembers = summary.approved_before + summary.new_approvals;
+
+    return {
+      series_range: {
+        start_date: startDate || null,
+        end_date: endDate,
+        days: dayCount
+      },
+      user_growth: {
+        new_registrations: summary.new_registrations,
+        new_approvals: summary.new_approvals,
+        approved_members: approvedMembers,
+        // New approvals relative to the members approved before the period (null for all time)
+        growth_rate_percent: range.start_date && summary.approved_before > 0
+          ? percent(summary.new_approvals, summary.approved_before)
+          : null
+      },
+      engagement_metrics: {
+        // One submission per user per day, so daily submissions are the daily active submitters
+        daily_active_users: dayCount > 0 ? round(summary.submissions / dayCount) : 0,
+        peak_daily_active_users: Math.max(0, ...dailyActive),
+        active_users: summary.active_users,
+        average_tasks_completed: summary.submissions > 0
+          ? round(summary.tasks_completed / summary.submissions)
+          : 0,
+        total_submissions: summary.submissions
+      },
+      content_metrics: {
+        total_pages_read: summary.total_pages,
+        total_distance_covered: round(summary.total_distance),
+        average_pages_per_user: summary.active_users > 0 ? round(summary.total_pages / summary.active_users) : 0,
+        average_distance_per_user: summary.active_users > 0 ? round(summary.total_distance / summary.active_users) : 0
+      },
+      charts_data: {
+        daily_submissions: daily.map(day => ({
+          date: day.date,
+          submissions: day.submissions,
+          tasks_completed: day.tasks_completed,
+          pages_read: day.pages_read,
+          distance_km: day.distance_km
+        })),
+        user_registrations: daily.map(day => ({
+          date: day.date,
+          registrations: day.registrations,
+          approvals: day.approvals
+        })),
+        task_completion_rates: this.buildTaskCompletionRates(daily, templates, endDate)
+      }
+    };
+  }
+
+  /**
+   * Get period totals
+   * @param {string|null} startDate - Start date (null = all time)
+   * @param {string} endDate - End date
+   * @returns {Promise<Object>} Totals and first_date (first day with any activity)
+   */
+  async getSummary(startDate, endDate) {
+    const result = await this.executeQuery(
+      () => this.supabase.rpc('admin_analytics_summary', {
+        p_start_date: startDate,
+        p_end_date: endDate,
+        p_timezone: config.DEFAULT_TIMEZONE
+      }),
+      'RPC_ADMIN_ANALYTICS_SUMMARY'
+    );
+
+    const row = (Array.isArray(result.data) ? result.data[0] : result.data) || {};
+
+    return {
+      new_registrations: Number(row.new_registrations) || 0,
+      new_approvals: Number(row.new_approvals) || 0,
+      approved_before: Number(row.approved_before) || 0,
+      submissions: Number(row.submissions) || 0,
+      active_users: Number(row.active_users) || 0,
+      tasks_completed: Number(row.tasks_completed) || 0,
+      total_pages: Number(row.total_pages) || 0,
+      total_distance: Number(row.total_distance) || 0,
+      first_date: row.first_date || null
+    };
+  }
+
+  /**
+   * Get one row per day of the range, including days without activity
+   * @param {string} startDate - Start date
+   * @param {string} endDate - End date
+   * @returns {Promise<Array>} Days (oldest first)
+   */
+  async getDailySeries(startDate, endDate) {
+    const rows = await this.fetchAllPages(
+      (from, to) => this.supabase
+        .rpc('admin_analytics_daily', {
+          p_start_date: startDate,
+          p_end_date: endDate,
+          p_timezone: config.DEFAULT_TIMEZONE
+        })
+        .range(from, to),
+      'RPC_ADMIN_ANALYTICS_DAILY'
+    );
+
+    return rows.map(row => ({
+      date: row.date,
+      registrations: Number(row.registrations) || 0,
+      approvals: Number(row.approvals) || 0,
+      submissions: Number(row.submissions) || 0,
+      tasks_completed: Number(row.tasks_completed) || 0,
+      pages_read: Number(row.pages_read) || 0,
+      distance_km: round(Number(row.distance_km) || 0),
+      task_completions: row.task_completions || {}
+    }));
+  }
+
+  /**
+   * Build per-task completion rates: the share of submissions that completed each task
+   * Covers tasks active in the range, plus retired ones that were still completed in it.
+   * @param {Array} daily - Daily series
+   * @param {Array} templates - All task templates
+   * @param {string} endDate - Series end date
+   * @returns {Array} Tasks with overall rate and daily series
+   */
+  buildTaskCompletionRates(daily, templates, endDate) {
+    return templates
+      .map(template => {
+        const series = daily.map(day => {
+          const completed = Number(day.task_completions[template.id]) || 0;
+          return {
+            date: day.date,
+            completed,
+            completion_rate: percent(completed, day.submissions)
+          };
+        });
+        const completed = series.reduce((sum, day) => sum + day.completed, 0);
+
+        // Days before the task existed do not dilute its rate
+        const eligible = daily
+          .filter(day => day.date >= template.active_from)
+          .reduce((sum, day) => sum + day.submissions, 0);
+
+        return { template, completed, eligible, series };
+      })
+      .filter(({ template, completed }) =>
+        completed > 0 || (template.is_active && template.active_from <= endDate)
+      )
+      .map(({ template, completed, eligible, series }) => ({
+        task_id: template.id,
+        title: template.title,
+        category: template.category,
+        is_active: template.is_active,
+        completed,
+        completion_rate: percent(completed, eligible),
+        daily: series
+      }));
+  }
+
+  // ==================== COHORT RETENTION ====================
+
+  /**
+   * Get cohort retention matrix
+   * Approved users are grouped by approval week or month; each cohort row holds the share of
+   * members who submitted in week 0..weeks after their approval day. Weeks still running are
+   * left out (rate null) instead of being counted as churn.
+   * @param {Object} options - { cohort, from, to, weeks } - from/to bound the approval dates
+   * @returns {Promise<Object>} { cohort_type, weeks, date_range, cohorts, average_retention }
+   */
+  async getRetention({ cohort = 'week', from, to, weeks = APP_CONSTANTS.RETENTION.DEFAULT_WEEKS } = {}) {
+    const today = getToday();
+    const dateRange = this.resolveCohortRange(cohort, from, to, today);
+
+    const rows = await this.fetchAllPages(
+      (start, end) => this.supabase
+        .rpc('cohort_retention', {
+          p_cohort: cohort,
+          p_start_date: dateRange.start_date,
+          p_end_date: dateRange.end_date,
+          p_weeks: weeks,
+          p_timezone: config.DEFAULT_TIMEZONE,
+          p_today: today
+        })
+        .range(start, end),
+      'RPC_COHORT_RETENTION'
+    );
+
+    const cell = (weekOffset, eligible, retained) => ({
+      week: weekOffset,
+      eligible,
+      retained,
+      rate: eligible > 0 ? percent(retained, eligible) : null
+    });
+
+    const cohorts = new Map();
+    const totals = Array.from({ length: weeks + 1 }, () => ({ eligible: 0, retained: 0 }));
+
+    for (const row of rows) {
+      const weekOffset = Number(row.week_offset);
+      const eligible = Number(row.eligible) || 0;
+      const retained = Number(row.retained) || 0;
+
+      if (!cohorts.has(row.cohort_start)) {
+        cohorts.set(row.cohort_start, {
+          cohort: cohort === 'month' ? row.cohort_start.slice(0, 7) : toIsoWeekString(row.cohort_start),
+          cohort_start: row.cohort_start,
+          cohort_size: Number(row.cohort_size) || 0,
+          retention: []
+        });
+      }
+
+      cohorts.get(row.cohort_start).retention[weekOffset] = cell(weekOffset, eligible, retained);
+      totals[weekOffset].eligible += eligible;
+      totals[weekOffset].retained += retained;
+    }
+
+    return {
+      cohort_type: cohort,
+      weeks,
+      date_range: dateRange,
+      cohorts: [...cohorts.values()],
+      // Weighted by members, so large cohorts count for more than small ones
+      average_retention: totals.map((total, weekOffset) => cell(weekOffset, total.eligible, total.retained))
+    };
+  }
+
+  /**
+   * Resolve the approval date range of a retention report
+   * Defaults to the last APP_CONSTANTS.RETENTION.DEFAULT_COHORTS weeks or months, current included.
+   * @param {string} cohort - Cohort type (week, month)
+   * @param {string} from - Optional start date (YYYY-MM-DD)
+   * @param {string} to - Optional end date (YYYY-MM-DD), defaults to today
+   * @param {string} today - Today's date
+   * @returns {Object} { start_date, end_date }
+   */
+  resolveCohortRange(cohort, from, to, today) {
+    if (from) {
+      const endDate = to || today;
+
+      if (!isValidDateString(from) || !isValidDateString(endDate)) {
+        throw createError.badRequest('Dates must be valid and in YYYY-MM-DD format');
+      }
+      if (from > endDate) {
+        throw createError.badRequest('From date must be before to date');
+      }
+      if (daysBetween(from, endDate) + 1 > APP_CONSTANTS.RETENTION.MAX_RANGE_DAYS) {
+        throw createError.badRequest(`Date range cannot exceed ${APP_CONSTANTS.RETENTION.MAX_RANGE_DAYS} days`);
+      }
+
+      return { start_date: from, end_date: endDate };
+    }
+
+    const count = APP_CONSTANTS.RETENTION.DEFAULT_COHORTS[cohort];
+
+    if (cohort === 'month') {
+      const [year, month] = today.split('-').map(Number);
+      const start = new Date(Date.UTC(year, month - count, 1)).toISOString().split('T')[0];
+      return { start_date: start, end_date: today };
+    }
+
+    return { start_date: addDays(getIsoWeekStart(today), -7 * (count - 1)), end_date: today };
+  }
+
+  /**
+   * Build CSV rows of a retention report: one line per cohort, week columns hold rate percent
+   * (empty while the week is still running)
+   * @param {Object} report - Report from getRetention()
+   * @returns {Object} { header, rows }
+   */
+  formatRetentionCsv(report) {
+    const weekColumns = Array.from({ length: report.weeks + 1 }, (_, week) => `week_${week}`);
+    const rates = (retention) => weekColumns.map((_, week) => retention[week]?.rate ?? '');
+
+    return {
+      header: ['cohort', 'cohort_start', 'cohort_size', ...weekColumns],
+      rows: [
+        ...report.cohorts.map(row => [row.cohort, row.cohort_start, row.cohort_size, ...rates(row.retention)]),
+        ['average', '', report.cohorts.reduce((sum, row) => sum + row.cohort_size, 0), ...rates(report.average_retention)]
+      ]
+    };
+  }
+}
+
+export const analyticsService = new AnalyticsService();
+export default analyticsService;
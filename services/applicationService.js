@@ -0,0 +1,162 @@
+// services/applicationService.js - APPLICATION HISTORY & RE-APPLICATION SERVICE
+import { BaseService } from './supabaseService.js';
+import { logger } from '../utils/logger.js';
+import { createError } from '../middleware/errorHandler.js';
+import config, { APP_CONSTANTS } from '../config/config.js';
+import { DAY_MS } from '../utils/helpers.js';
+
+/**
+ * Application service
+ * Keeps the history of applications and admin decisions per user
+ * and decides when a rejected user may apply again.
+ */
+class ApplicationService extends BaseService {
+  constructor() {
+    super('user_applications');
+  }
+
+  /**
+   * Record application event
+   * History is informational, so a failed write is logged but not thrown.
+   * @param {number} tgId - Telegram user ID
+   * @param {string} event - APP_CONSTANTS.APPLICATION_EVENTS value
+   * @param {Object} details - { name, reason_code, reason, admin_id }
+   * @returns {Promise<Object|null>} Saved event or null
+   */
+  async recordEvent(tgId, event, details = {}) {
+    try {
+      const result = await this.executeQuery(
+        () => this.supabase
+          .from(this.tableName)
+          .insert({
+            tg_id: tgId,
+            event,
+            name: details.name || null,
+            reason_code: details.reason_code || null,
+            reason: details.reason || null,
+            admin_id: details.admin_id || null
+          })
+          .select()
+          .single(),
+        'INSERT_APPLICATION_EVENT'
+      );
+
+      return result.data;
+    } catch (error) {
+      logger.warn('Failed to record application event:', {
+        tg_id: tgId,
+        event,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get application history for several users
+   * @param {Array<number>} tgIds - Telegram user IDs
+   * @returns {Promise<Object>} Map of tg_id -> events (oldest first)
+   */
+  async getHistoryForUsers(tgIds) {
+    if (!tgIds || tgIds.length === 0) {
+      return {};
+    }
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('tg_id, event, name, reason_code, reason, admin_id, created_at')
+        .in('tg_id', tgIds)
+        .order('created_at', { ascending: true }),
+      'SELECT_APPLICATION_HISTORY'
+    );
+
+    return (result.data || []).reduce((history, entry) => {
+      const { tg_id, ...event } = entry;
+      (history[tg_id] = history[tg_id] || []).push(event);
+      return history;
+    }, {});
+  }
+
+  /**
+   * Resolve rejection reason from preset code and/or custom text
+   * @param {string} reasonCode - APP_CONSTANTS.REJECTION_REASONS key
+   * @param {string} reasonText - Custom reason typed by admin
+   * @returns {Object} { reason_code, reason }
+   */
+  resolveRejectionReason(reasonCode, reasonText) {
+    const reasons = APP_CONSTANTS.REJECTION_REASONS;
+    const code = reasonCode || 'other';
+
+    if (!reasons[code]) {
+      throw createError.badRequest(`Invalid reason code. Must be: ${Object.keys(reasons).join(', ')}`);
+    }
+
+    const text = reasonText?.trim();
+
+    return {
+      reason_code: code,
+      reason: text || reasons[code]
+    };
+  }
+
+  /**
+   * Build rejection columns for the users table
+   * @param {Object} rejection - { reason_code, reason }
+   * @param {number} adminId - Admin who rejected
+   * @returns {Object} Columns to update
+   */
+  buildRejectionData(rejection, adminId) {
+    return {
+      rejection_code: rejection.reason_code,
+      rejection_reason: rejection.reason,
+      rejected_at: new Date().toISOString(),
+      rejected_by: adminId
+    };
+  }
+
+  /**
+   * Check whether a rejected user may apply again
+   * @param {Object} user - User row
+   * @returns {Object} { can_reapply, can_reapply_at }
+   */
+  getReapplyStatus(user) {
+    if (user?.status !== APP_CONSTANTS.USER_STATUS.REJECTED) {
+      return { can_reapply: false, can_reapply_at: null };
+    }
+
+    if (!user.rejected_at) {
+      return { can_reapply: true, can_reapply_at: null };
+    }
+
+    const availableAt = new Date(
+      new Date(user.rejected_at).getTime() + config.REAPPLY_COOLDOWN_DAYS * DAY_MS
+    );
+
+    return {
+      can_reapply: availableAt <= new Date(),
+      can_reapply_at: availableAt.toISOString()
+    };
+  }
+
+  /**
+   * Format rejection details for API responses
+   * @param {Object} user - User row
+   * @returns {Object|null} Rejection info, or null for non-rejected users
+   */
+  formatRejection(user) {
+    if (user?.status !== APP_CONSTANTS.USER_STATUS.REJECTED) {
+      return null;
+    }
+
+    return {
+      reason_code: user.rejection_code || null,
+      reason: user.rejection_reason || null,
+      rejected_at: user.rejected_at || null,
+      ...this.getReapplyStatus(user)
+    };
+  }
+}
+
+export const applicationService = new ApplicationService();
+export default applicationService;
@@ -0,0 +1,471 @@
+// services/exportService.js - ADMIN DATA EXPORT SERVICE
+import { BaseService, dailyProgressService, PAGE_SIZE } from './supabaseService.js';
+import { responseService } from './responseService.js';
+import { logger } from '../utils/logger.js';
+import { createError } from '../middleware/errorHandler.js';
+import config, { APP_CONSTANTS } from '../config/config.js';
+import { getDayStart, addDays } from '../utils/helpers.js';
+import { CSV_BOM, toCsvLine } from '../utils/csv.js';
+import { XlsxStreamWriter } from '../utils/xlsx.js';
+
+/**
+ * Exportable columns per export type, in default order
+ * type drives cell formatting: number, boolean, string, date (YYYY-MM-DD) or datetime (ISO timestamp).
+ * Columns marked optional are only exported when requested by name.
+ */
+const EXPORT_COLUMNS = {
+  users: [
+    { key: 'tg_id', type: 'number' },
+    { key: 'name', type: 'string' },
+    { key: 'username', type: 'string' },
+    { key: 'status', type: 'string' },
+    { key: 'registration_date', type: 'datetime' },
+    { key: 'approval_date', type: 'datetime' },
+    { key: 'language', type: 'string' },
+    { key: 'timezone', type: 'string' },
+    { key: 'is_premium', type: 'boolean', optional: true },
+    { key: 'rejection_code', type: 'string', optional: true },
+    { key: 'rejection_reason', type: 'string', optional: true },
+    { key: 'rejected_at', type: 'datetime', optional: true }
+  ],
+  progress: [
+    { key: 'date', type: 'date' },
+    { key: 'tg_id', type: 'number' },
+    { key: 'name', type: 'string', get: row => row.users?.name },
+    { key: 'username', type: 'string', get: row => row.users?.username, optional: true },
+    { key: 'completed_count', type: 'number' },
+    { key: 'total_tasks', type: 'number' },
+    { key: 'score', type: 'number' },
+    { key: 'pages_read', type: 'number' },
+    { key: 'distance_km', type: 'number' },
+    // Template ids of completed tasks, e.g. "1;2;5"
+    {
+      key: 'completed_tasks',
+      type: 'string',
+      get: row => Object.keys(row.tasks || {}).filter(id => row.tasks[id]).join(';')
+    },
+    { key: 'submission_time', type: 'datetime' }
+  ],
+  leaderboard: [
+    { key: 'rank', type: 'number' },
+    { key: 'list_position', type: 'number', optional: true },
+    { key: 'tg_id', type: 'number' },
+    { key: 'name', type: 'string' },
+    { key: 'score', type: 'number' },
+    { key: 'total_points', type: 'number' },
+    { key: 'total_pages', type: 'number' },
+    { key: 'total_distance', type: 'number' },
+    { key: 'days_count', type: 'number' }
+  ]
+};
+
+/**
+ * Columns of the per-user totals sheet in progress workbooks
+ */
+const USER_TOTALS_COLUMNS = [
+  { key: 'tg_id', type: 'number' },
+  { key: 'name', type: 'string' },
+  { key: 'username', type: 'string' },
+  { key: 'days', type: 'number' },
+  { key: 'total_score', type: 'number' },
+  { key: 'average_score', type: 'number' },
+  { key: 'tasks_completed', type: 'number' },
+  { key: 'total_pages', type: 'number' },
+  { key: 'total_distance', type: 'number' },
+  { key: 'first_date', type: 'date' },
+  { key: 'last_date', type: 'date' }
+];
+
+/**
+ * Sheet names in XLSX exports
+ */
+const SHEET_NAMES = {
+  users: 'Users',
+  progress: 'Progress',
+  leaderboard: 'Leaderboard',
+  user_totals: 'Per-user totals'
+};
+
+/**
+ * Write to a response, waiting for the buffer to drain when it is full
+ * Resolves early if the client goes away, so a stalled download never hangs the export.
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+function writeChunk(res, chunk) {
+  // An aborted download never emits drain or close again, so waiting would hang forever
+  if (res.destroyed || res.writableEnded || res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Export service
+ * Streams users, daily progress and leaderboards as CSV, JSON or XLSX. Rows are fetched and
+ * written one page at a time, so memory use does not grow with the export size.
+ */
+class ExportService extends BaseService {
+  constructor() {
+    super('daily_progress');
+  }
+
+  // ==================== COLUMNS ====================
+
+  /**
+   * Get exportable column names of a type
+   * @param {string} type - Export type
+   * @returns {Array<string>} Column names
+   */
+  getAvailableColumns(type) {
+    return EXPORT_COLUMNS[type].map(column => column.key);
+  }
+
+  /**
+   * Resolve requested columns
+   * @param {string} type - Export type
+   * @param {Array<string>} requested - Column names (empty = default columns)
+   * @returns {Array<Object>} Column definitions in requested order
+   */
+  resolveColumns(type, requested = []) {
+    const definitions = EXPORT_COLUMNS[type];
+
+    if (!requested || requested.length === 0) {
+      return definitions.filter(column => !column.optional);
+    }
+
+    const unknown = requested.filter(key => !definitions.some(column => column.key === key));
+    if (unknown.length > 0) {
+      throw createError.badRequest(
+        `Unknown ${type} columns: ${unknown.join(', ')}. Available: ${this.getAvailableColumns(type).join(', ')}`
+      );
+    }
+
+    return requested.map(key => definitions.find(column => column.key === key));
+  }
+
+  /**
+   * Read typed cell values of a row
+   * @param {Array<Object>} columns - Column definitions
+   * @param {Object} row - Source row
+   * @returns {Array} Values in column order (null when missing)
+   */
+  getValues(columns, row) {
+    return columns.map(column => {
+      const value = column.get ? column.get(row) : row[column.key];
+
+      if (value === null || value === undefined || value === '') {
+        return null;
+      }
+
+      switch (column.type) {
+        case 'number':
+          return Number(value);
+        case 'boolean':
+          return Boolean(value);
+        case 'datetime':
+          return new Date(value).toISOString();
+        default:
+          return String(value);
+      }
+    });
+  }
+
+  // ==================== ROW SOURCES ====================
+
+  /**
+   * Iterate export rows one page at a time
+   * @param {string} type - Export type
+   * @param {Object} options - { range, status, leaderboardType }
+   * @returns {AsyncGenerator<Array>} Pages of source rows
+   */
+  iterateRows(type, options) {
+    return this.iteratePages(page => this.fetchPage(type, options, page));
+  }
+
+  /**
+   * Fetch one page of export rows
+   * @param {string} type - Export type
+   * @param {Object} options - { range, status, leaderboardType }
+   * @param {Object} page - { offset, limit }
+   * @returns {Promise<Array>} Source rows
+   */
+  async fetchPage(type, { range, status = 'all', leaderboardType = 'overall' }, { offset, limit }) {
+    if (type === 'leaderboard') {
+      // Leaderboards only rank approved users; ranks are computed in the database
+      return dailyProgressService.getLeaderboardData({
+        period: range,
+        type: leaderboardType,
+        limit,
+        offset
+      });
+    }
+
+    if (type === 'users') {
+      // Registration days are counted in the challenge timezone
+      const result = await this.executeQuery(
+        () => {
+          let query = this.supabase
+            .from('users')
+            .select('*');
+
+          if (status !== 'all') {
+            query = query.eq('status', status);
+          }
+          if (range.start_date) {
+            query = query.gte('registration_date', getDayStart(range.start_date));
+          }
+          if (range.end_date) {
+            query = query.lt('registration_date', getDayStart(addDays(range.end_date, 1)));
+          }
+
+          return query
+            .order('registration_date', { ascending: true })
+            .order('tg_id', { ascending: true })
+            .range(offset, offset + limit - 1);
+        },
+        'SELECT_EXPORT_USERS'
+      );
+
+      return result.data || [];
+    }
+
+    const result = await this.executeQuery(
+      () => {
+        let query = this.supabase
+          .from(this.tableName)
+          .select('date, tg_id, tasks, completed_count, total_tasks, score, pages_read, distance_km, submission_time, users!inner(name, username, status)');
+
+        if (status !== 'all') {
+          query = query.eq('users.status', status);
+        }
+        if (range.start_date) {
+          query = query.gte('date', range.start_date);
+        }
+        if (range.end_date) {
+          query = query.lte('date', range.end_date);
+        }
+
+        return query
+          .order('date', { ascending: true })
+          .order('tg_id', { ascending: true })
+          .range(offset, offset + limit - 1);
+      },
+      'SELECT_EXPORT_PROGRESS'
+    );
+
+    return result.data || [];
+  }
+
+  // ==================== PER-USER TOTALS ====================
+
+  /**
+   * Add progress rows to per-user totals
+   * @param {Map} totals - tg_id -> totals (updated in place)
+   * @param {Array} rows - daily_progress rows with users(name, username)
+   */
+  addToUserTotals(totals, rows) {
+    for (const row of rows) {
+      const tgId = Number(row.tg_id);
+
+      if (!totals.has(tgId)) {
+        totals.set(tgId, {
+          tg_id: tgId,
+          name: row.users?.name || null,
+          username: row.users?.username || null,
+          days: 0,
+          total_score: 0,
+          tasks_completed: 0,
+          total_pages: 0,
+          total_distance: 0,
+          first_date: row.date,
+          last_date: row.date
+        });
+      }
+
+      const entry = totals.get(tgId);
+      entry.days += 1;
+      entry.total_score += Number(row.score) || 0;
+      entry.tasks_completed += Number(row.completed_count) || 0;
+      entry.total_pages += Number(row.pages_read) || 0;
+      entry.total_distance += Number(row.distance_km) || 0;
+      if (row.date < entry.first_date) entry.first_date = row.date;
+      if (row.date > entry.last_date) entry.last_date = row.date;
+    }
+  }
+
+  /**
+   * Per-user totals sorted by score (highest first)
+   * @param {Map} totals - tg_id -> totals
+   * @returns {Array<Object>} Rows for the totals sheet
+   */
+  getUserTotalsRows(totals) {
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return [...totals.values()]
+      .map(entry => ({
+        ...entry,
+        total_score: round(entry.total_score),
+        total_distance: round(entry.total_distance),
+        average_score: entry.days > 0 ? round(entry.total_score / entry.days) : 0
+      }))
+      .sort((a, b) => (b.total_score - a.total_score) || (a.tg_id - b.tg_id));
+  }
+
+  // ==================== STREAMING ====================
+
+  /**
+   * Stream export to the response
+   * The first page is fetched before anything is written, so bad filters and database errors
+   * still produce a normal error response. A failure after that aborts the download.
+   * @param {Object} res - Express response
+   * @param {Object} options - { type, format, columns, range, status, leaderboardType } - format is json, csv or xlsx
+   * @returns {Promise<number>} Rows written
+   */
+  async streamExport(res, { type, format, columns: requested, range, status, leaderboardType }) {
+    if (type === 'leaderboard' && status && status !== APP_CONSTANTS.USER_STATUS.APPROVED) {
+      throw createError.badRequest('Leaderboard exports only include approved users; the status filter is not supported');
+    }
+
+    const columns = this.resolveColumns(type, requested);
+    const pages = this.iterateRows(type, { range, status, leaderboardType });
+    let next = await pages.next();
+
+    const writer = this.createWriter(format, res, { type, range, columns });
+    // Workbooks of progress get a second sheet with totals per user
+    const userTotals = format === 'xlsx' && type === 'progress' ? new Map() : null;
+    let total = 0;
+
+    res.status(200);
+
+    try {
+      await writer.start();
+
+      while (!next.done && !res.destroyed) {
+        await writer.writeRows(next.value.map(row => this.getValues(columns, row)), total);
+
+        if (userTotals) {
+          this.addToUserTotals(userTotals, next.value);
+        }
+
+        total += next.value.length;
+        next = await pages.next();
+      }
+
+      if (res.destroyed) {
+        await pages.return();
+        logger.warn('EXPORT_ABORTED', { type, format, rows: total });
+        return total;
+      }
+
+      await writer.finish(total, userTotals && this.getUserTotalsRows(userTotals));
+
+      res.end();
+      logger.info('EXPORT_COMPLETED', { type, format, rows: total });
+      return total;
+
+    } catch (error) {
+      // Nothing sent yet: the error handler can still answer with a JSON error
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        throw error;
+      }
+
+      // Headers are already sent; cut the download so the client sees it is incomplete
+      logger.error('Export stream failed:', { type, format, rows: total, error: error.message });
+      res.destroy(error);
+      return total;
+    }
+  }
+
+  /**
+   * Create format writer
+   * Each writer sets the response headers in start(), writes typed row values in
+   * writeRows() and closes the document in finish().
+   * @param {string} format - json, csv or xlsx
+   * @param {Object} res - Express response
+   * @param {Object} context - { type, range, columns }
+   * @returns {Object} { start, writeRows, finish }
+   */
+  createWriter(format, res, { type, range, columns }) {
+    const header = columns.map(column => column.key);
+    const fileName = `${type}_export_${range.label}`;
+
+    if (format === 'csv') {
+      return {
+        start: async () => {
+          res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+          res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+          await writeChunk(res, CSV_BOM + toCsvLine(header));
+        },
+        writeRows: (rows) => writeChunk(res, rows.map(toCsvLine).join('')),
+        finish: async () => {}
+      };
+    }
+
+    if (format === 'xlsx') {
+      const workbook = new XlsxStreamWriter(chunk => writeChunk(res, chunk), {
+        timezone: config.DEFAULT_TIMEZONE
+      });
+
+      return {
+        start: async () => {
+          res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+          res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+          await workbook.startSheet(SHEET_NAMES[type], columns);
+        },
+        writeRows: (rows) => workbook.addRows(rows),
+        finish: async (total, userTotals) => {
+          await workbook.endSheet();
+
+          if (userTotals) {
+            await workbook.startSheet(SHEET_NAMES.user_totals, USER_TOTALS_COLUMNS);
+            for (let index = 0; index < userTotals.length; index += PAGE_SIZE) {
+              await workbook.addRows(userTotals.slice(index, index + PAGE_SIZE)
+                .map(entry => USER_TOTALS_COLUMNS.map(column => entry[column.key])));
+            }
+            await workbook.endSheet();
+          }
+
+          await workbook.finish();
+        }
+      };
+    }
+
+    return {
+      start: async () => {
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        // Same envelope as responseService.success, with data streamed in
+        const exportedAt = new Date().toISOString();
+        const meta = JSON.stringify({
+          success: true,
+          timestamp: exportedAt,
+          type,
+          format,
+          date_range: responseService.formatDateRange(range),
+          columns: header,
+          exported_at: exportedAt
+        });
+        await writeChunk(res, `${meta.slice(0, -1)},"data":[`);
+      },
+      writeRows: (rows, written) => writeChunk(res, rows.map((values, index) => {
+        const record = Object.fromEntries(header.map((key, position) => [key, values[position]]));
+        return `${written + index > 0 ? ',' : ''}${JSON.stringify(record)}`;
+      }).join('')),
+      finish: (total) => writeChunk(res, `],"total_records":${total}}`)
+    };
+  }
+}
+
+export const exportService = new ExportService();
+export default exportService;
@@ -0,0 +1,497 @@
+// services/leaderboardSnapshotService.js - LEADERBOARD HISTORY SERVICE
+import { BaseService, dailyProgressService, PAGE_SIZE } from './supabaseService.js';
+import { logger } from '../utils/logger.js';
+import { createError } from '../middleware/errorHandler.js';
+import config, { APP_CONSTANTS } from '../config/config.js';
+import { getToday, getTimeOfDay, addDays } from '../utils/helpers.js';
+
+/**
+ * How often the scheduler checks whether today's snapshot is due
+ * Must stay well below the gap between LEADERBOARD_SNAPSHOT_TIME and midnight (5 minutes by default).
+ */
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Leaderboard snapshot service
+ * Stores each participant's daily rank and score for every leaderboard type and period,
+ * and derives rank movements by comparing two snapshot dates.
+ */
+class LeaderboardSnapshotService extends BaseService {
+  constructor() {
+    super('leaderboard_snapshots');
+    this.schedulerTimer = null;
+    this.lastSnapshotDate = null;
+    this.missedSnapshotChecked = false;
+    this.isRunning = false;
+  }
+
+  // ==================== SNAPSHOT JOB ====================
+
+  /**
+   * Take snapshot of every leaderboard type and period
+   * Re-running for the same date replaces that date's rows.
+   * @param {string} snapshotDate - Date in YYYY-MM-DD format (defaults to today)
+   * @returns {Promise<Object>} { snapshot_date, leaderboards, rows }
+   */
+  async takeSnapshot(snapshotDate = null) {
+    const date = snapshotDate || getToday();
+    if (date > getToday()) {
+      throw createError.badRequest('Snapshot date cannot be in the future');
+    }
+
+    const types = Object.values(APP_CONSTANTS.LEADERBOARD_TYPES);
+    const periods = Object.values(APP_CONSTANTS.TIME_PERIODS);
+    let rowCount = 0;
+
+    for (const period of periods) {
+      for (const type of types) {
+        // Standings as of the snapshot date, so a late or backfilled snapshot ignores later submissions
+        const leaderboard = await this.getFullLeaderboard(
+          type,
+          dailyProgressService.resolvePeriod({ period, asOf: date })
+        );
+
+        const rows = leaderboard.map(participant => ({
+          snapshot_date: date,
+          type,
+          period,
+          tg_id: participant.tg_id,
+          rank: participant.rank,
+          score: participant.score || 0
+        }));
+
+        await this.replaceSnapshot(date, type, period, rows);
+        rowCount += rows.length;
+      }
+    }
+
+    logger.info('LEADERBOARD_SNAPSHOT_TAKEN', { snapshot_date: date, rows: rowCount });
+
+    return {
+      snapshot_date: date,
+      leaderboards: types.length * periods.length,
+      rows: rowCount
+    };
+  }
+
+  /**
+   * Get every participant of a leaderboard, page by page
+   * @param {string} type - Leaderboard type
+   * @param {string|Object} period - Time period, or a range from resolvePeriod()
+   * @returns {Promise<Array>} Ranked participants
+   */
+  async getFullLeaderboard(type, period) {
+    const participants = [];
+    const pages = this.iteratePages(page => dailyProgressService.getLeaderboardData({ period, type, ...page }));
+
+    for await (const page of pages) {
+      participants.push(...page);
+    }
+
+    return participants;
+  }
+
+  /**
+   * Replace one leaderboard's rows for a date
+   * @param {string} date - Snapshot date
+   * @param {string} type - Leaderboard type
+   * @param {string} period - Time period
+   * @param {Array} rows - Snapshot rows
+   */
+  async replaceSnapshot(date, type, period, rows) {
+    await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .delete()
+        .eq('snapshot_date', date)
+        .eq('type', type)
+        .eq('period', period),
+      'DELETE_LEADERBOARD_SNAPSHOT'
+    );
+
+    for (let start = 0; start < rows.length; start += PAGE_SIZE) {
+      await this.executeQuery(
+        () => this.supabase
+          .from(this.tableName)
+          .insert(rows.slice(start, start + PAGE_SIZE)),
+        'INSERT_LEADERBOARD_SNAPSHOT'
+      );
+    }
+  }
+
+  /**
+   * Start daily snapshot scheduler
+   * Checks every minute and takes today's snapshot once config.LEADERBOARD_SNAPSHOT_TIME has passed.
+   * The first check also takes yesterday's snapshot if the process was down when it was due.
+   */
+  startScheduler() {
+    if (!config.ENABLE_LEADERBOARD_SNAPSHOTS || this.schedulerTimer) {
+      return;
+    }
+
+    const runIfDue = async () => {
+      const today = getToday();
+      const isDue = this.lastSnapshotDate !== today &&
+        getTimeOfDay() >= config.LEADERBOARD_SNAPSHOT_TIME;
+
+      if (this.isRunning || (!isDue && this.missedSnapshotChecked)) {
+        return;
+      }
+
+      this.isRunning = true;
+      try {
+        if (!this.missedSnapshotChecked) {
+          // Down when yesterday's snapshot was due; standings are computed as of yesterday
+          const yesterday = addDays(today, -1);
+          if (!(await this.hasSnapshot(yesterday))) {
+            logger.warn('LEADERBOARD_SNAPSHOT_MISSED', { snapshot_date: yesterday });
+            await this.takeSnapshot(yesterday);
+          }
+          this.missedSnapshotChecked = true;
+        }
+
+        if (isDue) {
+          if (!(await this.hasSnapshot(today))) {
+            await this.takeSnapshot(today);
+          }
+          this.lastSnapshotDate = today;
+        }
+      } catch (error) {
+        logger.error('Leaderboard snapshot failed:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    };
+
+    this.schedulerTimer = setInterval(runIfDue, SCHEDULER_INTERVAL_MS);
+    this.schedulerTimer.unref?.();
+    runIfDue();
+
+    logger.info(`📸 Leaderboard snapshots scheduled daily at ${config.LEADERBOARD_SNAPSHOT_TIME} (${config.DEFAULT_TIMEZONE})`);
+  }
+
+  /**
+   * Stop daily snapshot scheduler
+   */
+  stopScheduler() {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+  }
+
+  // ==================== SNAPSHOT QUERIES ====================
+
+  /**
+   * Check whether a snapshot exists for a date
+   * @param {string} date - Snapshot date
+   * @returns {Promise<boolean>} Whether any rows exist
+   */
+  async hasSnapshot(date) {
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('*', { count: 'exact', head: true })
+        .eq('snapshot_date', date),
+      'COUNT_LEADERBOARD_SNAPSHOT'
+    );
+
+    return (result.count || 0) > 0;
+  }
+
+  /**
+   * Get latest snapshot date of a leaderboard on or before a date
+   * @param {string} type - Leaderboard type
+   * @param {string} period - Time period
+   * @param {string} onOrBefore - Upper bound (YYYY-MM-DD)
+   * @returns {Promise<string|null>} Snapshot date
+   */
+  async getLatestSnapshotDate(type, period, onOrBefore) {
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('snapshot_date')
+        .eq('type', type)
+        .eq('period', period)
+        .lte('snapshot_date', onOrBefore)
+        .order('snapshot_date', { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+      'SELECT_LATEST_SNAPSHOT_DATE'
+    );
+
+    return result.data?.snapshot_date || null;
+  }
+
+  /**
+   * Get earliest snapshot date of a leaderboard on or after a date
+   * @param {string} type - Leaderboard type
+   * @param {string} period - Time period
+   * @param {string} onOrAfter - Lower bound (YYYY-MM-DD)
+   * @returns {Promise<string|null>} Snapshot date
+   */
+  async getEarliestSnapshotDate(type, period, onOrAfter) {
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('snapshot_date')
+        .eq('type', type)
+        .eq('period', period)
+        .gte('snapshot_date', onOrAfter)
+        .order('snapshot_date', { ascending: true })
+        .limit(1)
+        .maybeSingle(),
+      'SELECT_EARLIEST_SNAPSHOT_DATE'
+    );
+
+    return result.data?.snapshot_date || null;
+  }
+
+  /**
+   * Get one leaderboard snapshot
+   * @param {string} date - Snapshot date
+   * @param {string} type - Leaderboard type
+   * @param {string} period - Time period
+   * @returns {Promise<Map>} Map of tg_id -> { rank, score }
+   */
+  async getSnapshot(date, type, period) {
+    const rows = await this.fetchAllPages(
+      (from, to) => this.supabase
+        .from(this.tableName)
+        .select('tg_id, rank, score')
+        .eq('snapshot_date', date)
+        .eq('type', type)
+        .eq('period', period)
+        .order('rank', { ascending: true })
+        .order('tg_id', { ascending: true })
+        .range(from, to),
+      'SELECT_LEADERBOARD_SNAPSHOT'
+    );
+
+    return new Map(rows.map(row => [Number(row.tg_id), {
+      rank: row.rank,
+      score: Number(row.score)
+    }]));
+  }
+
+  /**
+   * Attach rank deltas against the latest snapshot before today
+   * rank_delta > 0 means the participant climbed; null means no earlier rank (new entry).
+   * @param {Array} participants - Live leaderboard entries with tg_id and rank
+   * @param {string} type - Leaderboard type
+   * @param {string} period - Time period
+   * @returns {Promise<Array>} Participants with previous_rank and rank_delta
+   */
+  async attachRankDeltas(participants, type, period) {
+    if (participants.length === 0) {
+      return participants;
+    }
+
+    try {
+      const previousDate = await this.getLatestSnapshotDate(type, period, addDays(getToday(), -1));
+      const previous = previousDate ? await this.getSnapshot(previousDate, type, period) : new Map();
+
+      return participants.map(participant => {
+        const previousRank = previous.get(participant.tg_id)?.rank ?? null;
+
+        return {
+          ...participant,
+          previous_rank: previousRank,
+          rank_delta: previousRank === null ? null : previousRank - participant.rank
+        };
+      });
+    } catch (error) {
+      // Deltas are decoration; the live leaderboard must not fail because history is unavailable
+      logger.warn('Failed to attach rank deltas:', { type, period, error: error.message });
+      return participants;
+    }
+  }
+
+  // ==================== MOVEMENTS ====================
+
+  /**
+   * Compare two snapshots of a leaderboard
+   * @param {Object} options - { type, period, from, to, limit }
+   * @returns {Promise<Object>} Movements between the resolved snapshot dates
+   */
+  async getMovements(options = {}) {
+    const {
+      type = APP_CONSTANTS.LEADERBOARD_TYPES.OVERALL,
+      period = APP_CONSTANTS.TIME_PERIODS.ALL,
+      limit = 20
+    } = options;
+
+    if (options.from && options.to && options.from > options.to) {
+      throw createError.badRequest('From date must be before to date');
+    }
+
+    const toDate = await this.getLatestSnapshotDate(type, period, options.to || getToday());
+    if (!toDate) {
+      return this.formatMovements({ type, period, from: null, to: null });
+    }
+
+    const defaultFrom = addDays(toDate, -APP_CONSTANTS.LEADERBOARD_MOVEMENTS.DEFAULT_DAYS);
+    const fromDate = options.from
+      ? await this.getEarliestSnapshotDate(type, period, options.from)
+      : (await this.getLatestSnapshotDate(type, period, defaultFrom)) ||
+        (await this.getEarliestSnapshotDate(type, period, defaultFrom));
+
+    if (!fromDate || fromDate >= toDate) {
+      return this.formatMovements({ type, period, from: fromDate, to: toDate });
+    }
+
+    const [fromSnapshot, toSnapshot, awards] = await Promise.all([
+      this.getSnapshot(fromDate, type, period),
+      this.getSnapshot(toDate, type, period),
+      this.getConsistencyAwards(type, period, fromDate, toDate)
+    ]);
+
+    const entries = [...toSnapshot.entries()].map(([tgId, current]) => {
+      const previous = fromSnapshot.get(tgId);
+
+      return {
+        tg_id: tgId,
+        previous_rank: previous?.rank ?? null,
+        rank: current.rank,
+        rank_delta: previous ? previous.rank - current.rank : null,
+        previous_score: previous?.score ?? null,
+        score: current.score,
+        score_delta: previous ? Math.round((current.score - previous.score) * 100) / 100 : null
+      };
+    });
+
+    const ranked = entries.filter(entry => entry.rank_delta !== null);
+    const climbers = ranked
+      .filter(entry => entry.rank_delta > 0)
+      .sort((a, b) => (b.rank_delta - a.rank_delta) || (a.rank - b.rank))
+      .slice(0, limit);
+    const fallers = ranked
+      .filter(entry => entry.rank_delta < 0)
+      .sort((a, b) => (a.rank_delta - b.rank_delta) || (a.rank - b.rank))
+      .slice(0, limit);
+    const newEntries = entries
+      .filter(entry => entry.rank_delta === null)
+      .sort((a, b) => a.rank - b.rank)
+      .slice(0, limit);
+    const consistencyAwards = awards.slice(0, limit);
+
+    const users = await this.getUsersByIds([
+      ...climbers, ...fallers, ...newEntries, ...consistencyAwards
+    ].map(entry => entry.tg_id));
+
+    const withUser = (entry) => {
+      const user = users.get(entry.tg_id);
+      // Private profiles keep their movement but not their identity
+      if (user?.profile_visibility === APP_CONSTANTS.PROFILE_VISIBILITY.PRIVATE) {
+        return { ...entry, name: null, photo_url: null, is_private: true };
+      }
+      return { ...entry, name: user?.name || null, photo_url: user?.photo_url || null };
+    };
+
+    return this.formatMovements({
+      type,
+      period,
+      from: fromDate,
+      to: toDate,
+      biggest_climbers: climbers.map(withUser),
+      biggest_fallers: fallers.map(withUser),
+      new_entries: newEntries.map(withUser),
+      consistency_awards: consistencyAwards.map(withUser)
+    });
+  }
+
+  /**
+   * Participants who stayed in the top ranks in every snapshot of a range
+   * @param {string} type - Leaderboard type
+   * @param {string} period - Time period
+   * @param {string} from - First snapshot date
+   * @param {string} to - Last snapshot date
+   * @returns {Promise<Array>} Awards ordered by average rank
+   */
+  async getConsistencyAwards(type, period, from, to) {
+    const topRank = APP_CONSTANTS.LEADERBOARD_MOVEMENTS.CONSISTENCY_AWARD_TOP;
+    const rows = await this.fetchAllPages(
+      (start, end) => this.supabase
+        .from(this.tableName)
+        .select('snapshot_date, tg_id, rank')
+        .eq('type', type)
+        .eq('period', period)
+        .gte('snapshot_date', from)
+        .lte('snapshot_date', to)
+        .lte('rank', topRank)
+        .order('snapshot_date', { ascending: true })
+        .order('rank', { ascending: true })
+        .order('tg_id', { ascending: true })
+        .range(start, end),
+      'SELECT_CONSISTENCY_SNAPSHOTS'
+    );
+
+    // Every snapshot with participants has a rank 1 row, so this is the set of snapshot dates
+    const snapshotCount = new Set(rows.map(row => row.snapshot_date)).size;
+
+    const byUser = rows.reduce((users, row) => {
+      const tgId = Number(row.tg_id);
+      (users[tgId] = users[tgId] || []).push(row.rank);
+      return users;
+    }, {});
+
+    return Object.entries(byUser)
+      .filter(([, ranks]) => ranks.length === snapshotCount)
+      .map(([tgId, ranks]) => ({
+        tg_id: Number(tgId),
+        snapshots: ranks.length,
+        best_rank: Math.min(...ranks),
+        worst_rank: Math.max(...ranks),
+        average_rank: Math.round((ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length) * 100) / 100,
+        award: `top_${topRank}_every_day`
+      }))
+      .sort((a, b) => (a.average_rank - b.average_rank) || (a.worst_rank - b.worst_rank));
+  }
+
+  // ==================== HELPER METHODS ====================
+
+  /**
+   * Get display fields for users
+   * @param {Array<number>} tgIds - Telegram user IDs
+   * @returns {Promise<Map>} Map of tg_id -> { name, photo_url }
+   */
+  async getUsersByIds(tgIds) {
+    const ids = [...new Set(tgIds)];
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from('users')
+        .select('tg_id, name, photo_url, profile_visibility')
+        .in('tg_id', ids),
+      'SELECT_SNAPSHOT_USERS'
+    );
+
+    return new Map((result.data || []).map(user => [Number(user.tg_id), user]));
+  }
+
+  /**
+   * Format movements response
+   * @param {Object} movements - Movement lists and compared dates
+   * @returns {Object} Movements
+   */
+  formatMovements(movements) {
+    return {
+      type: movements.type,
+      period: movements.period,
+      from: movements.from || null,
+      to: movements.to || null,
+      movements: {
+        biggest_climbers: movements.biggest_climbers || [],
+        biggest_fallers: movements.biggest_fallers || [],
+        new_entries: movements.new_entries || [],
+        consistency_awards: movements.consistency_awards || []
+      }
+    };
+  }
+}
+
+export const leaderboardSnapshotService = new LeaderboardSnapshotService();
+export default leaderboardSnapshotService;
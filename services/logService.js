@@ -0,0 +1,498 @@
+// services/logService.js - PERSISTENT LOG SERVICE
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { BaseService } from './supabaseService.js';
+import { logger } from '../utils/logger.js';
+import config, { APP_CONSTANTS } from '../config/config.js';
+import { getToday, addDays, getDayStart } from '../utils/helpers.js';
+
+const SINKS = APP_CONSTANTS.LOG_SINKS;
+
+/**
+ * File sink naming: app-YYYY-MM-DD.log, then app-YYYY-MM-DD.1.log, .2.log ... once a file is full
+ */
+const LOG_FILE_PATTERN = /^app-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log$/;
+
+/**
+ * Database sink batching
+ */
+const DB_BATCH_SIZE = 100;
+const DB_FLUSH_INTERVAL_MS = 5 * 1000;
+const DB_MAX_BUFFERED = 5000; // Oldest records are dropped beyond this while the database is unreachable
+
+/**
+ * Check a record against query filters
+ * @param {Object} record - Log record
+ * @param {Object} filters - { levels, tgId, search }
+ * @returns {boolean} Whether the record matches
+ */
+function matchesFilters(record, { levels, tgId, search }) {
+  if (levels.length > 0 && !levels.includes(record.level)) return false;
+  if (tgId && record.tg_id !== tgId) return false;
+  if (search && !String(record.message || '').toLowerCase().includes(search.toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Rotating local file sink
+ * Writes one JSON record per line into a file per day (DEFAULT_TIMEZONE), starting a new part
+ * when the current one reaches LOG_FILE_MAX_SIZE.
+ */
+export class FileLogSink {
+  constructor({ directory = config.LOG_DIR, maxFileSize = config.LOG_FILE_MAX_SIZE } = {}) {
+    this.name = SINKS.FILE;
+    this.directory = path.resolve(directory);
+    this.maxFileSize = maxFileSize;
+    this.stream = null;
+    this.date = null;
+    this.part = 0;
+    this.size = 0;
+  }
+
+  /**
+   * Create log directory
+   */
+  open() {
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Append record
+   * @param {Object} record - Log record
+   */
+  write(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    const bytes = Buffer.byteLength(line);
+    const today = getToday();
+
+    if (!this.stream || this.date !== today) {
+      this.openFile(today);
+    } else if (this.size > 0 && this.size + bytes > this.maxFileSize) {
+      this.openFile(today, this.part + 1);
+    }
+
+    this.stream.write(line);
+    this.size += bytes;
+  }
+
+  /**
+   * Open file for a day
+   * Without a part, continues the day's latest part (e.g. after a restart).
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @param {number} [part] - Part number
+   */
+  openFile(date, part) {
+    this.closeStream();
+
+    if (part === undefined) {
+      const latest = this.listFiles().find(file => file.date === date);
+      part = latest ? latest.part : 0;
+    }
+
+    const filePath = path.join(this.directory, this.getFileName(date, part));
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+
+    const stream = fs.createWriteStream(filePath, { flags: 'a' });
+    stream.on('error', error => {
+      // Reported on the console only: logging it would write to this sink again
+      console.error(`Log file write failed (${filePath}):`, error.message);
+      if (this.stream === stream) {
+        this.stream = null;
+      }
+    });
+
+    this.stream = stream;
+    this.date = date;
+    this.part = part;
+  }
+
+  /**
+   * Get file name for a day and part
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @param {number} part - Part number
+   * @returns {string} File name
+   */
+  getFileName(date, part) {
+    return part > 0 ? `app-${date}.${part}.log` : `app-${date}.log`;
+  }
+
+  /**
+   * List log files, newest first
+   * @returns {Array} Files { name, date, part }
+   */
+  listFiles() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.directory)
+      .map(name => {
+        const match = name.match(LOG_FILE_PATTERN);
+        return match ? { name, date: match[1], part: Number(match[2] || 0) } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.date.localeCompare(a.date) || b.part - a.part);
+  }
+
+  /**
+   * Query records, newest first
+   * Files outside the date range are skipped by name; the rest are streamed line by line, newest
+   * file first. Scanning stops at the first file that fills offset + limit, so total then counts
+   * only the scanned files and total_is_lower_bound is set.
+   * @param {Object} filters - { levels, from, to, tgId, search, limit, offset }
+   * @returns {Promise<Object>} { logs, total, total_is_lower_bound }
+   */
+  async query(filters) {
+    const { from, to, limit, offset } = filters;
+    const files = this.listFiles()
+      .filter(file => (!from || file.date >= from) && (!to || file.date <= to));
+
+    const wanted = offset + limit;
+    const newest = [];
+    let total = 0;
+    let scanned = 0;
+
+    while (scanned < files.length && newest.length < wanted) {
+      const { records, count } = await this.scanFile(files[scanned], filters, wanted - newest.length);
+      newest.push(...records);
+      total += count;
+      scanned++;
+    }
+
+    return {
+      logs: newest.slice(offset, wanted),
+      total,
+      total_is_lower_bound: scanned < files.length
+    };
+  }
+
+  /**
+   * Stream one file and keep its newest matching records
+   * Lines are written oldest first, so only the last `keep` matches are held in memory.
+   * @param {Object} file - File { name }
+   * @param {Object} filters - { levels, tgId, search }
+   * @param {number} keep - Matches to keep
+   * @returns {Promise<Object>} { records (newest first), count (all matches in the file) }
+   */
+  async scanFile(file, filters, keep) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(this.directory, file.name), { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    let records = [];
+    let count = 0;
+
+    for await (const line of lines) {
+      if (!line) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue; // Line cut short by a crash
+      }
+
+      if (!matchesFilters(record, filters)) continue;
+
+      count++;
+      records.push(record);
+      if (records.length >= keep * 2) {
+        records = records.slice(-keep);
+      }
+    }
+
+    return { records: records.slice(-keep).reverse(), count };
+  }
+
+  /**
+   * Delete files of days before the cutoff
+   * @param {string} cutoffDate - First day to keep (YYYY-MM-DD)
+   * @returns {Promise<Object>} { files_removed }
+   */
+  async cleanup(cutoffDate) {
+    const expired = this.listFiles().filter(file => file.date < cutoffDate);
+
+    for (const file of expired) {
+      await fs.promises.unlink(path.join(this.directory, file.name));
+    }
+
+    return { files_removed: expired.length };
+  }
+
+  /**
+   * End current file stream
+   */
+  closeStream() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+
+  /**
+   * Close sink
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const stream = this.stream;
+    this.stream = null;
+
+    if (stream) {
+      await new Promise(resolve => stream.end(resolve));
+    }
+  }
+}
+
+/**
+ * Database sink (system_logs table)
+ * Records are buffered and inserted in batches. Inserts go straight to the client rather than
+ * through executeQuery, whose own logging would feed back into the buffer.
+ */
+export class DatabaseLogSink extends BaseService {
+  constructor() {
+    super('system_logs');
+    this.name = SINKS.DATABASE;
+    this.buffer = [];
+    this.flushTimer = null;
+    this.flushing = null;
+    this.retryAt = 0;
+  }
+
+  /**
+   * Start periodic flush
+   */
+  open() {
+    this.flushTimer = setInterval(() => this.flush(), DB_FLUSH_INTERVAL_MS);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Buffer record
+   * @param {Object} record - Log record
+   */
+  write(record) {
+    this.buffer.push({
+      created_at: record.timestamp,
+      level: record.level,
+      category: record.category,
+      message: record.message,
+      tg_id: record.tg_id,
+      context: record.context
+    });
+
+    if (this.buffer.length > DB_MAX_BUFFERED) {
+      this.buffer.splice(0, this.buffer.length - DB_MAX_BUFFERED);
+    }
+
+    // After a failed insert, full batches wait for the timer instead of retrying on every write
+    if (this.buffer.length >= DB_BATCH_SIZE && Date.now() >= this.retryAt) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Insert buffered records
+   * Failed batches return to the buffer for the next attempt.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.flushing || this.buffer.length === 0) {
+      return this.flushing || Promise.resolve();
+    }
+
+    this.flushing = (async () => {
+      while (this.buffer.length > 0) {
+        const batch = this.buffer.splice(0, DB_BATCH_SIZE);
+
+        try {
+          const { error } = await this.supabase.from(this.tableName).insert(batch);
+          if (error) throw error;
+        } catch (error) {
+          console.error('Log records insert failed:', error.message);
+          this.retryAt = Date.now() + DB_FLUSH_INTERVAL_MS;
+          this.buffer.unshift(...batch);
+          this.buffer.splice(0, this.buffer.length - DB_MAX_BUFFERED);
+          break;
+        }
+      }
+    })().finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  /**
+   * Query records, newest first
+   * Buffered records are flushed first so the newest ones are included.
+   * @param {Object} filters - { levels, from, to, tgId, search, limit, offset }
+   * @returns {Promise<Object>} { logs, total, total_is_lower_bound }
+   */
+  async query({ levels, from, to, tgId, search, limit, offset }) {
+    await this.flush();
+
+    const result = await this.executeQuery(
+      () => {
+        let query = this.supabase
+          .from(this.tableName)
+          .select('created_at, level, category, message, tg_id, context', { count: 'exact' });
+
+        if (levels.length > 0) query = query.in('level', levels);
+        if (from) query = query.gte('created_at', getDayStart(from));
+        if (to) query = query.lt('created_at', getDayStart(addDays(to, 1)));
+        if (tgId) query = query.eq('tg_id', tgId);
+        if (search) query = query.ilike('message', `%${search.replace(/[\\%_]/g, '\\$&')}%`);
+
+        return query
+          .order('created_at', { ascending: false })
+          .order('id', { ascending: false })
+          .range(offset, offset + limit - 1);
+      },
+      'SELECT_SYSTEM_LOGS'
+    );
+
+    return {
+      logs: (result.data || []).map(row => ({
+        timestamp: row.created_at,
+        level: row.level,
+        category: row.category,
+        message: row.message,
+        tg_id: row.tg_id === null ? null : Number(row.tg_id),
+        context: row.context
+      })),
+      total: result.count || 0,
+      total_is_lower_bound: false
+    };
+  }
+
+  /**
+   * Delete records of days before the cutoff
+   * @param {string} cutoffDate - First day to keep (YYYY-MM-DD)
+   * @returns {Promise<Object>} { records_removed }
+   */
+  async cleanup(cutoffDate) {
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .delete({ count: 'exact' })
+        .lt('created_at', getDayStart(cutoffDate)),
+      'DELETE_EXPIRED_SYSTEM_LOGS'
+    );
+
+    return { records_removed: result.count || 0 };
+  }
+
+  /**
+   * Stop periodic flush and write what is left
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    await this.flush();
+  }
+}
+
+/**
+ * Log service
+ * Connects the logger to the sink chosen by config.LOG_SINK and serves stored records to admins.
+ */
+class LogService {
+  constructor() {
+    this.sink = null;
+  }
+
+  /**
+   * Create sink and start persisting logger records
+   */
+  start() {
+    if (this.sink || config.LOG_SINK === SINKS.NONE) {
+      return;
+    }
+
+    let sink;
+    switch (config.LOG_SINK) {
+      case SINKS.FILE:
+        sink = new FileLogSink();
+        break;
+      case SINKS.DATABASE:
+        sink = new DatabaseLogSink();
+        break;
+      default:
+        logger.warn(`⚠️ Unknown LOG_SINK "${config.LOG_SINK}" - logs are not persisted`);
+        return;
+    }
+
+    try {
+      sink.open();
+    } catch (error) {
+      logger.error('Log sink could not be opened - logs are not persisted:', error);
+      return;
+    }
+
+    this.sink = sink;
+    logger.setSink(sink);
+    logger.info(`🗄️ Logs persisted to ${sink.name === SINKS.FILE ? sink.directory : 'system_logs table'}`);
+  }
+
+  /**
+   * Stop persisting and write out buffered records
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.sink) {
+      return;
+    }
+
+    const sink = this.sink;
+    this.sink = null;
+    logger.setSink(null);
+    await sink.close();
+  }
+
+  /**
+   * Query stored records, newest first
+   * Dates are challenge days (DEFAULT_TIMEZONE), both inclusive.
+   * @param {Object} filters - { levels, from, to, tgId, search, limit, offset }
+   * @returns {Promise<Object>} { logs, total, total_is_lower_bound }
+   */
+  async query({ levels = [], from, to, tgId, search, limit = 100, offset = 0 } = {}) {
+    if (!this.sink) {
+      return { logs: [], total: 0, total_is_lower_bound: false };
+    }
+
+    return this.sink.query({ levels, from, to, tgId, search, limit, offset });
+  }
+
+  /**
+   * Apply retention policy: remove records older than retentionDays
+   * @param {number} retentionDays - Days to keep, including today
+   * @returns {Promise<Object>} { sink, retention_days, cutoff_date, files_removed | records_removed }
+   */
+  async cleanup(retentionDays = config.LOG_RETENTION_DAYS) {
+    const cutoffDate = addDays(getToday(), -(retentionDays - 1));
+
+    if (!this.sink) {
+      return { sink: SINKS.NONE, retention_days: retentionDays, cutoff_date: cutoffDate };
+    }
+
+    const removed = await this.sink.cleanup(cutoffDate);
+
+    logger.info('LOGS_CLEANED_UP', { sink: this.sink.name, retention_days: retentionDays, cutoff_date: cutoffDate, ...removed });
+
+    return {
+      sink: this.sink.name,
+      retention_days: retentionDays,
+      cutoff_date: cutoffDate,
+      ...removed
+    };
+  }
+}
+
+export const logService = new LogService();
+export default logService;
@@ -0,0 +1,322 @@
+// services/notificationService.js - BOT NOTIFICATION SERVICE
+import { BaseService, dailyProgressService } from './supabaseService.js';
+import { logger } from '../utils/logger.js';
+import { createError } from '../middleware/errorHandler.js';
+import config, { APP_CONSTANTS } from '../config/config.js';
+import { getToday, getTimeOfDay, getUserToday, addDays } from '../utils/helpers.js';
+
+/**
+ * How often the scheduler looks for streaks about to break
+ */
+const SCHEDULER_INTERVAL_MS = 10 * 60 * 1000;
+
+const TYPES = APP_CONSTANTS.NOTIFICATION_TYPES;
+
+/**
+ * Notification service
+ * Queues events in the notification_events outbox for the Telegram bot to deliver.
+ * Each event carries a dedupe key, so re-running a check never notifies twice.
+ */
+class NotificationService extends BaseService {
+  constructor() {
+    super('notification_events');
+    this.schedulerTimer = null;
+    this.isRunning = false;
+  }
+
+  // ==================== QUEUEING ====================
+
+  /**
+   * Queue notification event
+   * Skipped when notifications are disabled or the user turned this type off.
+   * @param {Object} user - User row (tg_id, notification_preferences)
+   * @param {string} type - Event type (APP_CONSTANTS.NOTIFICATION_TYPES)
+   * @param {Object} payload - Data the bot needs to render the message
+   * @param {string} dedupeKey - Unique key for this event
+   * @returns {Promise<Object|null>} Queued event, or null if skipped or already queued
+   */
+  async enqueue(user, type, payload, dedupeKey) {
+    if (!config.ENABLE_NOTIFICATIONS || !this.isEnabledForUser(user, type)) {
+      return null;
+    }
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .upsert({
+          tg_id: user.tg_id,
+          type,
+          payload,
+          dedupe_key: dedupeKey
+        }, { onConflict: 'dedupe_key', ignoreDuplicates: true })
+        .select(),
+      'INSERT_NOTIFICATION_EVENT'
+    );
+
+    const event = (result.data || [])[0] || null;
+    if (event) {
+      logger.userAction(user.tg_id, 'NOTIFICATION_QUEUED', { type, dedupe_key: dedupeKey });
+    }
+
+    return event;
+  }
+
+  /**
+   * Check user's preference for an event type (missing means enabled)
+   * @param {Object} user - User row
+   * @param {string} type - Event type
+   * @returns {boolean} Whether the user wants this notification
+   */
+  isEnabledForUser(user, type) {
+    return user?.notification_preferences?.[type] !== false;
+  }
+
+  /**
+   * Queue notifications for a progress submission
+   * Never throws - a notification problem must not fail the submission.
+   * @param {Object} user - User row
+   * @param {Object} options - { date, achievements } - submitted date and newly unlocked badges
+   * @returns {Promise<number>} Events queued
+   */
+  async notifySubmission(user, { date, achievements = [] }) {
+    if (!config.ENABLE_NOTIFICATIONS) {
+      return 0;
+    }
+
+    try {
+      const queued = await Promise.all([
+        ...achievements.map(achievement => this.enqueue(
+          user,
+          TYPES.ACHIEVEMENT_UNLOCKED,
+          {
+            achievement_id: achievement.id,
+            name: achievement.name,
+            description: achievement.description,
+            rarity: achievement.rarity
+          },
+          `${TYPES.ACHIEVEMENT_UNLOCKED}:${user.tg_id}:${achievement.id}`
+        )),
+        this.notifyStreakMilestone(user, date)
+      ]);
+
+      return queued.filter(Boolean).length;
+    } catch (error) {
+      logger.error('Queue submission notifications failed:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Queue streak milestone if the submitted day extended the streak to one
+   * @param {Object} user - User row
+   * @param {string} date - Submitted date (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} Queued event or null
+   */
+  async notifyStreakMilestone(user, date) {
+    const streak = await dailyProgressService.getUserStreak(user.tg_id, user.timezone);
+
+    if (streak.last_counted_day !== date ||
+        !APP_CONSTANTS.STREAK_MILESTONES.includes(streak.current_streak)) {
+      return null;
+    }
+
+    return this.enqueue(
+      user,
+      TYPES.STREAK_MILESTONE,
+      { streak: streak.current_streak, date },
+      `${TYPES.STREAK_MILESTONE}:${user.tg_id}:${streak.current_streak}:${date}`
+    );
+  }
+
+  /**
+   * Queue warnings for streaks that break unless the user submits today
+   * A user qualifies once their reminder time (default config.STREAK_REMINDER_TIME) has passed
+   * in their timezone, yesterday counted toward the streak and today has no counted submission yet.
+   * @returns {Promise<number>} Events queued
+   */
+  async queueStreakReminders() {
+    // Wide enough to cover "yesterday" and "today" in every user timezone
+    const since = addDays(getToday(), -2);
+
+    const candidates = new Map();
+
+    const rows = await this.fetchAllPages(
+      (from, to) => this.supabase
+        .from('daily_progress')
+        .select('tg_id, date, users!inner(tg_id, status, timezone, reminder_time, notification_preferences)')
+        .gte('date', since)
+        .gte('completed_count', config.STREAK_MIN_COMPLETED_TASKS)
+        .eq('users.status', APP_CONSTANTS.USER_STATUS.APPROVED)
+        .order('tg_id', { ascending: true })
+        .order('date', { ascending: true })
+        .range(from, to),
+      'SELECT_STREAK_REMINDER_CANDIDATES'
+    );
+
+    for (const row of rows) {
+      const tgId = Number(row.tg_id);
+      if (!candidates.has(tgId)) {
+        candidates.set(tgId, { user: row.users, dates: new Set() });
+      }
+      candidates.get(tgId).dates.add(row.date);
+    }
+
+    let queued = 0;
+
+    for (const { user, dates } of candidates.values()) {
+      const today = getUserToday(user);
+
+      if (dates.has(today) || !dates.has(addDays(today, -1)) ||
+          getTimeOfDay(user.timezone) < (user.reminder_time || config.STREAK_REMINDER_TIME) ||
+          !this.isEnabledForUser(user, TYPES.STREAK_AT_RISK)) {
+        continue;
+      }
+
+      const streak = await dailyProgressService.getUserStreak(user.tg_id, user.timezone);
+      const event = await this.enqueue(
+        user,
+        TYPES.STREAK_AT_RISK,
+        { streak: streak.current_streak, date: today },
+        `${TYPES.STREAK_AT_RISK}:${user.tg_id}:${today}`
+      );
+
+      if (event) queued += 1;
+    }
+
+    if (queued > 0) {
+      logger.info('STREAK_REMINDERS_QUEUED', { queued });
+    }
+
+    return queued;
+  }
+
+  // ==================== DELIVERY ====================
+
+  /**
+   * Claim pending events for delivery
+   * Claimed events are not handed out again until acknowledged or stale. The same call fails
+   * stale events that used MAX_ATTEMPTS and skips events whose type the user has turned off.
+   * @param {number} limit - Maximum events
+   * @returns {Promise<Array>} Events
+   */
+  async claimPending(limit = APP_CONSTANTS.NOTIFICATION_DELIVERY.BATCH_SIZE) {
+    const result = await this.executeQuery(
+      () => this.supabase.rpc('claim_notification_events', {
+        p_limit: limit,
+        p_max_attempts: APP_CONSTANTS.NOTIFICATION_DELIVERY.MAX_ATTEMPTS,
+        p_stale_seconds: APP_CONSTANTS.NOTIFICATION_DELIVERY.STALE_SECONDS
+      }),
+      'RPC_CLAIM_NOTIFICATIONS'
+    );
+
+    return (result.data || []).map(event => this.formatEvent(event));
+  }
+
+  /**
+   * Record delivery result reported by the bot
+   * Failed events return to the queue until MAX_ATTEMPTS is reached. Only a claimed (processing)
+   * event can be acknowledged, so a duplicate or late ack never reopens a sent event.
+   * @param {number} eventId - Event ID
+   * @param {Object} outcome - { delivered, error }
+   * @returns {Promise<Object|null>} Updated event or null if not found
+   * @throws {AppError} 409 if the event is not awaiting acknowledgement
+   */
+  async acknowledge(eventId, { delivered, error = null }) {
+    const current = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('id, attempts, status')
+        .eq('id', eventId)
+        .maybeSingle(),
+      'SELECT_NOTIFICATION_EVENT'
+    );
+
+    if (!current.data) {
+      return null;
+    }
+
+    const exhausted = current.data.attempts >= APP_CONSTANTS.NOTIFICATION_DELIVERY.MAX_ATTEMPTS;
+    const updates = delivered
+      ? { status: 'sent', sent_at: new Date().toISOString(), last_error: null }
+      : { status: exhausted ? 'failed' : 'pending', last_error: error ? String(error).slice(0, 500) : null };
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .update(updates)
+        .eq('id', eventId)
+        .eq('status', 'processing')
+        .select()
+        .maybeSingle(),
+      'UPDATE_NOTIFICATION_EVENT'
+    );
+
+    if (!result.data) {
+      throw createError.conflict(`Notification ${eventId} is not awaiting acknowledgement (status: ${current.data.status})`);
+    }
+
+    return this.formatEvent(result.data);
+  }
+
+  /**
+   * Format event for the bot
+   * @param {Object} event - notification_events row
+   * @returns {Object} Event
+   */
+  formatEvent(event) {
+    return {
+      id: Number(event.id),
+      tg_id: Number(event.tg_id),
+      type: event.type,
+      payload: event.payload || {},
+      status: event.status,
+      attempts: event.attempts,
+      created_at: event.created_at
+    };
+  }
+
+  // ==================== SCHEDULER ====================
+
+  /**
+   * Start streak reminder scheduler
+   */
+  startScheduler() {
+    if (!config.ENABLE_NOTIFICATIONS || this.schedulerTimer) {
+      return;
+    }
+
+    const run = async () => {
+      if (this.isRunning) {
+        return;
+      }
+
+      this.isRunning = true;
+      try {
+        await this.queueStreakReminders();
+      } catch (error) {
+        logger.error('Streak reminder check failed:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    };
+
+    this.schedulerTimer = setInterval(run, SCHEDULER_INTERVAL_MS);
+    this.schedulerTimer.unref?.();
+    run();
+
+    logger.info(`🔔 Streak reminders scheduled after ${config.STREAK_REMINDER_TIME} (user timezone)`);
+  }
+
+  /**
+   * Stop streak reminder scheduler
+   */
+  stopScheduler() {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+  }
+}
+
+export const notificationService = new NotificationService();
+export default notificationService;
@@ -1,5 +1,6 @@
 // services/responseService.js - STANDARDIZED API RESPONSES
 import { logger } from '../utils/logger.js';
+import { getToday } from '../utils/helpers.js';
 
 /**
  * Response Service for consistent API responses
@@ -127,7 +128,8 @@ class ResponseService {
       page = 1,
       limit = 50,
       total = data.length,
-      totalPages = Math.ceil(total / limit)
+      totalPages = Math.ceil(total / limit),
+      totalIsLowerBound = false
     } = pagination;
 
     const response = {
@@ -138,8 +140,10 @@ class ResponseService {
         per_page: parseInt(limit),
         total_items: total,
         total_pages: totalPages,
-        has_next: page < totalPages,
-        has_prev: page > 1
+        // With a lower-bound total, unscanned records may follow the last counted page
+        has_next: page < totalPages || totalIsLowerBound,
+        has_prev: page > 1,
+        ...(totalIsLowerBound && { total_is_lower_bound: true })
       },
       timestamp: new Date().toISOString()
     };
@@ -197,9 +201,10 @@ class ResponseService {
     return this.success(res, {
       today: {
         completed: todayStats.completed || 0,
+        points: todayStats.points || 0,
         pages_read: todayStats.pages_read || 0,
         distance_km: todayStats.distance_km || 0,
-        date: todayStats.date || new Date().toISOString().split('T')[0]
+        date: todayStats.date || getToday()
       },
       all_time: {
         total_points: allTimeStats.total_points || 0,
@@ -259,11 +264,13 @@ class ResponseService {
    * @param {Object} res - Express response
    * @param {Array} leaderboard - Leaderboard data
    * @param {number} totalParticipants - Total participants
+   * @param {Object} extra - Additional response fields (e.g. scoring explanation)
    */
-  leaderboard(res, leaderboard, totalParticipants) {
+  leaderboard(res, leaderboard, totalParticipants, extra = {}) {
     return this.success(res, {
       total_participants: totalParticipants,
-      leaderboard
+      leaderboard,
+      ...extra
     });
   }
 
@@ -348,13 +355,41 @@ class ResponseService {
       tg_id: participant.tg_id,
       name: participant.name,
       rank,
+      ...(participant.list_position !== undefined && { list_position: participant.list_position }),
       score: participant.score,
       total_points: participant.total_points,
       total_pages: participant.total_pages,
       total_distance: participant.total_distance,
       photo_url: participant.photo_url,
       achievements: participant.achievements || [],
-      is_premium: participant.is_premium || false
+      is_premium: participant.is_premium || false,
+      ...(participant.is_private && { is_private: true }),
+      ...(participant.rank_delta !== undefined && {
+        previous_rank: participant.previous_rank,
+        rank_delta: participant.rank_delta
+      }),
+      ...(participant.current_streak !== undefined && {
+        current_streak: participant.current_streak,
+        longest_streak: participant.longest_streak
+      }),
+      ...(participant.score_components && {
+        score_components: participant.score_components
+      })
+    };
+  }
+
+  /**
+   * Format resolved leaderboard date range
+   * @param {Object} range - Range from dailyProgressService.resolvePeriod()
+   * @returns {Object} Date range (null dates = open-ended)
+   */
+  formatDateRange(range) {
+    return {
+      period: range.period,
+      mode: range.mode,
+      label: range.label,
+      start_date: range.start_date,
+      end_date: range.end_date
     };
   }
 
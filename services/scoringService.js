@@ -0,0 +1,112 @@
+// services/scoringService.js - DAILY SCORE CALCULATION SERVICE
+import config from '../config/config.js';
+
+/**
+ * Scoring service
+ * Turns a validated submission into the day's score:
+ *   task points + value bonuses, times the perfect-day multiplier, limited by the daily cap.
+ * The result is stored on the progress row, so it is computed once per submission.
+ */
+class ScoringService {
+  /**
+   * Score submission against the templates active on its date
+   * @param {Array} templates - Active templates
+   * @param {Object} submission - { tasks, task_inputs, pages_read, distance_km }
+   * @param {Object} rules - Overrides for { daily_cap, perfect_day_multiplier }
+   * @returns {Object} Score with per-task breakdown
+   */
+  scoreSubmission(templates, submission = {}, rules = {}) {
+    const { tasks = {} } = submission;
+    const dailyCap = rules.daily_cap ?? config.SCORE_DAILY_CAP;
+    const multiplier = rules.perfect_day_multiplier ?? config.PERFECT_DAY_MULTIPLIER;
+
+    const breakdown = templates
+      .filter(template => tasks[template.id] === true)
+      .map(template => {
+        const bonus = this.calculateBonus(template, this.getTaskValue(template, submission));
+
+        return {
+          task_id: template.id,
+          points: template.points,
+          bonus,
+          total: this.round(template.points + bonus)
+        };
+      });
+
+    const basePoints = this.round(breakdown.reduce((sum, task) => sum + task.points, 0));
+    const bonusPoints = this.round(breakdown.reduce((sum, task) => sum + task.bonus, 0));
+    const perfectDay = templates.length > 0 && breakdown.length === templates.length;
+    const appliedMultiplier = perfectDay ? multiplier : 1;
+
+    let score = this.round((basePoints + bonusPoints) * appliedMultiplier);
+    const capped = dailyCap > 0 && score > dailyCap;
+    if (capped) {
+      score = dailyCap;
+    }
+
+    return {
+      completed_count: breakdown.length,
+      total_tasks: templates.length,
+      score,
+      breakdown: {
+        base_points: basePoints,
+        bonus_points: bonusPoints,
+        perfect_day: perfectDay,
+        multiplier: appliedMultiplier,
+        daily_cap: dailyCap > 0 ? dailyCap : null,
+        capped,
+        tasks: breakdown
+      }
+    };
+  }
+
+  /**
+   * Bonus for a number task: bonus_points per full bonus_step units, up to bonus_cap
+   * @param {Object} template - Task template
+   * @param {number} value - Submitted value
+   * @returns {number} Bonus points
+   */
+  calculateBonus(template, value) {
+    if (!template.bonus_points || !template.bonus_step || !(value > 0)) {
+      return 0;
+    }
+
+    const bonus = Math.floor(value / template.bonus_step) * template.bonus_points;
+
+    return this.round(
+      template.bonus_cap !== null && template.bonus_cap !== undefined
+        ? Math.min(bonus, template.bonus_cap)
+        : bonus
+    );
+  }
+
+  /**
+   * Get submitted value of a number task (metric column or task_inputs)
+   * @param {Object} template - Task template
+   * @param {Object} submission - Submission data
+   * @returns {number} Value (0 when missing)
+   */
+  getTaskValue(template, submission) {
+    if (template.type !== 'number') {
+      return 0;
+    }
+
+    const rawValue = template.metric
+      ? submission[template.metric]
+      : submission.task_inputs?.[template.id];
+
+    return Number(rawValue) || 0;
+  }
+
+  /**
+   * Round to 2 decimals (matches NUMERIC(8, 2) score column)
+   * @param {number} value - Value
+   * @returns {number} Rounded value
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+export const scoringService = new ScoringService();
+export default scoringService;
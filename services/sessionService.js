@@ -0,0 +1,297 @@
+// services/sessionService.js - JWT SESSION SERVICE
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { BaseService } from './supabaseService.js';
+import { logger } from '../utils/logger.js';
+import { createError } from '../middleware/errorHandler.js';
+import config from '../config/config.js';
+
+/**
+ * Token types carried in the JWT "typ" claim
+ */
+const TOKEN_TYPES = {
+  ACCESS: 'access',
+  REFRESH: 'refresh'
+};
+
+const JWT_ISSUER = 'yoldagilar-backend';
+const JWT_ALGORITHM = 'HS256';
+
+/**
+ * Session service
+ * Issues short-lived access tokens and rotating refresh tokens.
+ * Revoked sessions (revoked_at set) invalidate every token issued for them.
+ */
+class SessionService extends BaseService {
+  constructor() {
+    super('auth_sessions');
+  }
+
+  /**
+   * Create a new session and issue its first token pair
+   * @param {number} tgId - Telegram user ID
+   * @param {Object} metadata - Client metadata (user_agent, ip_address)
+   * @returns {Promise<Object>} Token pair
+   */
+  async createSession(tgId, metadata = {}) {
+    const sessionId = crypto.randomUUID();
+    const refreshJti = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + config.REFRESH_TOKEN_TTL);
+
+    await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .insert({
+          id: sessionId,
+          tg_id: tgId,
+          refresh_jti: refreshJti,
+          user_agent: metadata.user_agent || null,
+          ip_address: metadata.ip_address || null,
+          expires_at: expiresAt.toISOString()
+        }),
+      'INSERT_SESSION'
+    );
+
+    logger.userAction(tgId, 'SESSION_CREATED', { session_id: sessionId });
+
+    return this.issueTokens(tgId, sessionId, refreshJti, expiresAt);
+  }
+
+  /**
+   * Verify access token and make sure its session is still active
+   * @param {string} token - Access token
+   * @returns {Promise<Object>} { tg_id, session_id }
+   */
+  async verifyAccessToken(token) {
+    const payload = this.verifyToken(token, TOKEN_TYPES.ACCESS);
+    const session = await this.getActiveSession(payload.sid);
+
+    if (!session || session.tg_id !== payload.sub) {
+      throw createError.unauthorized('Session has been revoked');
+    }
+
+    return {
+      tg_id: payload.sub,
+      session_id: payload.sid
+    };
+  }
+
+  /**
+   * Rotate refresh token: old token becomes unusable, new pair is issued
+   * Presenting an already rotated refresh token revokes the whole session
+   * @param {string} refreshToken - Refresh token
+   * @param {number} tgId - Expected Telegram user ID
+   * @returns {Promise<Object>} New token pair
+   */
+  async rotateRefreshToken(refreshToken, tgId) {
+    const payload = this.verifyToken(refreshToken, TOKEN_TYPES.REFRESH);
+
+    if (payload.sub !== tgId) {
+      throw createError.forbidden('Refresh token does not belong to this user');
+    }
+
+    const session = await this.getActiveSession(payload.sid);
+    if (!session) {
+      throw createError.unauthorized('Session has been revoked');
+    }
+
+    if (session.refresh_jti !== payload.jti) {
+      // Token reuse: someone holds an old refresh token
+      logger.security('Refresh token reuse detected', {
+        tg_id: tgId,
+        session_id: session.id
+      });
+      await this.revokeSession(session.id, 'refresh_token_reuse');
+      throw createError.unauthorized('Refresh token already used');
+    }
+
+    const newRefreshJti = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + config.REFRESH_TOKEN_TTL);
+
+    // Compare-and-swap on refresh_jti so concurrent refreshes cannot both win
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .update({
+          refresh_jti: newRefreshJti,
+          last_used_at: new Date().toISOString(),
+          expires_at: expiresAt.toISOString()
+        })
+        .eq('id', session.id)
+        .eq('refresh_jti', payload.jti)
+        .is('revoked_at', null)
+        .select('id'),
+      'ROTATE_SESSION'
+    );
+
+    if (!result.data || result.data.length === 0) {
+      throw createError.unauthorized('Refresh token already used');
+    }
+
+    logger.userAction(tgId, 'SESSION_REFRESHED', { session_id: session.id });
+
+    return this.issueTokens(tgId, session.id, newRefreshJti, expiresAt);
+  }
+
+  /**
+   * Revoke a session by ID
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<boolean>} Success status
+   */
+  async revokeSession(sessionId, reason = 'logout') {
+    await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .update({
+          revoked_at: new Date().toISOString(),
+          revoke_reason: reason
+        })
+        .eq('id', sessionId)
+        .is('revoked_at', null),
+      'REVOKE_SESSION'
+    );
+
+    return true;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {number} tgId - Telegram user ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllSessions(tgId, reason = 'logout_all') {
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .update({
+          revoked_at: new Date().toISOString(),
+          revoke_reason: reason
+        })
+        .eq('tg_id', tgId)
+        .is('revoked_at', null)
+        .select('id'),
+      'REVOKE_ALL_SESSIONS'
+    );
+
+    return result.data?.length || 0;
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to
+   * @param {string} refreshToken - Refresh token
+   * @param {number} tgId - Expected Telegram user ID
+   * @returns {Promise<string>} Revoked session ID
+   */
+  async revokeByRefreshToken(refreshToken, tgId) {
+    const payload = this.verifyToken(refreshToken, TOKEN_TYPES.REFRESH);
+
+    if (payload.sub !== tgId) {
+      throw createError.forbidden('Refresh token does not belong to this user');
+    }
+
+    await this.revokeSession(payload.sid);
+    return payload.sid;
+  }
+
+  // ==================== HELPER METHODS ====================
+
+  /**
+   * Get session if it is neither revoked nor expired
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session row
+   */
+  async getActiveSession(sessionId) {
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('id, tg_id, refresh_jti, expires_at, revoked_at')
+        .eq('id', sessionId)
+        .maybeSingle(),
+      'SELECT_SESSION'
+    );
+
+    const session = result.data;
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Sign access and refresh tokens for a session
+   * @param {number} tgId - Telegram user ID
+   * @param {string} sessionId - Session ID
+   * @param {string} refreshJti - Current refresh token ID
+   * @param {Date} refreshExpiresAt - Refresh token expiry
+   * @returns {Object} Token pair
+   */
+  issueTokens(tgId, sessionId, refreshJti, refreshExpiresAt) {
+    const accessTtlSeconds = Math.floor(config.SESSION_TTL / 1000);
+    const refreshTtlSeconds = Math.max(
+      1,
+      Math.floor((refreshExpiresAt.getTime() - Date.now()) / 1000)
+    );
+
+    const signOptions = {
+      algorithm: JWT_ALGORITHM,
+      issuer: JWT_ISSUER,
+      subject: String(tgId)
+    };
+
+    const accessToken = jwt.sign(
+      { typ: TOKEN_TYPES.ACCESS, sid: sessionId },
+      config.JWT_SECRET,
+      { ...signOptions, jwtid: crypto.randomUUID(), expiresIn: accessTtlSeconds }
+    );
+
+    const refreshToken = jwt.sign(
+      { typ: TOKEN_TYPES.REFRESH, sid: sessionId },
+      config.JWT_SECRET,
+      { ...signOptions, jwtid: refreshJti, expiresIn: refreshTtlSeconds }
+    );
+
+    return {
+      token_type: 'Bearer',
+      access_token: accessToken,
+      expires_in: accessTtlSeconds,
+      refresh_token: refreshToken,
+      refresh_expires_in: refreshTtlSeconds,
+      session_id: sessionId
+    };
+  }
+
+  /**
+   * Verify JWT signature, expiry and token type
+   * @param {string} token - JWT
+   * @param {string} expectedType - Expected token type
+   * @returns {Object} Payload with numeric sub
+   */
+  verifyToken(token, expectedType) {
+    let payload;
+
+    try {
+      payload = jwt.verify(token, config.JWT_SECRET, {
+        algorithms: [JWT_ALGORITHM],
+        issuer: JWT_ISSUER
+      });
+    } catch (error) {
+      const message = error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+      throw createError.unauthorized(message);
+    }
+
+    if (payload.typ !== expectedType || !payload.sid) {
+      throw createError.unauthorized('Invalid token type');
+    }
+
+    return {
+      ...payload,
+      sub: parseInt(payload.sub)
+    };
+  }
+}
+
+export const sessionService = new SessionService();
+export default sessionService;
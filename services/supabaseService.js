@@ -2,12 +2,28 @@
 import { supabase } from '../config/database.js';
 import { logger } from '../utils/logger.js';
 import { createError } from '../middleware/errorHandler.js';
-import { APP_CONSTANTS } from '../config/config.js';
+import config, { APP_CONSTANTS } from '../config/config.js';
+import {
+  getToday,
+  resolveTimezone,
+  addDays,
+  daysBetween,
+  isValidDateString,
+  getIsoWeekStart,
+  getIsoWeekRange,
+  getMonthRange,
+  toIsoWeekString
+} from '../utils/helpers.js';
+
+/**
+ * Rows fetched per request (PostgREST caps responses at 1000 rows)
+ */
+export const PAGE_SIZE = 1000;
 
 /**
  * Base service class with common database operations
  */
-class BaseService {
+export class BaseService {
   constructor(tableName) {
     this.tableName = tableName;
     this.supabase = supabase;
@@ -45,6 +61,55 @@ class BaseService {
       throw createError.database(`Database operation failed: ${error.message}`, error);
     }
   }
+
+  /**
+   * Iterate a paged source until it returns a short page
+   * @param {Function} fetchPage - ({ offset, limit }) => Promise<Array> of that page's rows
+   * @returns {AsyncGenerator<Array>} Non-empty pages, in order
+   */
+  async *iteratePages(fetchPage) {
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await fetchPage({ offset, limit: PAGE_SIZE });
+
+      if (page.length > 0) {
+        yield page;
+      }
+
+      if (page.length < PAGE_SIZE) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Iterate a query one page at a time
+   * The query must have a stable order, or rows can repeat or go missing between pages.
+   * @param {Function} buildQuery - (from, to) => Supabase query for that inclusive row range
+   * @param {string} operation - Operation description for logging
+   * @returns {AsyncGenerator<Array>} Non-empty pages, in order
+   */
+  iterateQueryPages(buildQuery, operation) {
+    return this.iteratePages(async ({ offset, limit }) => {
+      const result = await this.executeQuery(() => buildQuery(offset, offset + limit - 1), operation);
+      return result.data || [];
+    });
+  }
+
+  /**
+   * Fetch every row of a query, page by page
+   * @param {Function} buildQuery - (from, to) => Supabase query for that inclusive row range
+   * @param {string} operation - Operation description for logging
+   * @returns {Promise<Array>} All rows
+   */
+  async fetchAllPages(buildQuery, operation) {
+    const rows = [];
+
+    for await (const page of this.iterateQueryPages(buildQuery, operation)) {
+      rows.push(...page);
+    }
+
+    return rows;
+  }
 }
 
 /**
@@ -66,7 +131,7 @@ class UserService extends BaseService {
         .from(this.tableName)
         .select('*')
         .eq('tg_id', tgId)
-        .single(),
+        .maybeSingle(),
       'SELECT_USER'
     );
 
@@ -86,7 +151,11 @@ class UserService extends BaseService {
       photo_url: userData.photo_url || null,
       registration_date: userData.registration_date || new Date().toISOString(),
       status: userData.status || APP_CONSTANTS.USER_STATUS.PENDING,
-      is_premium: userData.is_premium || false
+      is_premium: userData.is_premium || false,
+      // Preferences are only written when given (registration defaults), never reset by profile edits
+      ...(userData.notification_preferences && { notification_preferences: userData.notification_preferences }),
+      ...(userData.language && { language: userData.language }),
+      ...(userData.profile_visibility && { profile_visibility: userData.profile_visibility })
     };
 
     const result = await this.executeQuery(
@@ -131,6 +200,37 @@ class UserService extends BaseService {
     return result.data;
   }
 
+  /**
+   * Change user status only if it currently is one of the expected statuses
+   * Used for idempotent, race-safe approve/reject decisions.
+   * @param {number} tgId - Telegram user ID
+   * @param {Array<string>} fromStatuses - Statuses the transition is allowed from
+   * @param {string} toStatus - New status
+   * @param {Object} extraData - Additional columns to update (e.g. rejection reason)
+   * @returns {Promise<Object|null>} Updated user, or null if status did not match
+   */
+  async transitionUserStatus(tgId, fromStatuses, toStatus, extraData = {}) {
+    const updateData = { 
+      status: toStatus,
+      ...(toStatus === APP_CONSTANTS.USER_STATUS.APPROVED && { 
+        approval_date: new Date().toISOString() 
+      }),
+      ...extraData
+    };
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .update(updateData)
+        .eq('tg_id', tgId)
+        .in('status', fromStatuses)
+        .select(),
+      'TRANSITION_USER_STATUS'
+    );
+
+    return result.data?.[0] || null;
+  }
+
   /**
    * Get pending users for admin approval
    * @returns {Promise<Array>} Pending users list
@@ -165,6 +265,47 @@ class UserService extends BaseService {
     return true;
   }
 
+  /**
+   * List users with optional status filter and search
+   * @param {Object} options - { status, search, limit, offset }
+   * @returns {Promise<Object>} { users, total }
+   */
+  async listUsers(options = {}) {
+    const { status = 'all', search = '', limit = 50, offset = 0 } = options;
+    // Characters with meaning in PostgREST filter strings
+    const term = String(search).replace(/[,()%*\\]/g, '').trim();
+
+    const result = await this.executeQuery(
+      () => {
+        let query = this.supabase
+          .from(this.tableName)
+          .select('*', { count: 'exact' })
+          .order('registration_date', { ascending: false })
+          .range(offset, offset + limit - 1);
+
+        if (status !== 'all') {
+          query = query.eq('status', status);
+        }
+
+        if (term) {
+          const filters = [`name.ilike.%${term}%`, `username.ilike.%${term}%`];
+          if (/^\d+$/.test(term)) {
+            filters.push(`tg_id.eq.${term}`);
+          }
+          query = query.or(filters.join(','));
+        }
+
+        return query;
+      },
+      'SELECT_USERS'
+    );
+
+    return {
+      users: result.data || [],
+      total: result.count || 0
+    };
+  }
+
   /**
    * Update user photo
    * @param {number} tgId - Telegram user ID
@@ -185,6 +326,123 @@ class UserService extends BaseService {
     return result.data;
   }
 
+  // ==================== PREFERENCES ====================
+
+  /**
+   * Preference columns for a new user
+   * @param {Object} overrides - Known preferences at registration (e.g. language)
+   * @returns {Object} Column values
+   */
+  getDefaultPreferenceColumns(overrides = {}) {
+    const defaults = APP_CONSTANTS.DEFAULT_PREFERENCES;
+    const languages = Object.values(APP_CONSTANTS.LANGUAGES);
+
+    return {
+      notification_preferences: Object.fromEntries(
+        Object.values(APP_CONSTANTS.NOTIFICATION_TYPES).map(type => [type, true])
+      ),
+      language: languages.includes(overrides.language) ? overrides.language : defaults.language,
+      profile_visibility: defaults.profile_visibility
+    };
+  }
+
+  /**
+   * Format user's preferences with defaults filled in
+   * @param {Object} user - User row
+   * @returns {Object} Preferences
+   */
+  formatPreferences(user) {
+    const toggles = user.notification_preferences || {};
+
+    return {
+      notifications: Object.fromEntries(
+        Object.values(APP_CONSTANTS.NOTIFICATION_TYPES).map(type => [type, toggles[type] !== false])
+      ),
+      language: user.language || APP_CONSTANTS.DEFAULT_PREFERENCES.language,
+      timezone: resolveTimezone(user.timezone),
+      reminder_time: user.reminder_time || config.STREAK_REMINDER_TIME,
+      privacy: {
+        profile_visibility: user.profile_visibility || APP_CONSTANTS.DEFAULT_PREFERENCES.profile_visibility
+      }
+    };
+  }
+
+  /**
+   * Update user's preferences
+   * notifications may be a boolean (all categories) or per-category toggles;
+   * categories left out keep their current value.
+   * @param {Object} user - Current user row
+   * @param {Object} updates - Validated preference updates
+   * @returns {Promise<Object>} Updated preferences
+   */
+  async updatePreferences(user, updates) {
+    const columns = {};
+    const types = Object.values(APP_CONSTANTS.NOTIFICATION_TYPES);
+
+    if (updates.notifications !== undefined) {
+      const current = this.formatPreferences(user).notifications;
+      columns.notification_preferences = typeof updates.notifications === 'boolean'
+        ? Object.fromEntries(types.map(type => [type, updates.notifications]))
+        : { ...current, ...updates.notifications };
+    }
+
+    if (updates.language !== undefined) {
+      columns.language = updates.language;
+    }
+
+    if (updates.timezone !== undefined) {
+      columns.timezone = updates.timezone;
+    }
+
+    if (updates.reminder_time !== undefined) {
+      columns.reminder_time = updates.reminder_time;
+    }
+
+    if (updates.privacy?.profile_visibility !== undefined) {
+      columns.profile_visibility = updates.privacy.profile_visibility;
+    }
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .update(columns)
+        .eq('tg_id', user.tg_id)
+        .select()
+        .single(),
+      'UPDATE_USER_PREFERENCES'
+    );
+
+    return this.formatPreferences(result.data);
+  }
+
+  /**
+   * Hide identity of participants with a private profile
+   * Public lists (leaderboards, movements) must not tie a private user's scores to their name or photo.
+   * @param {Array} entries - Entries with tg_id, name, photo_url
+   * @returns {Promise<Array>} Entries; private ones get name and photo_url null and is_private true
+   */
+  async maskPrivateProfiles(entries) {
+    const tgIds = [...new Set(entries.map(entry => Number(entry.tg_id)))];
+    if (tgIds.length === 0) {
+      return entries;
+    }
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('tg_id')
+        .in('tg_id', tgIds)
+        .eq('profile_visibility', APP_CONSTANTS.PROFILE_VISIBILITY.PRIVATE),
+      'SELECT_PRIVATE_PROFILES'
+    );
+
+    const privateIds = new Set((result.data || []).map(user => Number(user.tg_id)));
+
+    return entries.map(entry => privateIds.has(Number(entry.tg_id))
+      ? { ...entry, name: null, photo_url: null, is_private: true }
+      : entry);
+  }
+
   /**
    * Get user statistics count
    * @returns {Promise<Object>} User counts
@@ -236,7 +494,7 @@ class DailyProgressService extends BaseService {
    * @returns {Promise<Object|null>} Daily progress data
    */
   async getDailyProgress(tgId, date = null) {
-    const targetDate = date || new Date().toISOString().split('T')[0];
+    const targetDate = date || getToday();
 
     const result = await this.executeQuery(
       () => this.supabase
@@ -244,7 +502,7 @@ class DailyProgressService extends BaseService {
         .select('*')
         .eq('tg_id', tgId)
         .eq('date', targetDate)
-        .single(),
+        .maybeSingle(),
       'SELECT_DAILY_PROGRESS'
     );
 
@@ -259,12 +517,15 @@ class DailyProgressService extends BaseService {
   async submitDailyProgress(progressData) {
     const dataToInsert = {
       tg_id: progressData.tg_id,
-      date: progressData.date || new Date().toISOString().split('T')[0],
+      date: progressData.date || getToday(),
       tasks: progressData.tasks || {},
       task_inputs: progressData.task_inputs || {},
       pages_read: progressData.pages_read || 0,
       distance_km: progressData.distance_km || 0,
       completed_count: progressData.completed_count || 0,
+      total_tasks: progressData.total_tasks ?? null,
+      score: progressData.score || 0,
+      score_breakdown: progressData.score_breakdown || null,
       submission_time: new Date().toISOString()
     };
 
@@ -286,136 +547,536 @@ class DailyProgressService extends BaseService {
   /**
    * Get user's all-time statistics
    * @param {number} tgId - Telegram user ID
+   * @param {string} timezone - User timezone for "today"
    * @returns {Promise<Object>} All-time stats
    */
-  async getUserAllTimeStats(tgId) {
+  async getUserAllTimeStats(tgId, timezone = null) {
     const result = await this.executeQuery(
       () => this.supabase
         .from(this.tableName)
-        .select('completed_count, pages_read, distance_km, date')
+        .select('completed_count, score, pages_read, distance_km, date')
         .eq('tg_id', tgId),
       'SELECT_USER_ALL_STATS'
     );
 
     const data = result.data || [];
+    const streak = this.calculateStreak(data, { today: getToday(timezone) });
     
     return {
-      total_points: data.reduce((sum, day) => sum + (day.completed_count || 0), 0),
+      total_points: this.sumScores(data),
       total_pages: data.reduce((sum, day) => sum + (day.pages_read || 0), 0),
       total_distance: data.reduce((sum, day) => sum + (day.distance_km || 0), 0),
-      total_days: data.length
+      total_days: data.length,
+      current_streak: streak.current_streak,
+      longest_streak: streak.longest_streak
+    };
+  }
+
+  /**
+   * Get user's submission streak
+   * @param {number} tgId - Telegram user ID
+   * @param {string} timezone - User timezone for "today"
+   * @returns {Promise<Object>} Streak info
+   */
+  async getUserStreak(tgId, timezone = null) {
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('date, completed_count')
+        .eq('tg_id', tgId),
+      'SELECT_USER_STREAK'
+    );
+
+    return this.calculateStreak(result.data || [], { today: getToday(timezone) });
+  }
+
+  /**
+   * Calculate streak from daily progress rows
+   * A day counts when completed_count reaches config.STREAK_MIN_COMPLETED_TASKS.
+   * The current streak stays alive until the end of the day after the last counted day.
+   * @param {Array} progressRows - Rows with date and completed_count
+   * @param {Object} options - { minCompleted, today }
+   * @returns {Object} Streak info
+   */
+  calculateStreak(progressRows, options = {}) {
+    const {
+      minCompleted = config.STREAK_MIN_COMPLETED_TASKS,
+      today = getToday()
+    } = options;
+
+    const lastSubmission = progressRows.reduce(
+      (latest, row) => (!latest || row.date > latest ? row.date : latest),
+      null
+    );
+
+    const countedDays = [...new Set(
+      progressRows
+        .filter(row => (row.completed_count || 0) >= minCompleted)
+        .map(row => row.date)
+    )].sort();
+
+    let longestStreak = 0;
+    let runLength = 0;
+    let previousDay = null;
+
+    countedDays.forEach(date => {
+      runLength = previousDay !== null && daysBetween(previousDay, date) === 1 ? runLength + 1 : 1;
+      longestStreak = Math.max(longestStreak, runLength);
+      previousDay = date;
+    });
+
+    // previousDay / runLength now describe the most recent run
+    const daysSinceLastCounted = previousDay !== null ? daysBetween(previousDay, today) : null;
+    const isActive = daysSinceLastCounted !== null && daysSinceLastCounted <= 1;
+
+    return {
+      current_streak: isActive ? runLength : 0,
+      longest_streak: longestStreak,
+      last_submission: lastSubmission,
+      last_counted_day: countedDays[countedDays.length - 1] || null,
+      streak_broken_date: previousDay !== null && !isActive ? addDays(previousDay, 1) : null,
+      total_submission_days: countedDays.length,
+      min_completed_tasks: minCompleted
     };
   }
 
   /**
    * Get leaderboard data
-   * @param {Object} options - Leaderboard options
-   * @returns {Promise<Array>} Leaderboard data
+   * Aggregation, ranking and pagination run in the leaderboard_entries SQL function.
+   * @param {Object} options - { period, type, limit, offset, ranking }
+   * @returns {Promise<Array>} Leaderboard page
    */
   async getLeaderboardData(options = {}) {
-    const { period = 'all', type = 'overall', limit = 100 } = options;
-    
-    let query = this.supabase
-      .from(this.tableName)
-      .select(`
-        tg_id,
-        completed_count,
-        pages_read,
-        distance_km,
-        date
-      `);
-
-    // Apply date filter for period
-    if (period !== 'all') {
-      const dateFilter = this.getDateFilter(period);
-      if (dateFilter) {
-        query = query.gte('date', dateFilter);
+    const { period = 'all', type = 'overall', limit = 100, offset = 0, ranking } = options;
+
+    const result = await this.executeQuery(
+      () => this.supabase.rpc('leaderboard_entries', {
+        ...this.getLeaderboardRpcParams(type, period, ranking),
+        p_limit: limit,
+        p_offset: offset
+      }),
+      'RPC_LEADERBOARD_ENTRIES'
+    );
+
+    return (result.data || []).map(row => this.formatLeaderboardRow(row, type));
+  }
+
+  /**
+   * Count leaderboard participants for a period
+   * @param {string|Object} period - Time period, or a range from resolvePeriod()
+   * @returns {Promise<number>} Participants with at least one submission
+   */
+  async countLeaderboardParticipants(period = 'all') {
+    const result = await this.executeQuery(
+      () => this.supabase.rpc('leaderboard_participant_count', this.getRangeRpcParams(period)),
+      'RPC_LEADERBOARD_COUNT'
+    );
+
+    return Number(result.data) || 0;
+  }
+
+  /**
+   * Get user's leaderboard entry with surrounding participants
+   * Surrounding participants are neighbours in list order, so ties never widen the window.
+   * @param {number} tgId - Telegram user ID
+   * @param {Object} options - { period, type, surrounding, ranking }
+   * @returns {Promise<Object>} { position, surrounding, total }; position is null if unranked and
+   *   carries participants_ahead (participants with a strictly higher score)
+   */
+  async getLeaderboardPosition(tgId, options = {}) {
+    const { period = 'all', type = 'overall', surrounding = 3, ranking } = options;
+
+    const result = await this.executeQuery(
+      () => this.supabase.rpc('leaderboard_position', {
+        ...this.getLeaderboardRpcParams(type, period, ranking),
+        p_tg_id: tgId,
+        p_surrounding: surrounding
+      }),
+      'RPC_LEADERBOARD_POSITION'
+    );
+
+    const rows = result.data || [];
+    if (rows.length === 0) {
+      return {
+        position: null,
+        surrounding: [],
+        total: await this.countLeaderboardParticipants(period)
+      };
+    }
+
+    const entries = rows.map(row => this.formatLeaderboardRow(row, type));
+    const userRow = rows.find(row => Number(row.tg_id) === Number(tgId));
+
+    return {
+      position: {
+        ...entries.find(entry => entry.tg_id === Number(tgId)),
+        participants_ahead: Number(userRow.participants_ahead)
+      },
+      surrounding: entries,
+      total: Number(rows[0].total_count)
+    };
+  }
+
+  /**
+   * Get overall score distribution for a period
+   * @param {string|Object} period - Time period, or a range from resolvePeriod()
+   * @returns {Promise<Object>} Statistics
+   */
+  async getLeaderboardStats(period = 'all') {
+    const result = await this.executeQuery(
+      () => this.supabase.rpc('leaderboard_stats', this.getRangeRpcParams(period)),
+      'RPC_LEADERBOARD_STATS'
+    );
+
+    const stats = (Array.isArray(result.data) ? result.data[0] : result.data) || {};
+
+    return {
+      total_participants: Number(stats.total_participants) || 0,
+      average_points: Number(stats.average_points) || 0,
+      median_points: Number(stats.median_points) || 0,
+      top_10_percent_threshold: Number(stats.top_10_percent_threshold) || 0,
+      most_active_score: Number(stats.most_active_score) || 0,
+      completion_distribution: {
+        '0-10': Number(stats.range_0_10) || 0,
+        '11-50': Number(stats.range_11_50) || 0,
+        '51-100': Number(stats.range_51_100) || 0,
+        '101-200': Number(stats.range_101_200) || 0,
+        '200+': Number(stats.range_200_plus) || 0
       }
+    };
+  }
+
+  /**
+   * Build date range RPC parameters
+   * @param {string|Object} period - Time period, or a range from resolvePeriod()
+   * @returns {Object} { p_start_date, p_end_date }
+   */
+  getRangeRpcParams(period) {
+    const range = this.resolvePeriod(period);
+
+    return {
+      p_start_date: range.start_date,
+      p_end_date: range.end_date
+    };
+  }
+
+  /**
+   * Build common leaderboard RPC parameters
+   * @param {string} type - Leaderboard type
+   * @param {string|Object} period - Time period, or a range from resolvePeriod()
+   * @param {string} [ranking] - Ranking mode (APP_CONSTANTS.RANKING_MODES), defaults to config
+   * @returns {Object} RPC parameters
+   */
+  getLeaderboardRpcParams(type, period, ranking = config.LEADERBOARD_RANKING_MODE) {
+    const range = this.resolvePeriod(period);
+    const today = getToday();
+
+    return {
+      p_type: type,
+      ...this.getRangeRpcParams(range),
+      // Past ranges are judged as of their last day
+      p_today: range.end_date && range.end_date < today ? range.end_date : today,
+      p_min_completed: config.STREAK_MIN_COMPLETED_TASKS,
+      p_weights: APP_CONSTANTS.CONSISTENCY_WEIGHTS,
+      p_rank_mode: ranking
+    };
+  }
+
+  /**
+   * Describe how the consistency score is calculated
+   * @returns {Object} Formula, weights and component definitions
+   */
+  describeConsistencyScoring() {
+    const weights = APP_CONSTANTS.CONSISTENCY_WEIGHTS;
+
+    return {
+      formula: `score = 100 × (${weights.submission_ratio} × submission_ratio + ` +
+        `${weights.streak} × streak_ratio + ${weights.completion} × average_completion)`,
+      weights,
+      components: {
+        submission_ratio: 'Days with a submission ÷ days in the period (all time: since the first submission)',
+        streak_ratio: 'Current streak ÷ days in the period, capped at 1',
+        average_completion: 'Share of daily tasks completed, averaged over submitted days'
+      },
+      min_completed_tasks: config.STREAK_MIN_COMPLETED_TASKS
+    };
+  }
+
+  /**
+   * Format leaderboard row from SQL functions (BIGINT/NUMERIC arrive as strings or numbers)
+   * @param {Object} row - Raw row
+   * @param {string} type - Leaderboard type
+   * @returns {Object} Leaderboard entry
+   */
+  formatLeaderboardRow(row, type) {
+    const entry = {
+      tg_id: Number(row.tg_id),
+      name: row.name,
+      photo_url: row.photo_url,
+      is_premium: row.is_premium,
+      total_points: Number(row.total_points) || 0,
+      total_pages: Number(row.total_pages) || 0,
+      total_distance: Number(row.total_distance) || 0,
+      days_count: Number(row.days_count) || 0,
+      rank: Number(row.rank),
+      list_position: Number(row.list_position),
+      score: Number(row.score) || 0
+    };
+
+    if (type !== APP_CONSTANTS.LEADERBOARD_TYPES.CONSISTENCY) {
+      return entry;
     }
 
-    const result = await this.executeQuery(() => query, 'SELECT_LEADERBOARD_DATA');
-    const progressData = result.data || [];
+    // Explain the consistency score: each component's ratio and the points it contributed
+    const weights = APP_CONSTANTS.CONSISTENCY_WEIGHTS;
+    const submissionRatio = Number(row.submission_ratio) || 0;
+    const streakRatio = Number(row.streak_ratio) || 0;
+    const averageCompletion = Number(row.average_completion) || 0;
+    const points = (weight, ratio) => Math.round(100 * weight * ratio * 100) / 100;
+
+    return {
+      ...entry,
+      current_streak: Number(row.current_streak) || 0,
+      longest_streak: Number(row.longest_streak) || 0,
+      score_components: {
+        submission_days: entry.days_count,
+        period_days: Number(row.period_days) || 0,
+        submission_ratio: submissionRatio,
+        streak_ratio: streakRatio,
+        average_completion: averageCompletion,
+        points: {
+          submission_ratio: points(weights.submission_ratio, submissionRatio),
+          streak: points(weights.streak, streakRatio),
+          completion: points(weights.completion, averageCompletion)
+        }
+      }
+    };
+  }
 
-    // Get user details
-    const userIds = [...new Set(progressData.map(p => p.tg_id))];
-    const usersResult = await this.executeQuery(
+  /**
+   * Get task summary with per-task breakdown for a date range
+   * @param {number} tgId - Telegram user ID
+   * @param {Object} dateRange - { start_date, end_date } (inclusive, YYYY-MM-DD)
+   * @param {Array} templates - Task templates to break down by
+   * @returns {Promise<Object>} Summary
+   */
+  async getTaskSummary(tgId, dateRange, templates) {
+    const result = await this.executeQuery(
       () => this.supabase
-        .from('users')
-        .select('tg_id, name, photo_url, is_premium')
-        .in('tg_id', userIds)
-        .eq('status', APP_CONSTANTS.USER_STATUS.APPROVED),
-      'SELECT_LEADERBOARD_USERS'
+        .from(this.tableName)
+        .select('date, tasks, pages_read, distance_km, completed_count, score')
+        .eq('tg_id', tgId)
+        .gte('date', dateRange.start_date)
+        .lte('date', dateRange.end_date)
+        .order('date', { ascending: true }),
+      'SELECT_TASK_SUMMARY'
     );
 
-    const users = usersResult.data || [];
-    
-    // Calculate aggregated stats
-    const userStats = {};
-    progressData.forEach(progress => {
-      const userId = progress.tg_id;
-      if (!userStats[userId]) {
-        userStats[userId] = {
-          total_points: 0,
-          total_pages: 0,
-          total_distance: 0,
-          days_count: 0
-        };
-      }
-      
-      userStats[userId].total_points += progress.completed_count || 0;
-      userStats[userId].total_pages += progress.pages_read || 0;
-      userStats[userId].total_distance += progress.distance_km || 0;
-      userStats[userId].days_count += 1;
+    const rows = result.data || [];
+    const totalTasks = templates.length;
+    const totalDays = daysBetween(dateRange.start_date, dateRange.end_date) + 1;
+    const round = (value) => Math.round(value * 100) / 100;
+    const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+
+    // Per-task completion counts (tasks are keyed by template id)
+    const taskBreakdown = {};
+    templates.forEach(template => {
+      const completed = rows.filter(row => Boolean(row.tasks?.[template.id])).length;
+      taskBreakdown[`task_${template.id}`] = {
+        title: template.title,
+        completed,
+        total: totalDays,
+        completion_rate: percent(completed, totalDays)
+      };
     });
 
-    // Build leaderboard
-    const leaderboard = Object.entries(userStats).map(([userId, stats]) => {
-      const user = users.find(u => u.tg_id == userId);
-      if (!user) return null;
+    const totalPoints = this.sumScores(rows);
+    const totalCompleted = rows.reduce((sum, row) => sum + (row.completed_count || 0), 0);
+    const totalPages = rows.reduce((sum, row) => sum + (row.pages_read || 0), 0);
+    const totalDistance = rows.reduce((sum, row) => sum + (row.distance_km || 0), 0);
+    const readingDays = rows.filter(row => row.pages_read > 0).length;
+    const distanceDays = rows.filter(row => row.distance_km > 0).length;
+
+    const dayStats = rows.map(row => ({
+      date: row.date,
+      completed_count: row.completed_count || 0,
+      score: Number(row.score) || 0,
+      pages_read: row.pages_read || 0,
+      distance_km: row.distance_km || 0
+    }));
+
+    // Best: highest score, then most tasks, pages and distance; worst: the reverse (missed days excluded)
+    const compareDays = (a, b) =>
+      (a.score - b.score) ||
+      (a.completed_count - b.completed_count) ||
+      (a.pages_read - b.pages_read) ||
+      (a.distance_km - b.distance_km);
+
+    const sortedDays = [...dayStats].sort(compareDays);
+
+    return {
+      date_range: dateRange,
+      total_days: totalDays,
+      submitted_days: rows.length,
+      missed_days: totalDays - rows.length,
+      completed_days: totalTasks > 0 ? rows.filter(row => row.completed_count >= totalTasks).length : 0,
+      total_points: totalPoints,
+      average_points_per_day: round(totalPoints / totalDays),
+      average_completion: percent(totalCompleted, totalDays * totalTasks),
+      average_tasks_per_day: round(totalCompleted / totalDays),
+      task_breakdown: taskBreakdown,
+      reading_stats: {
+        total_pages: totalPages,
+        average_pages_per_day: round(totalPages / totalDays),
+        average_pages_per_reading_day: readingDays > 0 ? round(totalPages / readingDays) : 0,
+        reading_days: readingDays,
+        max_pages: Math.max(0, ...dayStats.map(day => day.pages_read))
+      },
+      distance_stats: {
+        total_distance: round(totalDistance),
+        average_distance_per_day: round(totalDistance / totalDays),
+        average_distance_per_active_day: distanceDays > 0 ? round(totalDistance / distanceDays) : 0,
+        active_days: distanceDays,
+        max_distance: Math.max(0, ...dayStats.map(day => day.distance_km))
+      },
+      best_day: sortedDays[sortedDays.length - 1] || null,
+      worst_day: sortedDays[0] || null,
+      daily: dayStats
+    };
+  }
+
+  /**
+   * Get date range for summary period or explicit from/to dates
+   * @param {string} period - Time period (week, month, year)
+   * @param {string} from - Optional start date (YYYY-MM-DD)
+   * @param {string} to - Optional end date (YYYY-MM-DD), defaults to today
+   * @param {string} timezone - User timezone for "today"
+   * @returns {Object} { start_date, end_date }
+   */
+  getDateRange(period, from = null, to = null, timezone = null) {
+    const today = getToday(timezone);
+
+    if (from) {
+      const endDate = to || today;
+
+      if (isNaN(Date.parse(from)) || isNaN(Date.parse(endDate))) {
+        throw createError.badRequest('Invalid date range');
+      }
+
+      if (from > endDate) {
+        throw createError.badRequest('From date must be before or equal to to date');
+      }
+
+      const days = daysBetween(from, endDate) + 1;
+      if (days > APP_CONSTANTS.TASKS.MAX_SUMMARY_DAYS) {
+        throw createError.badRequest(`Date range cannot exceed ${APP_CONSTANTS.TASKS.MAX_SUMMARY_DAYS} days`);
+      }
 
       return {
-        tg_id: parseInt(userId),
-        name: user.name,
-        photo_url: user.photo_url,
-        is_premium: user.is_premium,
-        ...stats
+        start_date: from,
+        end_date: endDate
       };
-    }).filter(Boolean);
+    }
 
-    // Sort by type
-    const sortKey = type === 'reading' ? 'total_pages' : 
-                   type === 'distance' ? 'total_distance' : 'total_points';
-    
-    leaderboard.sort((a, b) => b[sortKey] - a[sortKey]);
-
-    // Add rank and score
-    return leaderboard.slice(0, limit).map((user, index) => ({
-      ...user,
-      rank: index + 1,
-      score: user[sortKey],
-      achievements: [] // TODO: Calculate achievements
-    }));
+    const periodDays = { week: 7, month: 30, year: 365 }[period];
+    const startDate = periodDays ? addDays(today, -(periodDays - 1)) : today;
+
+    return {
+      start_date: startDate,
+      end_date: today
+    };
   }
 
   /**
-   * Get date filter for period
-   * @param {string} period - Time period
-   * @returns {string|null} Date filter
+   * Resolve leaderboard period into an inclusive date range
+   * Precedence: from/to, then week, then month, then period (+ mode for weekly/monthly).
+   * asOf moves "today" back for named periods, e.g. to rebuild a past day's standings.
+   * @param {string|Object} options - Period name, or { period, mode, week, month, from, to, asOf }
+   * @returns {Object} { period, mode, label, start_date, end_date, snapshot_period } (null dates = open)
    */
-  getDateFilter(period) {
-    const now = new Date();
-    
+  resolvePeriod(options = 'all') {
+    if (options && typeof options === 'object' && 'start_date' in options) {
+      return options; // Already resolved
+    }
+
+    const {
+      period = APP_CONSTANTS.TIME_PERIODS.ALL,
+      mode = APP_CONSTANTS.PERIOD_MODES.ROLLING,
+      week,
+      month,
+      from,
+      to,
+      asOf
+    } = typeof options === 'string' ? { period: options } : (options || {});
+    const today = asOf || getToday();
+
+    // Named and custom ranges are not snapshotted, so they carry no snapshot_period
+    const range = (resolvedPeriod, resolvedMode, label, startDate, endDate, snapshotPeriod = null) => ({
+      period: resolvedPeriod,
+      mode: resolvedMode,
+      label,
+      start_date: startDate,
+      end_date: endDate,
+      snapshot_period: snapshotPeriod
+    });
+
+    if (from) {
+      const endDate = to || today;
+      if (!isValidDateString(from) || !isValidDateString(endDate)) {
+        throw createError.badRequest('Dates must be valid and in YYYY-MM-DD format');
+      }
+      if (from > endDate) {
+        throw createError.badRequest('From date must be before to date');
+      }
+      return range('custom', 'range', `${from}..${endDate}`, from, endDate);
+    }
+
+    if (week) {
+      const weekRange = getIsoWeekRange(week);
+      if (!weekRange) {
+        throw createError.badRequest('Week must be an existing ISO week in YYYY-Www format');
+      }
+      if (weekRange.start_date > today) {
+        throw createError.badRequest('Week has not started yet');
+      }
+      return range('weekly', 'named', week, weekRange.start_date, weekRange.end_date);
+    }
+
+    if (month) {
+      const monthRange = getMonthRange(month);
+      if (!monthRange) {
+        throw createError.badRequest('Month must be in YYYY-MM format');
+      }
+      if (monthRange.start_date > today) {
+        throw createError.badRequest('Month has not started yet');
+      }
+      return range('monthly', 'named', month, monthRange.start_date, monthRange.end_date);
+    }
+
+    const calendar = mode === APP_CONSTANTS.PERIOD_MODES.CALENDAR;
+
     switch (period) {
-      case 'daily':
-        return now.toISOString().split('T')[0];
-      case 'weekly':
-        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        return weekAgo.toISOString().split('T')[0];
-      case 'monthly':
-        const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        return monthAgo.toISOString().split('T')[0];
+      case APP_CONSTANTS.TIME_PERIODS.DAILY:
+        return range(period, mode, today, today, today, period);
+
+      case APP_CONSTANTS.TIME_PERIODS.WEEKLY: {
+        if (calendar) {
+          const weekStart = getIsoWeekStart(today);
+          return range(period, mode, toIsoWeekString(today), weekStart, addDays(weekStart, 6));
+        }
+        return range(period, mode, 'last_7_days', addDays(today, -6), today, period);
+      }
+
+      case APP_CONSTANTS.TIME_PERIODS.MONTHLY: {
+        if (calendar) {
+          const monthRange = getMonthRange(today.slice(0, 7));
+          return range(period, mode, today.slice(0, 7), monthRange.start_date, monthRange.end_date);
+        }
+        return range(period, mode, 'last_30_days', addDays(today, -29), today, period);
+      }
+
       default:
-        return null;
+        return range(APP_CONSTANTS.TIME_PERIODS.ALL, mode, 'all_time', null, asOf || null, APP_CONSTANTS.TIME_PERIODS.ALL);
     }
   }
 
@@ -424,7 +1085,7 @@ class DailyProgressService extends BaseService {
    * @returns {Promise<number>} Today's submissions
    */
   async getTodaySubmissions() {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getToday();
     
     const result = await this.executeQuery(
       () => this.supabase
@@ -436,6 +1097,16 @@ class DailyProgressService extends BaseService {
 
     return result.count || 0;
   }
+
+  /**
+   * Sum persisted daily scores
+   * @param {Array} rows - Progress rows with score
+   * @returns {number} Total points (2 decimals)
+   */
+  sumScores(rows) {
+    const total = rows.reduce((sum, row) => sum + (Number(row.score) || 0), 0);
+    return Math.round(total * 100) / 100;
+  }
 }
 
 /**
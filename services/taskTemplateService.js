@@ -0,0 +1,274 @@
+// services/taskTemplateService.js - DAILY TASK TEMPLATES SERVICE
+import { BaseService } from './supabaseService.js';
+import { createError } from '../middleware/errorHandler.js';
+import config from '../config/config.js';
+import { getToday } from '../utils/helpers.js';
+
+/**
+ * Daily progress columns a number task can write to
+ */
+const TASK_METRICS = ['pages_read', 'distance_km'];
+
+/**
+ * Task template service
+ * Task definitions live in the task_templates table; submissions are validated
+ * (and scored by scoringService) against the templates active on the submission date.
+ */
+class TaskTemplateService extends BaseService {
+  constructor() {
+    super('task_templates');
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Get all templates, including retired ones
+   * @returns {Promise<Array>} Templates ordered by sort_order
+   */
+  async getAllTemplates() {
+    if (config.ENABLE_CACHING && this.cache && Date.now() < this.cacheExpiresAt) {
+      return this.cache;
+    }
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('*')
+        .order('sort_order', { ascending: true })
+        .order('id', { ascending: true }),
+      'SELECT_TASK_TEMPLATES'
+    );
+
+    this.cache = (result.data || []).map(template => this.formatTemplate(template));
+    this.cacheExpiresAt = Date.now() + config.CACHE_TTL;
+
+    return this.cache;
+  }
+
+  /**
+   * Get templates active on a date
+   * @param {string} date - Date in YYYY-MM-DD format (defaults to today)
+   * @returns {Promise<Array>} Active templates
+   */
+  async getActiveTemplates(date = null) {
+    const targetDate = date || getToday();
+    const templates = await this.getAllTemplates();
+
+    return templates.filter(template =>
+      template.is_active && template.active_from <= targetDate
+    );
+  }
+
+  /**
+   * Get template by ID
+   * @param {number} id - Template ID
+   * @returns {Promise<Object|null>} Template
+   */
+  async getTemplate(id) {
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .maybeSingle(),
+      'SELECT_TASK_TEMPLATE'
+    );
+
+    return result.data ? this.formatTemplate(result.data) : null;
+  }
+
+  /**
+   * Create task template
+   * @param {Object} data - Template fields
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate(data) {
+    this.assertValidDefinition(data);
+
+    const existing = await this.getTemplate(data.id);
+    if (existing) {
+      throw createError.conflict(`Task ${data.id} already exists`);
+    }
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .insert({
+          ...data,
+          active_from: data.active_from || getToday()
+        })
+        .select()
+        .single(),
+      'INSERT_TASK_TEMPLATE'
+    );
+
+    this.invalidateCache();
+    return this.formatTemplate(result.data);
+  }
+
+  /**
+   * Update task template
+   * @param {number} id - Template ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateTemplate(id, changes) {
+    const existing = await this.getTemplate(id);
+    if (!existing) {
+      throw createError.notFound('Task template');
+    }
+
+    this.assertValidDefinition({ ...existing, ...changes });
+
+    const result = await this.executeQuery(
+      () => this.supabase
+        .from(this.tableName)
+        .update({
+          ...changes,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select()
+        .single(),
+      'UPDATE_TASK_TEMPLATE'
+    );
+
+    this.invalidateCache();
+    return this.formatTemplate(result.data);
+  }
+
+  /**
+   * Retire task template (kept for history, no longer accepted in submissions)
+   * @param {number} id - Template ID
+   * @returns {Promise<Object>} Retired template
+   */
+  async retireTemplate(id) {
+    return this.updateTemplate(id, { is_active: false });
+  }
+
+  // ==================== SUBMISSION VALIDATION ====================
+
+  /**
+   * Validate submission against active templates
+   * @param {Array} templates - Active templates
+   * @param {Object} submission - { tasks, task_inputs, pages_read, distance_km }
+   */
+  validateSubmission(templates, submission) {
+    const { tasks = {}, task_inputs: taskInputs = {} } = submission;
+
+    if (typeof tasks !== 'object' || tasks === null) {
+      throw createError.badRequest('Tasks must be an object');
+    }
+
+    if (typeof taskInputs !== 'object' || taskInputs === null) {
+      throw createError.badRequest('Task inputs must be an object');
+    }
+
+    const templatesById = new Map(templates.map(template => [String(template.id), template]));
+
+    Object.keys(tasks).forEach(taskId => {
+      if (!templatesById.has(taskId)) {
+        throw createError.badRequest(`Unknown or inactive task: ${taskId}`);
+      }
+      if (typeof tasks[taskId] !== 'boolean') {
+        throw createError.badRequest(`Task ${taskId} must be boolean`);
+      }
+    });
+
+    templates
+      .filter(template => template.type === 'number')
+      .forEach(template => {
+        const rawValue = template.metric
+          ? submission[template.metric]
+          : taskInputs[template.id];
+
+        if (rawValue === undefined || rawValue === null || rawValue === '') {
+          return;
+        }
+
+        const value = Number(rawValue);
+        const min = template.min_value ?? 0;
+        const max = template.max_value ?? Infinity;
+
+        if (isNaN(value) || value < min || value > max) {
+          throw createError.badRequest(
+            `${template.title} must be between ${min} and ${max === Infinity ? '∞' : max}`
+          );
+        }
+      });
+  }
+
+  // ==================== HELPER METHODS ====================
+
+  /**
+   * Validate template definition consistency
+   * @param {Object} template - Template fields
+   */
+  assertValidDefinition(template) {
+    if (template.type === 'boolean' && template.metric) {
+      throw createError.badRequest('Only number tasks can have a metric');
+    }
+
+    if (template.metric && !TASK_METRICS.includes(template.metric)) {
+      throw createError.badRequest(`Invalid metric. Must be: ${TASK_METRICS.join(', ')}`);
+    }
+
+    if (
+      template.min_value !== null && template.min_value !== undefined &&
+      template.max_value !== null && template.max_value !== undefined &&
+      Number(template.min_value) > Number(template.max_value)
+    ) {
+      throw createError.badRequest('min_value cannot be greater than max_value');
+    }
+
+    if (Number(template.bonus_points) > 0) {
+      if (template.type !== 'number') {
+        throw createError.badRequest('Only number tasks can earn bonus points');
+      }
+      if (!(Number(template.bonus_step) > 0)) {
+        throw createError.badRequest('bonus_step must be greater than 0 when bonus_points is set');
+      }
+    }
+  }
+
+  /**
+   * Drop cached templates after changes
+   */
+  invalidateCache() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Format template row (NUMERIC columns arrive as strings)
+   * @param {Object} template - Raw template row
+   * @returns {Object} Template
+   */
+  formatTemplate(template) {
+    const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+    return {
+      id: template.id,
+      title: template.title,
+      description: template.description || null,
+      type: template.type,
+      category: template.category,
+      points: Number(template.points),
+      input_label: template.input_label || null,
+      metric: template.metric || null,
+      min_value: toNumber(template.min_value),
+      max_value: toNumber(template.max_value),
+      bonus_points: Number(template.bonus_points) || 0,
+      bonus_step: toNumber(template.bonus_step),
+      bonus_cap: toNumber(template.bonus_cap),
+      sort_order: template.sort_order,
+      active_from: template.active_from,
+      is_active: template.is_active,
+      created_at: template.created_at || null,
+      updated_at: template.updated_at || null
+    };
+  }
+}
+
+export const taskTemplateService = new TaskTemplateService();
+export default taskTemplateService;
@@ -16,13 +16,19 @@ if (!process.env.ADMIN_ID) {
   process.exit(1);
 }
 
+if (!process.env.SERVICE_API_KEY) {
+  console.warn('⚠️ SERVICE_API_KEY not set - API requests from the bot will be rejected');
+}
+
 // Configuration
 const CONFIG = {
   BOT_TOKEN: process.env.BOT_TOKEN,
   ADMIN_ID: parseInt(process.env.ADMIN_ID),
   MINI_APP_URL: process.env.MINI_APP_URL || 'https://yuldagilar.vercel.app',
   API_BASE_URL: process.env.API_BASE_URL || 'http://localhost:3000/api',
-  SESSION_TTL: 30 * 60 * 1000 // 30 minutes
+  SERVICE_API_KEY: process.env.SERVICE_API_KEY || null,
+  SESSION_TTL: 30 * 60 * 1000, // 30 minutes
+  NOTIFICATION_POLL_INTERVAL: parseInt(process.env.NOTIFICATION_POLL_INTERVAL) || 30 * 1000 // 30 seconds
 };
 
 // Create bot instance
@@ -52,7 +58,9 @@ async function makeAPIRequest(endpoint, options = {}) {
     const defaultOptions = {
       method: 'GET',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        // Bot acts on behalf of users, authenticated with the shared service key
+        ...(CONFIG.SERVICE_API_KEY && { 'X-API-Key': CONFIG.SERVICE_API_KEY })
       }
     };
 
@@ -65,7 +73,13 @@ async function makeAPIRequest(endpoint, options = {}) {
     const response = await fetch(url, requestOptions);
     
     if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+      const errorBody = await response.json().catch(() => null);
+      const error = new Error(
+        `API request failed: ${response.status} ${errorBody?.error || response.statusText}`
+      );
+      error.status = response.status;
+      error.body = errorBody;
+      throw error;
     }
 
     return await response.json();
@@ -100,10 +114,86 @@ async function registerUser(userData) {
     return response;
   } catch (error) {
     console.error('Failed to register user:', error);
-    return { success: false, error: error.message };
+    return { ...error.body, success: false, error: error.message };
+  }
+}
+
+/**
+ * Approve or reject user via admin API on behalf of an admin
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {number} userId - User to decide on
+ * @param {number} adminId - Admin who pressed the button
+ * @param {Object} body - Request body (reason_code / reason for rejections)
+ */
+async function decideUserViaAPI(decision, userId, adminId, body = {}) {
+  return makeAPIRequest(`/admin/${decision}/${userId}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(CONFIG.SERVICE_API_KEY && { 'X-API-Key': CONFIG.SERVICE_API_KEY }),
+      'X-Admin-Id': String(adminId)
+    },
+    body
+  });
+}
+
+/**
+ * Get rejection reason presets from the backend
+ * @param {number} adminId - Admin requesting the list
+ * @returns {Promise<Array>} [{ code, label }]
+ */
+async function getRejectionReasons(adminId) {
+  try {
+    const response = await makeAPIRequest('/admin/rejection-reasons', {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(CONFIG.SERVICE_API_KEY && { 'X-API-Key': CONFIG.SERVICE_API_KEY }),
+        'X-Admin-Id': String(adminId)
+      }
+    });
+    return response.reasons || [];
+  } catch (error) {
+    console.error('Failed to load rejection reasons:', error);
+    return [];
   }
 }
 
+/**
+ * Approve / reject buttons for a new application
+ */
+function buildDecisionKeyboard(userId) {
+  return {
+    inline_keyboard: [[
+      { text: "✅ Qabul qilish", callback_data: `approve_${userId}` },
+      { text: "❌ Rad etish", callback_data: `reject_${userId}` }
+    ]]
+  };
+}
+
+/**
+ * Rejection reason buttons shown after the admin taps "Rad etish"
+ */
+function buildRejectionKeyboard(userId, reasons) {
+  return {
+    inline_keyboard: [
+      ...reasons
+        .filter(reason => reason.code !== 'other')
+        .map(reason => [{ text: reason.label, callback_data: `rejr_${userId}_${reason.code}` }]),
+      [{ text: "✍️ Sababni yozish", callback_data: `rejt_${userId}` }],
+      [{ text: "↩️ Bekor qilish", callback_data: `rejc_${userId}` }]
+    ]
+  };
+}
+
+/**
+ * Format date for messages in Tashkent time
+ */
+function formatDate(isoDate) {
+  return new Date(isoDate).toLocaleDateString('uz-UZ', {
+    timeZone: 'Asia/Tashkent'
+  });
+}
+
 /**
  * Get user profile photo URL
  */
@@ -177,7 +267,20 @@ bot.onText(/\/start/, async (msg) => {
       return;
     }
 
-    if (authStatus.success && authStatus.isRegistered && !authStatus.isApproved) {
+    const rejection = authStatus.rejection;
+
+    if (authStatus.success && rejection && !rejection.can_reapply) {
+      // Rejected and still in the re-application cooldown
+      await bot.sendMessage(chatId, 
+        `❌ Arizangiz rad etilgan.\n\n` +
+        `📋 Sabab: ${rejection.reason || 'Ko\'rsatilmagan'}\n` +
+        `🔄 ${formatDate(rejection.can_reapply_at)} dan keyin qaytadan ariza berishingiz mumkin.\n\n` +
+        `📞 Savollar uchun: @muhammadsaid_buxoriy`
+      );
+      return;
+    }
+
+    if (authStatus.success && authStatus.isRegistered && !authStatus.isApproved && !rejection) {
       // User is registered but not approved
       await bot.sendMessage(chatId, 
         `⏳ So'rovingiz admin tomonidan ko'rib chiqilmoqda.\n\n` +
@@ -187,9 +290,10 @@ bot.onText(/\/start/, async (msg) => {
       return;
     }
 
-    // User is not registered, start registration process
+    // User is not registered (or may re-apply), start registration process
     await bot.sendMessage(chatId, 
       `👋 Assalomu alaykum, ${firstName}!\n\n` +
+      (rejection ? `🔄 Qaytadan ariza berishingiz mumkin.\n` : '') +
       `🎯 Challenge'da qatnashish uchun to'liq ism-familiyangizni yozing.\n\n` +
       `📝 Misol: Muhammad Said Seitmuradov\n` +
       `⚠️ Iltimos, haqiqiy ismingizni yozing.\n\n` +
@@ -228,6 +332,11 @@ bot.on('message', async (msg) => {
   }
 
   const session = userSessions.get(userId);
+
+  if (session?.step === 'awaiting_reject_reason') {
+    await handleRejectionReasonMessage(msg, session);
+    return;
+  }
   
   // If no session or not waiting for name, ignore
   if (!session || session.step !== 'awaiting_name') {
@@ -280,7 +389,9 @@ bot.on('message', async (msg) => {
       tg_id: userId,
       name: name,
       username: session.username,
-      photo_url: photoUrl
+      photo_url: photoUrl,
+      // Telegram app language; the backend keeps uz/ru/en and defaults the rest
+      language: msg.from.language_code
     };
 
     // Register user via API
@@ -297,7 +408,7 @@ bot.on('message', async (msg) => {
 
       // Send notification to admin
       const adminMessage = 
-        `🆕 Yangi challenge ishtirokchisi!\n\n` +
+        `${registrationResult.reapplied ? '🔄 Qayta ariza!' : '🆕 Yangi challenge ishtirokchisi!'}\n\n` +
         `👤 Ismi: ${name}\n` +
         `🆔 Telegram ID: ${userId}\n` +
         `👨‍💻 Username: ${session.username ? '@' + session.username : '❌ Yo\'q'}\n` +
@@ -307,12 +418,7 @@ bot.on('message', async (msg) => {
         `💡 Bu foydalanuvchini qabul qilasizmi?`;
 
       const adminButtons = {
-        reply_markup: {
-          inline_keyboard: [[
-            { text: "✅ Qabul qilish", callback_data: `approve_${userId}` },
-            { text: "❌ Rad etish", callback_data: `reject_${userId}` }
-          ]]
-        }
+        reply_markup: buildDecisionKeyboard(userId)
       };
 
       try {
@@ -325,6 +431,13 @@ bot.on('message', async (msg) => {
       // Clear session
       userSessions.delete(userId);
 
+    } else if (registrationResult.error_code === 'REAPPLY_COOLDOWN') {
+      userSessions.delete(userId);
+      await bot.sendMessage(chatId, 
+        `⏳ Qayta ariza berish hali mumkin emas.\n` +
+        `🔄 ${formatDate(registrationResult.rejection.can_reapply_at)} dan keyin urinib ko'ring.`
+      );
+
     } else {
       await bot.sendMessage(chatId, 
         `❌ Ro'yxatdan o'tishda xatolik yuz berdi.\n` +
@@ -342,94 +455,106 @@ bot.on('message', async (msg) => {
 });
 
 /**
- * Handle admin callback queries
+ * Admin decisions currently being processed (guards against double taps)
  */
-bot.on('callback_query', async (query) => {
-  const callbackData = query.data;
-  const adminChatId = query.message.chat.id;
-  const messageId = query.message.message_id;
+const decisionsInFlight = new Set();
 
-  // Answer callback query immediately
-  await bot.answerCallbackQuery(query.id);
+/**
+ * Format admin decision timestamp
+ */
+function formatDecisionTime() {
+  return new Date().toLocaleString('uz-UZ', {
+    timeZone: 'Asia/Tashkent'
+  });
+}
 
-  // Check if admin
-  if (query.from.id !== CONFIG.ADMIN_ID) {
-    await bot.answerCallbackQuery(query.id, {
-      text: "❌ Sizda ruxsat yo'q!",
-      show_alert: true
-    });
+/**
+ * Send admin decision to the backend and reflect the result in the admin message
+ * @param {Object} params
+ * @param {string} params.decision - 'approve' or 'reject'
+ * @param {number} params.userId - User to decide on
+ * @param {number} params.adminId - Admin who decided
+ * @param {number} params.chatId - Admin chat with the application message
+ * @param {number} params.messageId - Application message ID
+ * @param {Object} params.body - Rejection reason payload
+ * @param {Object} params.retryMarkup - Buttons to keep if the request fails
+ * @param {Function} params.answer - Acknowledge the admin action ({ text, show_alert })
+ */
+async function processDecision({ decision, userId, adminId, chatId, messageId, body = {}, retryMarkup, answer }) {
+  if (decisionsInFlight.has(userId)) {
+    await answer({ text: "⏳ So'rov bajarilmoqda..." });
     return;
   }
 
+  decisionsInFlight.add(userId);
+
   try {
-    if (callbackData.startsWith('approve_')) {
-      const userId = parseInt(callbackData.split('_')[1]);
-      
-      console.log(`✅ Admin approved user: ${userId}`);
+    // Status change happens in the backend; the bot only reflects the result
+    const result = await decideUserViaAPI(decision, userId, adminId, body);
+    await answer();
+
+    console.log(`${decision === 'approve' ? '✅' : '❌'} Admin ${adminId} ${decision}d user: ${userId} (changed: ${result.changed})`);
 
-      // Update message
+    if (decision === 'approve') {
       await bot.editMessageText(
-        `✅ QABUL QILINDI!\n\n` +
+        `${result.changed ? '✅ QABUL QILINDI!' : 'ℹ️ ALLAQACHON QABUL QILINGAN'}\n\n` +
         `🆔 User ID: ${userId}\n` +
-        `📅 ${new Date().toLocaleString('uz-UZ', {
-          timeZone: 'Asia/Tashkent'
-        })}`, 
+        `📅 ${formatDecisionTime()}`, 
         {
-          chat_id: adminChatId,
+          chat_id: chatId,
           message_id: messageId
         }
       );
 
-      // Send approval message to user
-      try {
-        await bot.sendMessage(userId, 
-          `🎉 Tabriklaymiz! Challenge'ga qabul qilindingiz!\n\n` +
-          `🚀 Endi Mini App orqali kunlik vazifalarni bajarishingiz mumkin.\n` +
-          `🎯 Har kun 10 ta vazifa, kitob o'qish va sport bilan shug'ullaning.\n` +
-          `📊 Natijalaringizni kuzatib, boshqalar bilan raqobatlashing!\n\n` +
-          `💪 Omad tilaymiz!`, 
-          {
-            reply_markup: {
-              inline_keyboard: [[
-                { 
-                  text: "🚀 Mini App'ni ochish", 
-                  web_app: { url: CONFIG.MINI_APP_URL } 
-                }
-              ]]
+      // Notify user only when this decision actually changed the status
+      if (result.changed) {
+        try {
+          await bot.sendMessage(userId, 
+            `🎉 Tabriklaymiz! Challenge'ga qabul qilindingiz!\n\n` +
+            `🚀 Endi Mini App orqali kunlik vazifalarni bajarishingiz mumkin.\n` +
+            `🎯 Har kun 10 ta vazifa, kitob o'qish va sport bilan shug'ullaning.\n` +
+            `📊 Natijalaringizni kuzatib, boshqalar bilan raqobatlashing!\n\n` +
+            `💪 Omad tilaymiz!`, 
+            {
+              reply_markup: {
+                inline_keyboard: [[
+                  { 
+                    text: "🚀 Mini App'ni ochish", 
+                    web_app: { url: CONFIG.MINI_APP_URL } 
+                  }
+                ]]
+              }
             }
-          }
-        );
-      } catch (userError) {
-        console.error(`Failed to notify approved user ${userId}:`, userError);
+          );
+        } catch (userError) {
+          console.error(`Failed to notify approved user ${userId}:`, userError);
+        }
       }
 
-    } else if (callbackData.startsWith('reject_')) {
-      const userId = parseInt(callbackData.split('_')[1]);
-      
-      console.log(`❌ Admin rejected user: ${userId}`);
+      return;
+    }
 
-      // Update message
-      await bot.editMessageText(
-        `🚫 RAD ETILDI!\n\n` +
-        `🆔 User ID: ${userId}\n` +
-        `📅 ${new Date().toLocaleString('uz-UZ', {
-          timeZone: 'Asia/Tashkent'
-        })}`, 
-        {
-          chat_id: adminChatId,
-          message_id: messageId
-        }
-      );
+    const rejection = result.rejection || {};
+
+    await bot.editMessageText(
+      `${result.changed ? '🚫 RAD ETILDI!' : 'ℹ️ ALLAQACHON RAD ETILGAN'}\n\n` +
+      `🆔 User ID: ${userId}\n` +
+      `📋 Sabab: ${rejection.reason || '-'}\n` +
+      `📅 ${formatDecisionTime()}`, 
+      {
+        chat_id: chatId,
+        message_id: messageId
+      }
+    );
 
-      // Send rejection message to user
+    if (result.changed) {
       try {
         await bot.sendMessage(userId, 
           `❌ Kechirasiz, arizangiz rad etildi.\n\n` +
-          `📋 Sabablari:\n` +
-          `• To'liq ism kiritilmagan\n` +
-          `• Noto'g'ri ma'lumot\n` +
-          `• Boshqa texnik sabablar\n\n` +
-          `🔄 Agar xatolik bo'lgan deb hisoblasangiz, qaytadan ariza berishingiz mumkin.\n` +
+          `📋 Sabab: ${rejection.reason}\n\n` +
+          (rejection.can_reapply_at
+            ? `🔄 ${formatDate(rejection.can_reapply_at)} dan keyin /start orqali qaytadan ariza berishingiz mumkin.\n`
+            : `🔄 /start orqali qaytadan ariza berishingiz mumkin.\n`) +
           `📞 Qo'shimcha ma'lumot: @muhammadsaid_buxoriy`
         );
       } catch (userError) {
@@ -438,15 +563,151 @@ bot.on('callback_query', async (query) => {
     }
 
   } catch (error) {
-    console.error('Callback query error:', error);
+    console.error('Admin decision error:', error);
+
+    if (error.status === 401 || error.status === 403) {
+      await answer({
+        text: "❌ Sizda ruxsat yo'q!",
+        show_alert: true
+      }).catch(() => {});
+      return;
+    }
+
+    await answer().catch(() => {});
+
+    // Conflict / not found: decision was already taken elsewhere, remove buttons
+    const alreadyDecided = error.status === 404 || error.status === 409;
+    const errorText = error.body?.error || error.message;
+
     try {
-      await bot.editMessageText("❌ Xatolik yuz berdi!", {
-        chat_id: adminChatId,
-        message_id: messageId
-      });
+      await bot.editMessageText(
+        `${alreadyDecided ? '⚠️ Holat allaqachon o\'zgartirilgan' : '❌ Xatolik yuz berdi!'}\n\n` +
+        `🆔 User ID: ${userId}\n` +
+        `💬 ${errorText}\n` +
+        `📅 ${formatDecisionTime()}`,
+        {
+          chat_id: chatId,
+          message_id: messageId,
+          // Keep buttons on transient failures so the admin can retry
+          ...(!alreadyDecided && retryMarkup && { reply_markup: retryMarkup })
+        }
+      );
     } catch (editError) {
       console.error('Failed to edit message:', editError);
     }
+  } finally {
+    decisionsInFlight.delete(userId);
+  }
+}
+
+/**
+ * Handle rejection reason typed by an admin
+ */
+async function handleRejectionReasonMessage(msg, session) {
+  const reason = msg.text.trim();
+
+  if (reason.length < 3 || reason.length > 500) {
+    await bot.sendMessage(msg.chat.id, 
+      `❌ Sabab 3 dan 500 tagacha belgidan iborat bo'lishi kerak. Qaytadan yozing.`
+    );
+    return;
+  }
+
+  userSessions.delete(msg.from.id);
+
+  await processDecision({
+    decision: 'reject',
+    userId: session.targetUserId,
+    adminId: msg.from.id,
+    chatId: session.chatId,
+    messageId: session.messageId,
+    body: { reason_code: 'other', reason },
+    retryMarkup: buildDecisionKeyboard(session.targetUserId),
+    answer: async (options) => {
+      if (options?.show_alert) {
+        await bot.sendMessage(msg.chat.id, options.text);
+      }
+    }
+  });
+}
+
+/**
+ * Handle admin callback queries
+ * approve_<id>           - approve user
+ * reject_<id>            - show rejection reasons
+ * rejr_<id>_<code>       - reject with preset reason
+ * rejt_<id>              - ask admin to type the reason
+ * rejc_<id>              - back to approve / reject buttons
+ */
+bot.on('callback_query', async (query) => {
+  const callbackData = query.data || '';
+  const adminChatId = query.message.chat.id;
+  const messageId = query.message.message_id;
+  const adminId = query.from.id;
+
+  const match = callbackData.match(/^(approve|reject|rejr|rejt|rejc)_(\d+)(?:_([a-z_]+))?$/);
+  if (!match) {
+    await bot.answerCallbackQuery(query.id);
+    return;
+  }
+
+  const action = match[1];
+  const userId = parseInt(match[2]);
+  const reasonCode = match[3];
+  const answer = (options) => bot.answerCallbackQuery(query.id, options);
+
+  try {
+    switch (action) {
+      case 'approve':
+      case 'rejr':
+        await processDecision({
+          decision: action === 'approve' ? 'approve' : 'reject',
+          userId,
+          adminId,
+          chatId: adminChatId,
+          messageId,
+          body: action === 'rejr' ? { reason_code: reasonCode } : {},
+          retryMarkup: query.message.reply_markup,
+          answer
+        });
+        break;
+
+      case 'reject': {
+        const reasons = await getRejectionReasons(adminId);
+        await answer();
+        await bot.editMessageReplyMarkup(buildRejectionKeyboard(userId, reasons), {
+          chat_id: adminChatId,
+          message_id: messageId
+        });
+        break;
+      }
+
+      case 'rejt':
+        userSessions.set(adminId, {
+          step: 'awaiting_reject_reason',
+          targetUserId: userId,
+          chatId: adminChatId,
+          messageId,
+          timestamp: Date.now()
+        });
+        await answer();
+        await bot.sendMessage(adminChatId, 
+          `✍️ ${userId} uchun rad etish sababini yozing:`
+        );
+        break;
+
+      case 'rejc':
+        userSessions.delete(adminId);
+        await answer();
+        await bot.editMessageReplyMarkup(buildDecisionKeyboard(userId), {
+          chat_id: adminChatId,
+          message_id: messageId
+        });
+        break;
+    }
+  } catch (error) {
+    console.error('Callback query error:', error);
+    await bot.answerCallbackQuery(query.id).catch(() => {});
   }
 });
 
@@ -476,6 +737,86 @@ bot.on('web_app_data', async (msg) => {
   }
 });
 
+// ==================== NOTIFICATION DELIVERY ====================
+
+/**
+ * Render a backend notification event as message text
+ * @param {Object} event - { type, payload }
+ * @returns {string|null} Message text, or null for unknown types
+ */
+function formatNotification(event) {
+  const payload = event.payload || {};
+
+  switch (event.type) {
+    case 'achievement_unlocked':
+      return `🏆 Yangi yutuq: ${payload.name}!\n\n` +
+        `${payload.description || ''}\n\n` +
+        `Barcha yutuqlaringizni Mini App'da ko'ring.`;
+
+    case 'streak_milestone':
+      return `🔥 ${payload.streak} kunlik seriya!\n\n` +
+        `Ketma-ket ${payload.streak} kun natija topshirdingiz. Shu zaylda davom eting! 💪`;
+
+    case 'streak_at_risk':
+      return `⏰ ${payload.streak} kunlik seriyangiz uzilish arafasida!\n\n` +
+        `Bugungi natijangizni hali topshirmadingiz. Seriyani saqlab qolish uchun bugun topshiring.`;
+
+    default:
+      return null;
+  }
+}
+
+let notificationPollInFlight = false;
+
+/**
+ * Claim queued notifications from the backend, send them and report results
+ * Each event is acknowledged, so the backend retries failures and never resends deliveries.
+ */
+async function deliverNotifications() {
+  if (notificationPollInFlight || !CONFIG.SERVICE_API_KEY) {
+    return;
+  }
+
+  notificationPollInFlight = true;
+  try {
+    const response = await makeAPIRequest('/notifications/pending');
+    const events = response.events || [];
+
+    for (const event of events) {
+      const text = formatNotification(event);
+      let outcome = { delivered: true };
+
+      try {
+        if (text) {
+          await bot.sendMessage(event.tg_id, text, {
+            reply_markup: {
+              inline_keyboard: [[
+                { text: "🚀 Mini App'ni ochish", web_app: { url: CONFIG.MINI_APP_URL } }
+              ]]
+            }
+          });
+        } else {
+          outcome = { delivered: false, error: `Unknown notification type: ${event.type}` };
+        }
+      } catch (sendError) {
+        // 403: the user blocked the bot; the backend stops retrying after max attempts
+        outcome = { delivered: false, error: sendError.message };
+      }
+
+      await makeAPIRequest(`/notifications/${event.id}/ack`, {
+        method: 'POST',
+        body: outcome
+      }).catch(ackError => console.error(`Failed to acknowledge notification ${event.id}:`, ackError.message));
+    }
+  } catch (error) {
+    console.error('Notification delivery failed:', error.message);
+  } finally {
+    notificationPollInFlight = false;
+  }
+}
+
+const notificationTimer = setInterval(deliverNotifications, CONFIG.NOTIFICATION_POLL_INTERVAL);
+
 // ==================== ERROR HANDLING ====================
 
 bot.on('polling_error', (error) => {
@@ -495,6 +836,7 @@ bot.on('error', (error) => {
 
 const gracefulShutdown = () => {
   console.log('\n🛑 Bot stopping...');
+  clearInterval(notificationTimer);
   
   bot.stopPolling().then(() => {
     console.log('✅ Bot stopped successfully');
@@ -0,0 +1,69 @@
+// utils/csv.js - CSV HELPERS
+
+/**
+ * UTF-8 byte order mark; lets Excel detect the encoding so Cyrillic and Uzbek letters
+ * (oʻ, gʻ) open correctly
+ */
+export const CSV_BOM = '\uFEFF';
+
+/**
+ * Apostrophe variants used in Uzbek Latin names (O'g'il, Gʻofur, Oʼktam)
+ * Some spreadsheet importers treat ' as a text qualifier, so such fields are always quoted.
+ */
+const APOSTROPHES = /['`\u2018\u2019\u02BB\u02BC]/;
+
+/**
+ * Leading characters spreadsheets evaluate as a formula
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape one CSV field (RFC 4180)
+ * Fields containing a delimiter, quote, apostrophe or line break are quoted; quotes are doubled.
+ * Text starting like a formula is prefixed with ' so spreadsheets show it as-is.
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} Escaped field
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) || APOSTROPHES.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build one CSV line
+ * @param {Array} values - Field values
+ * @returns {string} Line terminated with CRLF
+ */
+export function toCsvLine(values) {
+  return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+/**
+ * Build CSV document
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array>} rows - Row values in header order
+ * @returns {string} CSV content (with BOM)
+ */
+export function toCsv(header, rows) {
+  return CSV_BOM + toCsvLine(header) + rows.map(toCsvLine).join('');
+}
+
+export default {
+  CSV_BOM,
+  escapeCsvValue,
+  toCsvLine,
+  toCsv
+};
@@ -0,0 +1,249 @@
+// utils/helpers.js - DATE & TIMEZONE HELPERS
+import config from '../config/config.js';
+
+/**
+ * Milliseconds in one day
+ */
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Formatters are expensive to create, so keep one per timezone
+ */
+const dateFormatters = new Map();
+
+function getDateFormatter(timezone) {
+  if (!dateFormatters.has(timezone)) {
+    // en-CA formats dates as YYYY-MM-DD
+    dateFormatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+
+  return dateFormatters.get(timezone);
+}
+
+/**
+ * Check if timezone is a valid IANA name (e.g. Asia/Tashkent)
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} Whether timezone is supported
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    getDateFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve timezone, falling back to the challenge default
+ * @param {string} timezone - Preferred timezone
+ * @returns {string} Valid timezone
+ */
+export function resolveTimezone(timezone) {
+  return isValidTimezone(timezone) ? timezone : config.DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get calendar date (YYYY-MM-DD) of a moment in a timezone
+ * @param {Date|string|number} date - Moment in time
+ * @param {string} timezone - Timezone (defaults to config.DEFAULT_TIMEZONE)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function toDateString(date, timezone = config.DEFAULT_TIMEZONE) {
+  return getDateFormatter(resolveTimezone(timezone)).format(new Date(date));
+}
+
+/**
+ * Get the moment a calendar day starts in a timezone
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} timezone - Timezone (defaults to config.DEFAULT_TIMEZONE)
+ * @returns {string} ISO timestamp (UTC) of local midnight
+ */
+export function getDayStart(date, timezone = config.DEFAULT_TIMEZONE) {
+  const midnightUtc = Date.parse(`${date}T00:00:00Z`);
+
+  // The timezone's wall clock at that instant, read back as UTC, gives its offset
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: resolveTimezone(timezone),
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(midnightUtc)).map(part => [part.type, Number(part.value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return new Date(midnightUtc - (wallClock - midnightUtc)).toISOString();
+}
+
+/**
+ * Get today's challenge date in a timezone
+ * @param {string} timezone - Timezone (defaults to config.DEFAULT_TIMEZONE)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getToday(timezone = config.DEFAULT_TIMEZONE) {
+  return toDateString(Date.now(), timezone);
+}
+
+/**
+ * Get current time of day in a timezone
+ * @param {string} timezone - Timezone (defaults to config.DEFAULT_TIMEZONE)
+ * @returns {string} Time in HH:MM format (24h)
+ */
+export function getTimeOfDay(timezone = config.DEFAULT_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: resolveTimezone(timezone),
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(new Date());
+}
+
+/**
+ * Get today's challenge date for a user (uses user.timezone when set)
+ * @param {Object} user - User row
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getUserToday(user) {
+  return getToday(user?.timezone);
+}
+
+/**
+ * Check YYYY-MM-DD format and that the date exists
+ * @param {string} date - Date string
+ * @returns {boolean} Whether date is valid
+ */
+export function isValidDateString(date) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+    return false;
+  }
+
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+}
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function addDays(date, days) {
+  const parsed = Date.parse(`${date}T00:00:00Z`);
+  return new Date(parsed + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Number of days from one calendar date to another
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {number} Days between (negative if to is before from)
+ */
+export function daysBetween(from, to) {
+  return Math.round(
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS
+  );
+}
+
+/**
+ * Get Monday of the ISO week containing a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Monday in YYYY-MM-DD format
+ */
+export function getIsoWeekStart(date) {
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((dayOfWeek + 6) % 7));
+}
+
+/**
+ * Get ISO week name of a date (weeks start on Monday, week 1 contains January 4th)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Week in YYYY-Www format (e.g. 2024-W09)
+ */
+export function toIsoWeekString(date) {
+  // The ISO year is the year of the week's Thursday
+  const thursday = addDays(getIsoWeekStart(date), 3);
+  const year = thursday.slice(0, 4);
+  const week = Math.floor(daysBetween(`${year}-01-01`, thursday) / 7) + 1;
+
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Get date range of a named ISO week
+ * @param {string} week - Week in YYYY-Www format
+ * @returns {Object|null} { start_date, end_date }, or null if the week does not exist
+ */
+export function getIsoWeekRange(week) {
+  const match = /^(\d{4})-W(\d{2})$/.exec(week || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, year, weekNumber] = match;
+  const startDate = addDays(getIsoWeekStart(`${year}-01-04`), (Number(weekNumber) - 1) * 7);
+
+  // Rejects W00 and W53 in years with 52 weeks
+  if (toIsoWeekString(startDate) !== week) {
+    return null;
+  }
+
+  return {
+    start_date: startDate,
+    end_date: addDays(startDate, 6)
+  };
+}
+
+/**
+ * Get date range of a calendar month
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Object|null} { start_date, end_date }, or null if invalid
+ */
+export function getMonthRange(month) {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    return null;
+  }
+
+  const [, year, monthNumber] = match;
+  // Day 0 of the next month is the last day of this one
+  const lastDay = new Date(Date.UTC(Number(year), Number(monthNumber), 0)).getUTCDate();
+
+  return {
+    start_date: `${year}-${monthNumber}-01`,
+    end_date: `${year}-${monthNumber}-${String(lastDay).padStart(2, '0')}`
+  };
+}
+
+export default {
+  DAY_MS,
+  isValidTimezone,
+  resolveTimezone,
+  toDateString,
+  getDayStart,
+  getToday,
+  getTimeOfDay,
+  getUserToday,
+  isValidDateString,
+  addDays,
+  daysBetween,
+  getIsoWeekStart,
+  toIsoWeekString,
+  getIsoWeekRange,
+  getMonthRange
+};
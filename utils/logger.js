@@ -42,6 +42,17 @@ const LOG_LEVELS = {
  */
 const CURRENT_LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
 
+/**
+ * Strips console colors from persisted messages
+ */
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Structured record sink (see logger.setSink)
+ */
+let logSink = null;
+let isPersisting = false;
+
 /**
  * Format timestamp
  * @returns {string} Formatted timestamp
@@ -51,14 +62,106 @@ function getTimestamp() {
   return now.toISOString().replace('T', ' ').substring(0, 19);
 }
 
+/**
+ * Convert a logged value to plain JSON data
+ * @param {*} value - Logged value
+ * @returns {*} JSON-safe copy
+ */
+function toPlainData(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.statusCode && { status_code: value.statusCode }),
+      ...(value.code && { code: value.code }),
+      stack: value.stack
+    };
+  }
+
+  try {
+    return JSON.parse(JSON.stringify(value, (key, item) => {
+      if (typeof item === 'bigint') return item.toString();
+      if (item instanceof Error) return toPlainData(item);
+      return item;
+    }));
+  } catch {
+    // Circular structures fall back to their inspected text
+    return util.inspect(value, { depth: 2, breakLength: Infinity });
+  }
+}
+
+/**
+ * Build structured record from log arguments
+ * Strings form the message; objects are merged into context and errors are kept under context.error.
+ * @param {string} level - Log level
+ * @param {Array} args - Log arguments
+ * @param {Object} meta - { category, tgId, context }
+ * @returns {Object} Record { timestamp, level, category, message, tg_id, context }
+ */
+function buildRecord(level, args, { category = 'general', tgId, context: extra } = {}) {
+  const parts = [];
+  let context = {};
+
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      context.error = toPlainData(arg);
+    } else if (Array.isArray(arg)) {
+      context.data = toPlainData(arg);
+    } else if (typeof arg === 'object' && arg !== null) {
+      const data = toPlainData(arg);
+      context = typeof data === 'object' ? { ...context, ...data } : { ...context, data };
+    } else {
+      parts.push(String(arg).replace(ANSI_PATTERN, ''));
+    }
+  }
+
+  if (extra) {
+    context = { ...context, ...extra };
+  }
+
+  const userId = Number(tgId ?? context.tg_id ?? context.telegramId);
+
+  return {
+    timestamp: new Date().toISOString(),
+    level,
+    category,
+    message: parts.join(' '),
+    tg_id: Number.isSafeInteger(userId) && userId > 0 ? userId : null,
+    context: Object.keys(context).length > 0 ? context : null
+  };
+}
+
+/**
+ * Hand record to the sink
+ * A failing sink must never break the caller, and anything it logs itself is not persisted again.
+ * @param {string} level - Log level
+ * @param {Array} args - Log arguments
+ * @param {Object} meta - Record metadata
+ */
+function persistLog(level, args, meta) {
+  if (!logSink || isPersisting) {
+    return;
+  }
+
+  isPersisting = true;
+  try {
+    logSink.write(buildRecord(level, args, meta));
+  } catch (error) {
+    console.error('Log sink write failed:', error.message);
+  } finally {
+    isPersisting = false;
+  }
+}
+
 /**
  * Format log message with color and timestamp
  * @param {string} level - Log level
  * @param {string} color - Console color
  * @param {string} icon - Log icon
  * @param {Array} args - Log arguments
+ * @param {Object} meta - Record metadata for the sink ({ category, tgId, context })
  */
-function formatLog(level, color, icon, args) {
+function formatLog(level, color, icon, args, meta = {}) {
   if (LOG_LEVELS[level] > CURRENT_LOG_LEVEL) {
     return; // Skip if log level is too low
   }
@@ -80,12 +183,30 @@ function formatLog(level, color, icon, args) {
   });
 
   console.log(prefix, ...formattedArgs);
+  persistLog(level, args, meta);
 }
 
 /**
  * Professional logger with multiple levels
  */
 export const logger = {
+  /**
+   * Set structured record sink
+   * Every record that passes LOG_LEVEL is also passed to sink.write(record).
+   * @param {Object|null} sink - Object with write(record), or null to stop persisting
+   */
+  setSink(sink) {
+    logSink = sink;
+  },
+
+  /**
+   * Get current record sink
+   * @returns {Object|null} Sink
+   */
+  getSink() {
+    return logSink;
+  },
+
   /**
    * Error level logging
    * @param {...any} args - Arguments to log
@@ -162,9 +283,12 @@ export const logger = {
     const message = `${COLORS.blue}${method}${COLORS.reset} ${url} ${statusColor}${status}${COLORS.reset} - ${duration}ms`;
     const details = `${COLORS.gray}IP: ${ip} | UA: ${userAgent.substring(0, 50)}${COLORS.reset}`;
     
-    formatLog('info', statusColor, icon, [message]);
+    formatLog('info', statusColor, icon, [message], {
+      category: 'http',
+      context: { method, url, status, duration_ms: duration, ip }
+    });
     if (CURRENT_LOG_LEVEL >= LOG_LEVELS.debug) {
-      formatLog('debug', COLORS.gray, '📝', [details]);
+      formatLog('debug', COLORS.gray, '📝', [details], { category: 'http' });
     }
   },
 
@@ -180,7 +304,7 @@ export const logger = {
     const color = success ? COLORS.green : COLORS.red;
     const message = `${operation} ${table} - ${duration}ms`;
     
-    formatLog('debug', color, icon, [message]);
+    formatLog('debug', color, icon, [message], { category: 'database' });
   },
 
   /**
@@ -195,7 +319,7 @@ export const logger = {
       `${Object.keys(data).length} fields` : 
       String(data).substring(0, 100);
     
-    formatLog('debug', COLORS.cyan, '📡', [message, `Data: ${dataPreview}`]);
+    formatLog('debug', COLORS.cyan, '📡', [message, `Data: ${dataPreview}`], { category: 'api' });
   },
 
   /**
@@ -206,7 +330,7 @@ export const logger = {
    */
   userAction(userId, action, details = {}) {
     const message = `User ${userId}: ${action}`;
-    formatLog('info', COLORS.blue, '👤', [message, details]);
+    formatLog('info', COLORS.blue, '👤', [message, details], { category: 'user_action', tgId: userId });
   },
 
   /**
@@ -215,7 +339,7 @@ export const logger = {
    * @param {Object} details - Event details
    */
   security(event, details = {}) {
-    formatLog('warn', COLORS.yellow, '🔒', [`Security: ${event}`, details]);
+    formatLog('warn', COLORS.yellow, '🔒', [`Security: ${event}`, details], { category: 'security' });
   },
 
   /**
@@ -228,7 +352,7 @@ export const logger = {
     const color = duration > 1000 ? COLORS.red : duration > 500 ? COLORS.yellow : COLORS.green;
     const message = `Performance: ${operation} - ${duration}ms`;
     
-    formatLog('debug', color, '⚡', [message, metadata]);
+    formatLog('debug', color, '⚡', [message, metadata], { category: 'performance' });
   },
 
   /**
@@ -245,7 +369,7 @@ export const logger = {
       ...resources
     };
     
-    formatLog('debug', COLORS.magenta, '🖥️', ['System:', systemInfo]);
+    formatLog('debug', COLORS.magenta, '🖥️', ['System:', systemInfo], { category: 'system' });
   },
 
   /**
@@ -0,0 +1,404 @@
+// utils/xlsx.js - STREAMING XLSX WRITER
+import { deflateRawSync, constants as zlibConstants } from 'zlib';
+import { DAY_MS } from './helpers.js';
+
+// An .xlsx file is a ZIP of SpreadsheetML parts. Sheets are written row batch by row batch
+// into a ZIP entry with a trailing data descriptor, so the whole workbook is never held in
+// memory. Each batch is deflated on its own with a sync flush; the concatenated blocks form
+// one valid deflate stream.
+
+const CRC_TABLE = new Uint32Array(256).map((_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+/**
+ * Update CRC-32 with more data
+ * @param {number} crc - Running CRC (0 to start)
+ * @param {Buffer} data - Data
+ * @returns {number} Updated CRC
+ */
+function updateCrc32(crc, data) {
+  let value = crc ^ 0xFFFFFFFF;
+  for (let index = 0; index < data.length; index++) {
+    value = CRC_TABLE[(value ^ data[index]) & 0xFF] ^ (value >>> 8);
+  }
+  return (value ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Excel stores dates as days since 1899-12-30
+ */
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+/**
+ * Cell style indexes in styles.xml
+ */
+const STYLES = { DEFAULT: 0, HEADER: 1, DATE: 2, DATETIME: 3 };
+
+/**
+ * Default column widths (characters) per cell type
+ */
+const COLUMN_WIDTHS = { number: 12, boolean: 10, date: 12, datetime: 20, string: 24 };
+
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Escape text for XML, dropping characters XML 1.0 cannot contain
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letter of a zero-based index (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letter(s)
+ */
+function columnLetter(index) {
+  let letters = '';
+  for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((value - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Make a valid sheet name (max 31 characters, no []:*?/\)
+ * @param {string} name - Desired name
+ * @returns {string} Sheet name
+ */
+function toSheetName(name) {
+  return String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet';
+}
+
+/**
+ * Streaming XLSX workbook writer
+ * Usage: startSheet(), addRows() any number of times, endSheet(); repeat per sheet; finish().
+ * Cell values are typed by their column: number, boolean, string, date (YYYY-MM-DD) or
+ * datetime (ISO timestamp, shown as wall-clock time in the writer's timezone).
+ */
+export class XlsxStreamWriter {
+  /**
+   * @param {Function} write - async (Buffer) => void, called with consecutive file bytes
+   * @param {Object} options - { timezone } - timezone for datetime cells (default UTC)
+   */
+  constructor(write, { timezone = 'UTC' } = {}) {
+    this.write = write;
+    this.offset = 0;
+    this.entries = [];
+    this.sheets = [];
+    this.entry = null;
+    this.sheet = null;
+    this.wallClock = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+
+  // ==================== SHEETS ====================
+
+  /**
+   * Start sheet and write its frozen header row
+   * @param {string} name - Sheet name
+   * @param {Array<Object>} columns - { key, type, width }
+   */
+  async startSheet(name, columns) {
+    const index = this.sheets.length + 1;
+    this.sheets.push({ name: toSheetName(name), path: `xl/worksheets/sheet${index}.xml` });
+    this.sheet = { columns, rowNumber: 1 };
+
+    const cols = columns.map((column, position) => {
+      const width = column.width || COLUMN_WIDTHS[column.type] || COLUMN_WIDTHS.string;
+      return `<col min="${position + 1}" max="${position + 1}" width="${width}" customWidth="1"/>`;
+    }).join('');
+
+    const header = columns.map((column, position) =>
+      `<c r="${columnLetter(position)}1" t="inlineStr" s="${STYLES.HEADER}"><is><t>${escapeXml(column.key)}</t></is></c>`
+    ).join('');
+
+    await this.startEntry(this.sheets[index - 1].path);
+    await this.writeEntry(
+      `${XML_HEADER}<worksheet xmlns="${NS_MAIN}">` +
+      '<sheetViews><sheetView workbookViewId="0">' +
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+      '</sheetView></sheetViews>' +
+      `<cols>${cols}</cols><sheetData><row r="1">${header}</row>`
+    );
+  }
+
+  /**
+   * Append rows to the current sheet
+   * @param {Array<Array>} rows - Values in column order
+   */
+  async addRows(rows) {
+    if (rows.length === 0) {
+      return;
+    }
+
+    const xml = rows.map(values => {
+      const rowNumber = ++this.sheet.rowNumber;
+      const cells = values.map((value, position) =>
+        this.formatCell(`${columnLetter(position)}${rowNumber}`, value, this.sheet.columns[position].type)
+      ).join('');
+      return `<row r="${rowNumber}">${cells}</row>`;
+    }).join('');
+
+    await this.writeEntry(xml);
+  }
+
+  /**
+   * Close the current sheet
+   */
+  async endSheet() {
+    await this.writeEntry('</sheetData></worksheet>');
+    await this.endEntry();
+    this.sheet = null;
+  }
+
+  /**
+   * Write workbook parts and the ZIP directory
+   */
+  async finish() {
+    const sheetOverrides = this.sheets.map(sheet =>
+      `<Override PartName="/${sheet.path}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+    const sheetEntries = this.sheets.map((sheet, index) =>
+      `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+    ).join('');
+    const sheetRelations = this.sheets.map((sheet, index) =>
+      `<Relationship Id="rId${index + 1}" Type="${NS_REL}/worksheet" Target="${sheet.path.replace('xl/', '')}"/>`
+    ).join('');
+
+    await this.addFile('[Content_Types].xml',
+      `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      `${sheetOverrides}</Types>`
+    );
+    await this.addFile('_rels/.rels',
+      `${XML_HEADER}<Relationships xmlns="${NS_PKG_REL}">` +
+      `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    );
+    await this.addFile('xl/workbook.xml',
+      `${XML_HEADER}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>${sheetEntries}</sheets></workbook>`
+    );
+    await this.addFile('xl/_rels/workbook.xml.rels',
+      `${XML_HEADER}<Relationships xmlns="${NS_PKG_REL}">${sheetRelations}` +
+      `<Relationship Id="rId${this.sheets.length + 1}" Type="${NS_REL}/styles" Target="styles.xml"/></Relationships>`
+    );
+    await this.addFile('xl/styles.xml',
+      `${XML_HEADER}<styleSheet xmlns="${NS_MAIN}">` +
+      '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="4">' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '</cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>'
+    );
+
+    await this.writeCentralDirectory();
+  }
+
+  // ==================== CELLS ====================
+
+  /**
+   * Format one cell
+   * @param {string} ref - Cell reference (e.g. B2)
+   * @param {*} value - Value (null/undefined leave the cell empty)
+   * @param {string} type - Column type
+   * @returns {string} Cell XML
+   */
+  formatCell(ref, value, type) {
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+
+    switch (type) {
+      case 'number':
+        return Number.isFinite(Number(value)) ? `<c r="${ref}"><v>${Number(value)}</v></c>` : '';
+      case 'boolean':
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      case 'date': {
+        const serial = (Date.parse(`${String(value).slice(0, 10)}T00:00:00Z`) - EXCEL_EPOCH_MS) / DAY_MS;
+        return Number.isFinite(serial) ? `<c r="${ref}" s="${STYLES.DATE}"><v>${serial}</v></c>` : '';
+      }
+      case 'datetime': {
+        const serial = this.toDateTimeSerial(value);
+        return Number.isFinite(serial) ? `<c r="${ref}" s="${STYLES.DATETIME}"><v>${serial}</v></c>` : '';
+      }
+      default:
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }
+  }
+
+  /**
+   * Convert timestamp to an Excel serial in the writer's timezone
+   * @param {string|Date} value - Timestamp
+   * @returns {number} Serial (NaN if invalid)
+   */
+  toDateTimeSerial(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return NaN;
+    }
+
+    const parts = Object.fromEntries(
+      this.wallClock.formatToParts(date).map(part => [part.type, Number(part.value)])
+    );
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return (wallClock - EXCEL_EPOCH_MS) / DAY_MS;
+  }
+
+  // ==================== ZIP ====================
+
+  /**
+   * Write bytes to the output, tracking the file offset
+   * @param {Buffer} buffer - Bytes
+   */
+  async output(buffer) {
+    this.offset += buffer.length;
+    await this.write(buffer);
+  }
+
+  /**
+   * Start ZIP entry whose sizes follow in a data descriptor
+   * @param {string} name - Path inside the archive
+   */
+  async startEntry(name) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, date } = this.getDosDateTime();
+    const header = Buffer.alloc(30);
+
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);        // Version needed
+    header.writeUInt16LE(0x0808, 6);    // Data descriptor + UTF-8 names
+    header.writeUInt16LE(8, 8);         // Deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+
+    this.entry = { name: nameBuffer, offset: this.offset, time, date, crc: 0, size: 0, compressedSize: 0 };
+    await this.output(Buffer.concat([header, nameBuffer]));
+  }
+
+  /**
+   * Write data into the current entry
+   * @param {string} text - Uncompressed content
+   */
+  async writeEntry(text) {
+    const data = Buffer.from(text, 'utf8');
+    const compressed = deflateRawSync(data, { finishFlush: zlibConstants.Z_SYNC_FLUSH });
+
+    this.entry.crc = updateCrc32(this.entry.crc, data);
+    this.entry.size += data.length;
+    this.entry.compressedSize += compressed.length;
+    await this.output(compressed);
+  }
+
+  /**
+   * Finish current entry with the final deflate block and its data descriptor
+   */
+  async endEntry() {
+    const last = deflateRawSync(Buffer.alloc(0));
+    this.entry.compressedSize += last.length;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(this.entry.crc, 4);
+    descriptor.writeUInt32LE(this.entry.compressedSize, 8);
+    descriptor.writeUInt32LE(this.entry.size, 12);
+
+    await this.output(Buffer.concat([last, descriptor]));
+    this.entries.push(this.entry);
+    this.entry = null;
+  }
+
+  /**
+   * Add a small complete file
+   * @param {string} name - Path inside the archive
+   * @param {string} text - Content
+   */
+  async addFile(name, text) {
+    await this.startEntry(name);
+    await this.writeEntry(text);
+    await this.endEntry();
+  }
+
+  /**
+   * Write central directory and end record
+   */
+  async writeCentralDirectory() {
+    const start = this.offset;
+
+    const records = this.entries.map(entry => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);      // Version made by
+      record.writeUInt16LE(20, 6);      // Version needed
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.name.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.name]);
+    });
+
+    const directory = Buffer.concat(records);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(start, 16);
+
+    await this.output(Buffer.concat([directory, end]));
+  }
+
+  /**
+   * Current time in MS-DOS format
+   * @returns {Object} { time, date }
+   */
+  getDosDateTime() {
+    const now = new Date();
+    return {
+      time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+      date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+    };
+  }
+}
+
+export default XlsxStreamWriter;